@@ -2,15 +2,19 @@
  * @fileoverview Pet Image Generator using Runware AI API.
  *
  * This script generates cartoon-style pet images for HAP's Animal Placement
- * demo site using the Runware API with the FLUX.1 Schnell model.
+ * demo site using the Runware API with the FLUX.1 Schnell model. Other
+ * backends plug in through `--provider` (see `lib/providers/`).
  *
  * ## How it works
  *
  * 1. Reads pet data from `pets.js` (48 pets with visual prompts)
  * 2. Builds image prompts by combining pet descriptions with expressions
- * 3. Calls the Runware API to generate images
+ * 3. Asks an image provider (Runware by default) to generate images
  * 4. Downloads and saves images as WEBP files
  *
+ * The whole run is one function, {@link generateAll}, which other Node
+ * scripts can import; running the file adds the command line on top.
+ *
  * ## Teaching concepts demonstrated
  *
  * - **ESM imports**: Modern JavaScript module syntax
@@ -30,6 +34,26 @@
  * // node generate.js
  *
  * (Set your API key, then run the script)
+ *
+ * @example
+ * // Regenerate just two pets, overwriting their existing images:
+ * // node generate.js --only a3f8c1,b7e2d4 --force
+ *
+ * // Generate every available reptile into a scratch folder:
+ * // node generate.js --species reptile --status available --out ./scratch
+ *
+ * @example
+ * // Make 4 candidates for Whisker, review them, keep the second:
+ * // node generate.js --only a3f8c1 --candidates 4
+ * // open images/candidates/index.html
+ * // node generate.js pick a3f8c1 2
+ *
+ * @example
+ * // From another script: importing runs nothing, generateAll() does the run
+ * import { generateAll } from "./generate.js";
+ * import { pets } from "./pets.js";
+ *
+ * const run = await generateAll(pets, { onProgress: (event) => console.log(event.type) });
  */
 
 // =============================================================================
@@ -44,6 +68,140 @@
  */
 import { pets, temperamentToExpression } from "./pets.js";
 
+/**
+ * Import the image provider registry.
+ *
+ * Each provider (Runware, OpenAI-style, offline placeholder) knows how to
+ * talk to one backend. This script only deals with prompts and files.
+ */
+import { createProvider, PROVIDERS } from "./lib/providers/index.js";
+
+/**
+ * Import helpers for running several generations at once without
+ * overwhelming the API.
+ */
+import { runPool } from "./lib/pool.js";
+import { createRateLimiter, parseRate } from "./lib/rate-limit.js";
+
+/**
+ * Import error classification and retry helpers.
+ *
+ * Temporary failures (429, 5xx, network hiccups, expired image URLs) are
+ * retried with backoff; permanent ones fail fast. See `lib/errors.js`.
+ */
+import { classifyError, GenerationError, httpError } from "./lib/errors.js";
+import { withRetry } from "./lib/retry.js";
+
+/**
+ * Import the manifest helpers that record how every image was made.
+ */
+import { createManifestRecorder, hashImage, loadManifest } from "./lib/manifest.js";
+
+/**
+ * Import all-or-nothing file writes and the record of unfinished runs,
+ * so Ctrl-C never leaves a half-written image behind and the run can be
+ * picked up again.
+ */
+import { writeFileAtomic } from "./lib/atomic.js";
+import { loadResumeState, trackRun } from "./lib/resume.js";
+
+/**
+ * Import the checks that catch error pages and broken files saved as images.
+ */
+import { QUARANTINE_DIR, quarantine, quarantineData, verifyImage } from "./lib/verify.js";
+
+/**
+ * Import the thumbnail and placeholder writer (optional: needs sharp).
+ */
+import { createDerivatives, LQIP_DIR } from "./lib/derivatives.js";
+
+/**
+ * Import stale detection: a fingerprint of prompt + settings tells us when
+ * an image no longer matches its pet data.
+ */
+import { checkFreshness, fingerprint } from "./lib/stale.js";
+
+/**
+ * Import seed derivation, so each pet's image is reproducible.
+ */
+import { seedForPet } from "./lib/seed.js";
+
+/**
+ * Import the config file loader and settings validation.
+ */
+import {
+  extensionFor,
+  loadConfig,
+  normalizeFormat,
+  OUTPUT_FORMATS,
+  SETTING_KEYS,
+  validateSettings,
+} from "./lib/config.js";
+
+/**
+ * Import the prompt template helpers (global, per-species and per-pet
+ * templates with {placeholders}).
+ */
+import { checkTemplates, renderTemplate, selectTemplate } from "./lib/prompt.js";
+
+/**
+ * Import the named art-style presets used by `--style`.
+ */
+import { getStyle, STYLES } from "./lib/styles.js";
+
+/**
+ * Import cost estimation and the `--max-cost` budget.
+ */
+import { createBudget, formatCost, pricePerImage } from "./lib/cost.js";
+
+/**
+ * Import the pets.js schema checks (field values, unique IDs, expressions).
+ */
+import {
+  checkPet,
+  formatProblem,
+  ID_PATTERN,
+  SPECIAL_NEEDS,
+  SPECIES,
+  STATUSES,
+  SUBCATEGORIES,
+  TEMPERAMENTS,
+  validatePets,
+} from "./lib/validate.js";
+
+/**
+ * Import the pets.js editor used by `add-pet`: new IDs, and pet literals
+ * written in the file's own style.
+ */
+import { formatPetsModule, insertPet, newPetId, PETS_FILE, SECTIONS, usedIds } from "./lib/pets-file.js";
+
+/**
+ * Import the JSON, CSV and NDJSON writers used by `export`, and the
+ * readers and diff used by `import`.
+ */
+import { EXPORT_FORMATS, formatExport, formatForFile, toRows } from "./lib/export.js";
+import { readImportFile, toPet } from "./lib/import.js";
+import { unifiedDiff } from "./lib/diff.js";
+
+/**
+ * Import the writer and drift check for pets.json, the pet browser's data.
+ */
+import { checkSiteData, SITE_DATA_FILE, writeSiteData } from "./lib/site-data.js";
+
+/**
+ * Import the candidate helpers: generate several images per pet, then
+ * pick the best one.
+ */
+import {
+  candidateDir,
+  commitCandidates,
+  discardCandidates,
+  loadCandidates,
+  pickCandidate,
+  stageCandidates,
+  writeReviewPage,
+} from "./lib/candidates.js";
+
 /**
  * Import Node.js built-in file system modules.
  *
@@ -55,386 +213,3037 @@ import { pets, temperamentToExpression } from "./pets.js";
  * - `fs/promises`: Async versions that work with async/await
  * - `fs`: Sync versions for simple checks (existsSync)
  */
-import { writeFile, mkdir } from "node:fs/promises";
-import { existsSync } from "node:fs";
+import { writeFile, mkdir, readdir, readFile } from "node:fs/promises";
+import { existsSync, realpathSync } from "node:fs";
+
+/**
+ * Import helpers from other Node.js built-in modules.
+ *
+ * - `path.join()` builds file paths that work on every operating system
+ * - `util.parseArgs()` turns `process.argv` into a tidy options object,
+ *   so we don't need a third-party argument parser
+ * - `os.constants.signals` has the signal numbers used for exit codes
+ * - `url.fileURLToPath()` turns `import.meta.url` into a path, to tell
+ *   whether this file was run or imported
+ */
+import { basename, extname, join, posix } from "node:path";
+import { parseArgs } from "node:util";
+import { createInterface } from "node:readline/promises";
+import { spawn } from "node:child_process";
+import { constants as osConstants } from "node:os";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 /**
- * Runware API endpoint for image generation.
- * All API calls go to this single URL with different payloads.
+ * Default image generation settings sent with every request.
  *
- * @constant {string}
+ * Keeping these in one object means the API call and the `--dry-run`
+ * preview always agree on what would be sent. The model and output format
+ * depend on the provider, so they are added by {@link resolveSettings},
+ * along with anything set in `pet-gen.config.js` or on the command line.
+ *
+ * - `width`/`height`: 512x512 is a good balance of quality and speed
+ * - `steps`: FLUX.1 Schnell is a "distilled" model that works well with 4
+ * - `outputQuality`: 80 is a good balance of quality and file size
+ *
+ * @constant {{width: number, height: number, steps: number, outputQuality: number}}
  */
-const API_URL = "https://api.runware.ai/v1";
+const GENERATION_SETTINGS = {
+  width: 512,
+  height: 512,
+  steps: 4,
+  outputQuality: 80,
+};
 
 /**
- * API key loaded from environment variable.
+ * Provider used when `--provider` isn't given.
  *
- * SECURITY NOTE: Never hardcode API keys in source code!
- * Instead, use environment variables:
- *
- * ```bash
- * # Set temporarily (current session only)
- * export RUNWARE_API_KEY="your-key-here"
- *
- * # Or add to ~/.zshrc or ~/.bashrc for persistence
- * echo 'export RUNWARE_API_KEY="your-key"' >> ~/.zshrc
- * ```
- *
- * @constant {string|undefined}
+ * @constant {string}
  */
-const API_KEY = process.env.RUNWARE_API_KEY;
-
-// Validate API key exists before proceeding
-if (!API_KEY) {
-  console.error("Error: RUNWARE_API_KEY environment variable not set");
-  console.error("");
-  console.error("To fix this:");
-  console.error('  export RUNWARE_API_KEY="your-key-here"');
-  console.error("  node generate.js");
-  console.error("");
-  console.error("Get a free API key at: https://runware.ai");
-  process.exit(1);
-}
-
-// =============================================================================
-// PROMPT BUILDING
-// =============================================================================
+const DEFAULT_PROVIDER = "runware";
 
 /**
- * Builds a complete image generation prompt from pet data.
- *
- * The prompt formula was developed through iteration:
- * 1. Started simple: "a cat" (too generic)
- * 2. Added style: "cartoon cat" (inconsistent)
- * 3. Added constraints: "simple cartoon illustration, white background"
- * 4. Added flat colors to prevent shading variations
- * 5. Added expression based on temperament for personality
- *
- * Final formula:
- * ```
- * simple cartoon illustration of a [visual description],
- * white background, [expression] expression, flat colors
- * ```
+ * Default request rate: 5 per second, the same pace as the old fixed
+ * 200ms pause between pets.
  *
- * @param {import('./pets.js').Pet} pet - Pet object with prompt and temperament
- * @returns {string} Complete prompt for the AI image generator
+ * @constant {string}
+ */
+const DEFAULT_RATE = "5/s";
+
+/**
+ * Default number of retries for temporary failures.
  *
- * @example
- * const pet = {
- *   prompt: "fluffy orange tabby cat with green eyes",
- *   temperament: "affectionate"
- * };
- * buildPrompt(pet);
- * // => "simple cartoon illustration of a fluffy orange tabby cat
- * //     with green eyes, white background, friendly expression, flat colors"
+ * @constant {number}
  */
-function buildPrompt(pet) {
-  // Look up the expression word for this temperament
-  // Default to "friendly" if temperament isn't in our mapping
-  const expression = temperamentToExpression[pet.temperament] || "friendly";
+const DEFAULT_RETRIES = 3;
 
-  // Combine all parts into the final prompt
-  // Template literals (backticks) allow embedded expressions with ${}
-  return `simple cartoon illustration of a ${pet.prompt}, white background, ${expression} expression, flat colors`;
-}
+/**
+ * Runs estimated above this many USD ask for confirmation first
+ * (`--confirm-above`, or `confirmAbove` in the config file).
+ *
+ * @constant {number}
+ */
+const DEFAULT_CONFIRM_ABOVE = 1;
 
-// =============================================================================
-// API INTERACTION
-// =============================================================================
+/**
+ * Most candidates per pet. Runware accepts up to 20 results per request.
+ *
+ * @constant {number}
+ */
+const MAX_CANDIDATES = 20;
 
 /**
- * Generates a single image using the Runware API.
+ * Exit codes, so scripts and CI can tell how a run went without reading
+ * its output:
  *
- * This function demonstrates several important concepts:
+ * - `OK` (0): every selected pet has its image (generated or skipped)
+ * - `FAILED` (1): the run finished, but some pets failed - re-running
+ *   (or `--resume`) may fix them
+ * - `FATAL` (2): nothing sensible could happen - a bad option or config
+ *   file, a missing or rejected API key, a refused cost estimate, a hit
+ *   `--max-cost`, or a crash
  *
- * 1. **async/await**: The function is marked `async` so we can use `await`
- *    to pause execution until Promises resolve.
+ * A run stopped with Ctrl-C exits with 130 (143 for SIGTERM), as
+ * shells expect from a process stopped by a signal.
  *
- * 2. **fetch API**: Modern way to make HTTP requests. Returns a Promise.
+ * @constant {{OK: number, FAILED: number, FATAL: number}}
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  FATAL: 2,
+};
+
+/**
+ * Works out the full settings for a run, then checks them.
  *
- * 3. **UUID generation**: `crypto.randomUUID()` creates unique task IDs.
- *    This is a browser API that Node.js also provides globally.
+ * Later sources win: the defaults above and the provider's model and
+ * format, then the config file, then the `--style` preset, then
+ * command-line flags.
  *
- * 4. **Error handling**: We check both HTTP status and API-level errors.
+ * @param {GenerateOptions} options - Parsed command-line options; `provider`
+ *   is a name from the registry, or a `{defaultModel, formats}` entry for
+ *   a provider that isn't in it
+ * @param {import('./lib/config.js').SettingsConfig} [config={}] - Settings from the config file
+ * @returns {import('./lib/providers/index.js').ImageRequest} Settings for every request
+ * @throws {Error} If any setting is out of range or the provider can't make the format
  *
- * @async
- * @param {import('./pets.js').Pet} pet - Pet object to generate image for
- * @returns {Promise<Object>} API response containing imageURL and cost
- * @throws {Error} If the API request fails or returns an error
- *
- * @example
- * const result = await generateImage(pet);
- * console.log(result.imageURL);  // URL to download the image
- * console.log(result.cost);      // Cost in USD (e.g., 0.0013)
- */
-async function generateImage(pet) {
-  // Build the prompt from pet data
-  const prompt = buildPrompt(pet);
-
-  // Generate a unique ID for this request
-  // UUIDs (Universally Unique Identifiers) ensure no collisions
-  const taskUUID = crypto.randomUUID();
-
-  // Make the API request using fetch()
-  // fetch() returns a Promise that resolves to a Response object
-  const response = await fetch(API_URL, {
-    // HTTP method - POST for sending data
-    method: "POST",
-
-    // Headers tell the server what we're sending and who we are
-    headers: {
-      // We're sending JSON data
-      "Content-Type": "application/json",
-      // API key for authentication (Bearer token format)
-      Authorization: `Bearer ${API_KEY}`,
-    },
-
-    // Request body - must be a string, so we JSON.stringify our object
-    // Note: Runware API expects an ARRAY of tasks (even for single requests)
-    body: JSON.stringify([
-      {
-        // Type of task - we want to generate an image
-        taskType: "imageInference",
-
-        // Unique identifier for this specific request
-        taskUUID,
-
-        // Model to use - FLUX.1 Schnell is fast and cheap
-        // "runware:100@1" is Runware's ID for this model
-        model: "runware:100@1",
-
-        // The prompt describing what to generate
-        positivePrompt: prompt,
-
-        // Image dimensions in pixels
-        // 512x512 is a good balance of quality and speed
-        width: 512,
-        height: 512,
-
-        // Number of inference steps
-        // Schnell is a "distilled" model that needs fewer steps
-        // Most models need 20-50 steps; Schnell works well with 4
-        steps: 4,
+ * @example
+ * resolveSettings({ provider: "runware", settings: { width: 1024 } }, { outputFormat: "png" });
+ * // => { width: 1024, height: 512, steps: 4, outputQuality: 80,
+ * //      model: "runware:100@1", outputFormat: "PNG" }
+ */
+function resolveSettings(options, config = {}) {
+  const provider = typeof options.provider === "object" ? options.provider : PROVIDERS[options.provider];
 
-        // How to return the result
-        // "URL" = temporary URL to download from
-        // Alternative: "base64" for inline data
-        outputType: "URL",
+  // The config file may also hold templates; only settings go in requests
+  const fromConfig = Object.fromEntries(
+    Object.entries(config).filter(([key]) => SETTING_KEYS.includes(key))
+  );
 
-        // Image format - WEBP is modern, small, and widely supported
-        outputFormat: "WEBP",
+  // A style preset brings its own negative prompt and model settings
+  const style = options.style ? getStyle(options.style) : null;
+  const fromStyle = style ? { ...style.settings, negativePrompt: style.negativePrompt } : {};
 
-        // WEBP quality (1-100)
-        // 80 is a good balance of quality and file size
-        outputQuality: 80,
+  const settings = {
+    ...GENERATION_SETTINGS,
+    model: provider.defaultModel,
+    outputFormat: provider.formats[0],
+    ...fromConfig,
+    ...fromStyle,
+    ...options.settings,
+  };
+  settings.outputFormat = normalizeFormat(settings.outputFormat);
 
-        // How many images to generate per request
-        numberResults: 1,
-      },
-    ]),
-  });
+  validateSettings(settings, provider.formats);
+  return settings;
+}
 
-  // Check if the HTTP request itself failed
-  // response.ok is true for status codes 200-299
-  if (!response.ok) {
-    throw new Error(`API error: ${response.status} ${response.statusText}`);
+/**
+ * Works out the spending limits for a run: flags first, then the config
+ * file, then the default confirmation threshold.
+ *
+ * A classroom fork can put `maxCost` in its committed config file, so
+ * nobody burns through the shared key by accident.
+ *
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @param {{maxCost?: number, confirmAbove?: number}} [config={}] - Config file contents
+ * @returns {{maxCost: number|undefined, confirmAbove: number}} Limits in USD
+ * @throws {Error} If a config value isn't a non-negative number
+ */
+function resolveLimits(options, config = {}) {
+  for (const key of ["maxCost", "confirmAbove"]) {
+    const value = config[key];
+    if (value !== undefined && (typeof value !== "number" || !Number.isFinite(value) || value < 0)) {
+      throw new Error(`${key} in the config file must be an amount in USD, like 0.50`);
+    }
   }
 
-  // Parse the JSON response body
-  // This is also async because it reads from a stream
-  const result = await response.json();
-
-  // Check for API-level errors (request succeeded but operation failed)
-  if (result.errors) {
-    throw new Error(`API error: ${JSON.stringify(result.errors)}`);
-  }
+  return {
+    maxCost: options.maxCost ?? config.maxCost,
+    confirmAbove: options.confirmAbove ?? config.confirmAbove ?? DEFAULT_CONFIRM_ABOVE,
+  };
+}
 
-  // Return the first (and only) result from the data array
-  // Contains: imageURL, imageUUID, cost, seed, etc.
-  return result.data[0];
+/**
+ * Image filename for a pet, with the extension of the output format.
+ *
+ * @param {string|number} id - Pet ID (or candidate number)
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Run settings
+ * @returns {string} Filename like "a3f8c1.webp" or "a3f8c1.png"
+ */
+function imageFilename(id, settings) {
+  return `${id}.${extensionFor(settings.outputFormat)}`;
 }
 
 /**
- * Downloads an image from a URL and saves it to a file.
+ * Adds one pet's seed to the run settings.
  *
- * This demonstrates:
- * - Using fetch() to download binary data
- * - Converting Response to ArrayBuffer
- * - Writing binary data with Node.js fs
+ * The seed comes from the pet's ID (or its `seed` field), so the same pet
+ * gets the same seed on every run - see `lib/seed.js`.
  *
- * @async
- * @param {string} url - URL to download the image from
- * @param {string} filename - Local path to save the image
- * @throws {Error} If download or file write fails
+ * @param {import('./pets.js').Pet} pet - Pet the request is for
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Run settings
+ * @param {GenerateOptions} options - Parsed command-line options (for `--seed-salt`)
+ * @returns {import('./lib/providers/index.js').ImageRequest} Settings including `seed`
  *
  * @example
- * await downloadImage("https://example.com/image.webp", "./images/pet.webp");
+ * settingsForPet({ id: "a3f8c1" }, settings, { seedSalt: "" });
+ * // => { width: 512, height: 512, steps: 4, model: "runware:100@1", seed: 1234567890 }
  */
-async function downloadImage(url, filename) {
-  // Fetch the image data
-  const response = await fetch(url);
-
-  // Check for HTTP errors
-  if (!response.ok) {
-    throw new Error(`Download failed: ${response.status}`);
-  }
-
-  // Get the raw binary data as an ArrayBuffer
-  // ArrayBuffer is a fixed-length raw binary data buffer
-  const buffer = await response.arrayBuffer();
-
-  // Write to file
-  // Buffer.from() converts ArrayBuffer to Node.js Buffer
-  // writeFile is the async version from fs/promises
-  await writeFile(filename, Buffer.from(buffer));
+function settingsForPet(pet, settings, options) {
+  return { ...settings, seed: seedForPet(pet, options.seedSalt) };
 }
 
 // =============================================================================
-// MAIN EXECUTION
+// COMMAND-LINE OPTIONS
 // =============================================================================
 
 /**
- * Main execution function that orchestrates the image generation process.
- *
- * This is an async IIFE (Immediately Invoked Function Expression) pattern:
- * We define an async function and call it immediately. This allows us to
- * use await at the top level of our script.
+ * Default folder that generated images are written to.
  *
- * The function:
- * 1. Creates the output directory if needed
- * 2. Loops through all pets
- * 3. Skips pets that already have images (idempotent)
- * 4. Generates and downloads images for remaining pets
- * 5. Tracks and reports costs
+ * @constant {string}
+ */
+const DEFAULT_OUT_DIR = "./images";
+
+/**
+ * Default output folder for a style. Each style gets its own folder, so
+ * styles never overwrite each other.
  *
- * @async
- * @returns {Promise<void>}
+ * @param {string} [style] - Style preset name
+ * @returns {string} Folder like "./images" or "images/watercolor"
  */
-async function main() {
-  // Log startup message with pet count
-  console.log(`Starting generation of ${pets.length} pet images...\n`);
+function outDirFor(style) {
+  return style ? join(DEFAULT_OUT_DIR, style) : DEFAULT_OUT_DIR;
+}
 
-  // ==========================================================================
-  // Directory Setup
-  // ==========================================================================
+/**
+ * Help text printed for `--help` or when an option is invalid.
+ *
+ * @constant {string}
+ */
+const USAGE = `Usage: node generate.js [options]
+       node generate.js pick <id> [number] [--out <dir>]
+       node generate.js verify [--out <dir>] [--quarantine]
+       node generate.js derive [--out <dir>] [--force]
+       node generate.js validate
+       node generate.js site-data [--check]
+       node generate.js add-pet [--name <name>] [--species <name>] ... [--generate]
+       node generate.js export [--format json|csv|ndjson] [-o <file>] [--no-prompt]
+                               [--images] [--base-url <url>] [--species ...] [--status ...]
+       node generate.js import <file> (--merge | -o <file>) [--dry-run] [--yes]
 
-  // Ensure the images directory exists
-  // existsSync is synchronous - fine for one-time startup checks
-  if (!existsSync("./images")) {
-    // mkdir creates the directory
-    // This is async so we await it
-    await mkdir("./images");
-  }
+Commands:
+  pick <id>           List a pet's candidates
+  pick <id> <number>  Promote that candidate to the pet's image
+  verify              Check every image in the folder; with --quarantine,
+                      move bad ones to <out>/${QUARANTINE_DIR}/ so the next
+                      run makes them again
+  derive              Write thumbnails (<out>/256/) and blurred placeholders
+                      (<out>/${LQIP_DIR}/) for the pet browser; needs sharp
+  validate            Check every pet in pets.js against the schema
+  site-data           Write ${SITE_DATA_FILE} (pets.js without prompts) for the pet
+                      browser; with --check, only fail if it's out of date
+  add-pet             Add a pet to pets.js with a new ID, asking for each
+                      field (or taking --id, --name, --species,
+                      --subcategory, --temperament, --special-needs,
+                      --status, --prompt, --description, --note); with
+                      --generate, also make its image
+  export              Write the pets as JSON, CSV or NDJSON to stdout or
+                      -o <file> (format from --format or the extension);
+                      --no-prompt leaves out prompts, --images adds image
+                      paths (URLs with --base-url)
+  import <file>       Check the pets in a .csv, .json or .ndjson file, show
+                      the changes, then add them to pets.js (--merge) or
+                      write a new pets module (-o <file>); --dry-run only
+                      shows the changes
 
-  // ==========================================================================
-  // Progress Tracking
-  // ==========================================================================
+Options:
+  --only <ids>        Only generate these pet IDs (comma-separated)
+  --species <names>   Only generate these species (comma-separated)
+  --status <names>    Only generate pets with these statuses (comma-separated)
+  --force             Overwrite images that already exist
+  --stale             Regenerate only images whose prompt or settings changed
+  --stale-report      List images that no longer match pets.js, then exit
+  --out <dir>         Folder to write images to (default: ${DEFAULT_OUT_DIR},
+                      or ${DEFAULT_OUT_DIR}/<style> with --style)
+  --style <name>      Art style preset: ${Object.keys(STYLES).join(", ")}
+  --provider <name>   Image backend: ${Object.keys(PROVIDERS).join(", ")}
+                      (default: ${DEFAULT_PROVIDER})
+  --concurrency <n>   Generate up to n images at the same time (default: 1)
+  --rate <rate>       Max API requests, e.g. 5/s or 60/min; 0 = no limit
+                      (default: ${DEFAULT_RATE})
+  --burst <n>         Requests allowed back-to-back before --rate applies
+                      (default: 1)
+  --retries <n>       Retries for temporary failures like 429 or 5xx
+                      (default: ${DEFAULT_RETRIES}; 0 = never retry)
+  --config <file>     Settings file (default: pet-gen.config.js or .json
+                      next to pets.js, if present)
+  --model <id>        Model ID (default depends on --provider)
+  --width <px>        Image width, 128-2048 in steps of 64 (default: 512)
+  --height <px>       Image height, 128-2048 in steps of 64 (default: 512)
+  --steps <n>         Inference steps, 1-100 (default: 4)
+  --format <name>     Output format: WEBP, PNG or JPG (default depends on
+                      --provider)
+  --quality <n>       WEBP/JPG quality, 20-99 (default: 80)
+  --negative-prompt <text>
+                      Things to keep out of the images (text, watermarks...)
+  --max-cost <usd>    Stop sending requests before spending more than this
+  --confirm-above <usd>
+                      Ask before runs estimated above this
+                      (default: ${DEFAULT_CONFIRM_ABOVE})
+  -y, --yes           Don't ask for confirmation
+  --json              Write one JSON event per line to stdout (the log goes
+                      to stderr); see "Scripting and CI" in the README
+  --seed-salt <text>  Roll new seeds for every pet (pets with a fixed
+                      seed in pets.js keep it)
+  --candidates <n>    Make n images per pet in <out>/candidates/<id>/ to
+                      pick from, instead of writing the image directly
+  --resume            Finish the last interrupted (or partly failed) run:
+                      same options, only the pets it didn't finish
+  --dry-run           Show what would be sent, without an API key or network
+  --preview <file>    With --dry-run, also write the preview (.json or .md)
+  -h, --help          Show this help and exit
 
-  // Track total API costs across all generations
-  let totalCost = 0;
+Exit codes: ${EXIT_CODES.OK} all pets have images, ${EXIT_CODES.FAILED} some pets failed,
+            ${EXIT_CODES.FATAL} fatal error (bad option or config, API key, --max-cost),
+            130 stopped with Ctrl-C`;
 
-  // Track success/failure counts for summary
-  let generated = 0;
-  let failed = 0;
+/**
+ * Options that control a generation run.
+ *
+ * @typedef {Object} GenerateOptions
+ * @property {string[]} only - Pet IDs to generate (empty = all pets)
+ * @property {string[]} species - Species to generate (empty = all species)
+ * @property {string[]} status - Statuses to generate (empty = all statuses)
+ * @property {boolean} force - Regenerate images even if the file exists
+ * @property {boolean} stale - Regenerate images that no longer match their data
+ * @property {boolean} staleReport - Only report stale images
+ * @property {string} outDir - Folder that images are written to
+ * @property {string|undefined} style - Art style preset (see lib/styles.js)
+ * @property {string} provider - Name of the image provider to use
+ * @property {number} concurrency - Maximum images generated at once
+ * @property {import('./lib/rate-limit.js').Rate} rate - Shared request rate limit
+ * @property {number} burst - Token bucket size for the rate limiter
+ * @property {number} retries - Retries for temporary failures
+ * @property {string|undefined} config - Config file given with `--config`
+ * @property {import('./lib/config.js').SettingsConfig} settings - Settings
+ *   given as flags; these override the config file
+ * @property {import('./lib/prompt.js').PromptTemplates} [templates] - Prompt
+ *   templates, added from the config file once it is loaded
+ * @property {number|undefined} maxCost - Spending cap in USD (undefined = none;
+ *   the config file's `maxCost` fills it in)
+ * @property {number|undefined} confirmAbove - Ask before runs estimated above
+ *   this (USD; falls back to the config file, then the default)
+ * @property {boolean} yes - Skip the confirmation question
+ * @property {boolean} json - Write {@link RunEvent}s to stdout, the log to stderr
+ * @property {string} seedSalt - Salt mixed into every derived seed ("" = none)
+ * @property {number|undefined} candidates - Candidates per pet, or undefined
+ *   to write each pet's image directly
+ * @property {boolean} dryRun - Preview prompts instead of calling the API
+ * @property {string|undefined} preview - File to write the dry-run preview to
+ * @property {boolean} resume - Repeat the last unfinished run (see lib/resume.js)
+ * @property {string[]} argv - The arguments themselves, saved if the run
+ *   doesn't finish
+ * @property {boolean} help - Print usage and exit
+ */
 
-  // ==========================================================================
-  // Generation Loop
-  // ==========================================================================
+/**
+ * Splits a comma-separated option value into a clean list.
+ *
+ * Options like `--only` can be given once with commas
+ * (`--only a3f8c1,b7e2d4`) or repeated (`--only a3f8c1 --only b7e2d4`),
+ * so we accept an array of raw values and flatten them.
+ *
+ * @param {string[]|undefined} values - Raw values from parseArgs
+ * @returns {string[]} Trimmed, non-empty entries
+ *
+ * @example
+ * splitList(["a3f8c1, b7e2d4", "c9a1f6"]);
+ * // => ["a3f8c1", "b7e2d4", "c9a1f6"]
+ */
+function splitList(values = []) {
+  return values
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
 
-  // Process each pet sequentially
-  // We use for...of to iterate (not forEach) so we can use await
-  for (const pet of pets) {
-    // Build the output filename using the pet's unique ID
-    const filename = `./images/${pet.id}.webp`;
+/**
+ * Parses command-line arguments into a {@link GenerateOptions} object.
+ *
+ * `parseArgs` runs in strict mode, so an unknown flag (like a typo such as
+ * `--forse`) throws instead of being silently ignored.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js`
+ * @returns {GenerateOptions} Parsed options
+ * @throws {Error} If an option is unknown or missing its value
+ *
+ * @example
+ * parseOptions(["--only", "a3f8c1", "--force"]);
+ * // => { only: ["a3f8c1"], species: [], status: [], force: true, ... }
+ */
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      only: { type: "string", multiple: true },
+      species: { type: "string", multiple: true },
+      status: { type: "string", multiple: true },
+      force: { type: "boolean", default: false },
+      stale: { type: "boolean", default: false },
+      "stale-report": { type: "boolean", default: false },
+      out: { type: "string" },
+      style: { type: "string" },
+      provider: { type: "string", default: DEFAULT_PROVIDER },
+      concurrency: { type: "string", default: "1" },
+      rate: { type: "string", default: DEFAULT_RATE },
+      burst: { type: "string", default: "1" },
+      retries: { type: "string", default: String(DEFAULT_RETRIES) },
+      config: { type: "string" },
+      model: { type: "string" },
+      width: { type: "string" },
+      height: { type: "string" },
+      steps: { type: "string" },
+      format: { type: "string" },
+      quality: { type: "string" },
+      "negative-prompt": { type: "string" },
+      "max-cost": { type: "string" },
+      "confirm-above": { type: "string" },
+      yes: { type: "boolean", short: "y", default: false },
+      json: { type: "boolean", default: false },
+      "seed-salt": { type: "string", default: "" },
+      candidates: { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+      preview: { type: "string" },
+      resume: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
 
-    // --------------------------------------------------------------------------
-    // Skip existing images (idempotent operation)
-    // --------------------------------------------------------------------------
+  if (!Object.hasOwn(PROVIDERS, values.provider)) {
+    throw new Error(
+      `Unknown --provider "${values.provider}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
 
-    // Check if this image already exists
-    // This makes the script safe to re-run - it won't regenerate existing images
-    if (existsSync(filename)) {
-      console.log(`[SKIP] ${pet.id} - already exists`);
-      generated++; // Count as success since we have the image
-      continue; // Skip to next pet
+  // Counts must be whole numbers of at least 1
+  for (const name of ["concurrency", "burst"]) {
+    const value = Number(values[name]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`--${name} must be a whole number of at least 1`);
     }
+  }
 
-    // --------------------------------------------------------------------------
-    // Generate new image
-    // --------------------------------------------------------------------------
-
-    try {
-      // Log what we're generating
-      console.log(`[GEN] ${pet.id} - ${pet.name}...`);
-
-      // Call the API to generate the image
-      // This returns an object with imageURL, cost, etc.
-      const result = await generateImage(pet);
-
-      // Track the cost (with fallback to 0 if not provided)
-      totalCost += result.cost || 0;
+  if (values.force && values.stale) {
+    throw new Error("--force regenerates everything; leave out --stale");
+  }
 
-      // Download the generated image from the temporary URL
-      await downloadImage(result.imageURL, filename);
+  const retries = Number(values.retries);
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new Error("--retries must be a whole number of at least 0");
+  }
 
-      // Log success with cost
-      // toFixed(4) formats the number to 4 decimal places
-      console.log(
-        `  ✓ Saved ${filename} (cost: $${result.cost?.toFixed(4) || "?"})`
-      );
+  // Settings flags only override what they set; ranges are checked later,
+  // once they're merged with the config file (see resolveSettings)
+  const asNumber = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+  const flagSettings = {
+    model: values.model,
+    width: values.width && asNumber(values.width),
+    height: values.height && asNumber(values.height),
+    steps: values.steps && asNumber(values.steps),
+    outputFormat: values.format,
+    outputQuality: values.quality && asNumber(values.quality),
+    negativePrompt: values["negative-prompt"],
+  };
+  const settings = Object.fromEntries(
+    Object.entries(flagSettings).filter(([, value]) => value !== undefined)
+  );
 
-      // Increment success counter
-      generated++;
+  // Money amounts: plain non-negative numbers like 0.50
+  const amounts = {};
+  for (const name of ["max-cost", "confirm-above"]) {
+    if (values[name] === undefined) continue;
+    const value = Number(values[name]);
+    if (values[name].trim() === "" || !Number.isFinite(value) || value < 0) {
+      throw new Error(`--${name} must be an amount in USD, like 0.50`);
+    }
+    amounts[name] = value;
+  }
 
-      // ------------------------------------------------------------------------
-      // Rate limiting (be nice to the API)
-      // ------------------------------------------------------------------------
+  if (values.style !== undefined) getStyle(values.style);
+  const outDir = values.out ?? outDirFor(values.style);
 
-      // Small delay between requests to avoid overwhelming the API
-      // 200ms is polite without being too slow
-      // This uses a Promise that resolves after a timeout
-      await new Promise((resolve) => setTimeout(resolve, 200));
-    } catch (error) {
-      // ------------------------------------------------------------------------
-      // Error handling
-      // ------------------------------------------------------------------------
+  const candidates = values.candidates === undefined ? undefined : Number(values.candidates);
+  if (candidates !== undefined && (!Number.isInteger(candidates) || candidates < 1 || candidates > MAX_CANDIDATES)) {
+    throw new Error(`--candidates must be a whole number from 1 to ${MAX_CANDIDATES}`);
+  }
 
-      // Log the error but continue with other pets
-      // This way one failure doesn't stop the whole batch
-      console.error(`  ✗ Failed: ${error.message}`);
+  // Events describe a real run; previews and reports print their own text
+  if (values.json && (values["dry-run"] || values["stale-report"])) {
+    throw new Error("--json can't be combined with --dry-run or --stale-report");
+  }
 
-      // Increment failure counter
-      failed++;
+  // A preview file only makes sense for a dry run, and needs a known format
+  if (values.preview !== undefined) {
+    if (!values["dry-run"]) {
+      throw new Error("--preview can only be used with --dry-run");
+    }
+    if (![".json", ".md"].includes(extname(values.preview).toLowerCase())) {
+      throw new Error(`--preview file must end in .json or .md: ${values.preview}`);
     }
   }
 
-  // ==========================================================================
-  // Summary Report
-  // ==========================================================================
-
-  console.log("\n--- Summary ---");
-  console.log(`Generated: ${generated}`);
-  console.log(`Failed: ${failed}`);
-  console.log(`Total cost: $${totalCost.toFixed(4)}`);
+  return {
+    only: splitList(values.only),
+    species: splitList(values.species),
+    status: splitList(values.status),
+    force: values.force,
+    stale: values.stale,
+    staleReport: values["stale-report"],
+    outDir,
+    style: values.style,
+    provider: values.provider,
+    concurrency: Number(values.concurrency),
+    rate: parseRate(values.rate),
+    burst: Number(values.burst),
+    retries,
+    config: values.config,
+    settings,
+    maxCost: amounts["max-cost"],
+    confirmAbove: amounts["confirm-above"],
+    yes: values.yes,
+    json: values.json,
+    seedSalt: values["seed-salt"],
+    candidates,
+    dryRun: values["dry-run"],
+    preview: values.preview,
+    resume: values.resume,
+    argv,
+    help: values.help,
+  };
 }
 
-// =============================================================================
-// SCRIPT ENTRY POINT
-// =============================================================================
-
 /**
- * Run the main function and handle any uncaught errors.
+ * Parses the arguments of the `pick` command.
  *
- * The .catch() at the end ensures that if main() throws an error
- * that isn't caught internally, it will be logged to the console.
+ * @param {string[]} argv - Arguments after `node generate.js pick`
+ * @returns {{id: string, number: number|undefined, outDir: string}} What to pick
+ * @throws {Error} If the pet ID is missing or the number isn't a whole number
  *
- * This is a common pattern for async entry points:
- * ```javascript
- * main().catch(console.error);
- * ```
+ * @example
+ * parsePickArgs(["a3f8c1", "2"]);
+ * // => { id: "a3f8c1", number: 2, outDir: "./images" }
  */
-main().catch(console.error);
+function parsePickArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+    },
+    allowPositionals: true,
+  });
+
+  const [id, number, ...extra] = positionals;
+  if (!id || extra.length > 0) {
+    throw new Error("pick needs a pet ID and, optionally, a candidate number");
+  }
+  if (number !== undefined && !/^\d+$/.test(number)) {
+    throw new Error(`Candidate number must be a whole number: ${number}`);
+  }
+
+  return { id, number: number === undefined ? undefined : Number(number), outDir: values.out };
+}
+
+/**
+ * Parses the arguments of the `verify` command.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js verify`
+ * @returns {{outDir: string, quarantine: boolean}} What to check
+ *
+ * @example
+ * parseVerifyArgs(["--quarantine"]);
+ * // => { outDir: "./images", quarantine: true }
+ */
+function parseVerifyArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+      quarantine: { type: "boolean", default: false },
+    },
+  });
+
+  return { outDir: values.out, quarantine: values.quarantine };
+}
+
+/**
+ * Parses the arguments of the `derive` command.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js derive`
+ * @returns {{outDir: string, force: boolean}} What to process
+ */
+function parseDeriveArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+      force: { type: "boolean", default: false },
+    },
+  });
+
+  return { outDir: values.out, force: values.force };
+}
+
+/**
+ * Parses the arguments of the `validate` command (there are none).
+ *
+ * @param {string[]} argv - Arguments after `node generate.js validate`
+ * @returns {{}} Nothing to configure
+ * @throws {Error} If any argument is given
+ */
+function parseValidateArgs(argv) {
+  parseArgs({ args: argv, options: {} });
+  return {};
+}
+
+/**
+ * Parses the arguments of the `site-data` command.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js site-data`
+ * @returns {{check: boolean}} Whether to only check
+ */
+function parseSiteDataArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      check: { type: "boolean", default: false },
+    },
+  });
+
+  return { check: values.check };
+}
+
+/**
+ * Parses the arguments of the `add-pet` command.
+ *
+ * Every field can be given as a flag; the ones left out are asked for.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js add-pet`
+ * @returns {{fields: Object, note: string|undefined, outDir: string, generate: boolean}}
+ *   The fields given (undefined when left out), the comment for pets.js,
+ *   the image folder to avoid IDs from, and whether to make the image
+ *
+ * @example
+ * parseAddPetArgs(["--name", "Pebble", "--species", "cat"]);
+ * // => { fields: { name: "Pebble", species: "cat", subcategory: undefined, ... }, ... }
+ */
+function parseAddPetArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      id: { type: "string" },
+      name: { type: "string" },
+      species: { type: "string" },
+      subcategory: { type: "string" },
+      temperament: { type: "string" },
+      "special-needs": { type: "string" },
+      status: { type: "string" },
+      prompt: { type: "string" },
+      description: { type: "string" },
+      note: { type: "string" },
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+      generate: { type: "boolean", default: false },
+    },
+  });
+
+  return {
+    fields: {
+      id: values.id,
+      name: values.name,
+      species: values.species,
+      subcategory: values.subcategory,
+      temperament: values.temperament,
+      specialNeeds: values["special-needs"],
+      status: values.status,
+      prompt: values.prompt,
+      description: values.description,
+    },
+    note: values.note,
+    outDir: values.out,
+    generate: values.generate,
+  };
+}
+
+/**
+ * Parses the arguments of the `export` command.
+ *
+ * The format comes from `--format`, or else from the `--output` file's
+ * extension, or else it's JSON.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js export`
+ * @returns {{format: string, output: string|undefined, prompt: boolean, images: boolean,
+ *   baseUrl: string|undefined, outDir: string, species: string[], status: string[]}} What to export
+ * @throws {Error} If the format is unknown or the base URL isn't a URL
+ *
+ * @example
+ * parseExportArgs(["--output", "pets.csv", "--species", "dog", "--no-prompt"]);
+ * // => { format: "csv", output: "pets.csv", prompt: false, species: ["dog"], ... }
+ */
+function parseExportArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      format: { type: "string" },
+      output: { type: "string", short: "o" },
+      "no-prompt": { type: "boolean", default: false },
+      images: { type: "boolean", default: false },
+      "base-url": { type: "string" },
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+      species: { type: "string", multiple: true },
+      status: { type: "string", multiple: true },
+    },
+  });
+
+  const format = values.format?.toLowerCase() ?? (values.output && formatForFile(values.output)) ?? "json";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be json, csv or ndjson (got "${values.format}")`);
+  }
+  if (values["base-url"] !== undefined) {
+    try {
+      new URL(values["base-url"]);
+    } catch {
+      throw new Error(`--base-url must be a full URL, like https://example.com/ (got "${values["base-url"]}")`);
+    }
+  }
+
+  return {
+    format,
+    output: values.output,
+    prompt: !values["no-prompt"],
+    // A base URL is only useful with image URLs to put it in
+    images: values.images || values["base-url"] !== undefined,
+    baseUrl: values["base-url"],
+    outDir: values.out,
+    species: splitList(values.species),
+    status: splitList(values.status),
+  };
+}
+
+/**
+ * Parses the arguments of the `import` command.
+ *
+ * @param {string[]} argv - Arguments after `node generate.js import`
+ * @returns {{file: string, merge: boolean, output: string|undefined, dryRun: boolean,
+ *   yes: boolean, outDir: string}} What to import, and where to
+ * @throws {Error} Unless there's one file and exactly one of --merge and --output
+ *
+ * @example
+ * parseImportArgs(["farm.csv", "--output", "pets-farm.js"]);
+ * // => { file: "farm.csv", merge: false, output: "pets-farm.js", dryRun: false, ... }
+ */
+function parseImportArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      merge: { type: "boolean", default: false },
+      output: { type: "string", short: "o" },
+      "dry-run": { type: "boolean", default: false },
+      yes: { type: "boolean", short: "y", default: false },
+      out: { type: "string", default: DEFAULT_OUT_DIR },
+    },
+    allowPositionals: true,
+  });
+
+  if (positionals.length !== 1) throw new Error("import needs one .csv, .json or .ndjson file");
+  if (values.merge === (values.output !== undefined)) {
+    throw new Error("import needs either --merge (add to pets.js) or --output <file> (write a new pets module)");
+  }
+
+  return {
+    file: positionals[0],
+    merge: values.merge,
+    output: values.output,
+    dryRun: values["dry-run"],
+    yes: values.yes,
+    outDir: values.out,
+  };
+}
+
+/**
+ * Picks the pets a run should work on, based on the filter options.
+ *
+ * This is the same `.filter()` pattern the pet browser uses: each option
+ * that was given narrows the list, and options that were left out
+ * let every pet through.
+ *
+ * Species and statuses are checked against the schema in
+ * `lib/validate.js`, and IDs against the pets, so a typo is an error
+ * rather than quietly matching nothing. A real species or status that
+ * no pet has right now (say, no pending birds) is fine: it just selects
+ * no pets.
+ *
+ * @param {import('./pets.js').Pet[]} allPets - The full dataset
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @returns {import('./pets.js').Pet[]} Pets that match every filter (maybe none)
+ * @throws {Error} If a filter names an ID that doesn't exist, or a
+ *   species or status the schema doesn't have
+ *
+ * @example
+ * selectPets(pets, { only: [], species: ["reptile"], status: ["available"] });
+ * // => the six available reptiles
+ */
+function selectPets(allPets, options) {
+  // Check each filter value against what can exist
+  const known = {
+    only: new Set(allPets.map((pet) => pet.id)),
+    species: new Set(SPECIES),
+    status: new Set(STATUSES),
+  };
+
+  for (const [option, values] of Object.entries(known)) {
+    const unknown = options[option].filter((value) => !values.has(value));
+    if (unknown.length > 0) {
+      const expected = option === "only" ? "" : ` (expected: ${[...values].join(", ")})`;
+      throw new Error(`Unknown --${option} value(s): ${unknown.join(", ")}${expected}`);
+    }
+  }
+
+  return allPets
+    .filter((pet) => options.only.length === 0 || options.only.includes(pet.id))
+    .filter(
+      (pet) =>
+        options.species.length === 0 || options.species.includes(pet.species)
+    )
+    .filter(
+      (pet) => options.status.length === 0 || options.status.includes(pet.status)
+    );
+}
+
+// =============================================================================
+// PROMPT BUILDING
+// =============================================================================
+
+/**
+ * Looks up the facial expression for a pet's temperament.
+ *
+ * Defaults to "friendly" if the temperament isn't in our mapping.
+ *
+ * @param {import('./pets.js').Pet} pet - Pet object with a temperament
+ * @returns {string} Expression word used in the prompt
+ *
+ * @example
+ * getExpression({ temperament: "shy" }); // => "gentle"
+ */
+function getExpression(pet) {
+  return temperamentToExpression[pet.temperament] || "friendly";
+}
+
+/**
+ * Builds a complete image generation prompt from pet data.
+ *
+ * The prompt formula was developed through iteration:
+ * 1. Started simple: "a cat" (too generic)
+ * 2. Added style: "cartoon cat" (inconsistent)
+ * 3. Added constraints: "simple cartoon illustration, white background"
+ * 4. Added flat colors to prevent shading variations
+ * 5. Added expression based on temperament for personality
+ *
+ * Final formula (the default template in `lib/prompt.js`):
+ * ```
+ * simple cartoon illustration of a {prompt},
+ * white background, {expression} expression, flat colors
+ * ```
+ *
+ * Species and individual pets can use their own template instead - see
+ * {@link resolvePrompt}.
+ *
+ * @param {import('./pets.js').Pet} pet - Pet object with prompt and temperament
+ * @param {import('./lib/prompt.js').PromptTemplates} [templates={}] - Templates from the config file
+ * @returns {string} Complete prompt for the AI image generator
+ *
+ * @example
+ * const pet = {
+ *   prompt: "fluffy orange tabby cat with green eyes",
+ *   temperament: "affectionate"
+ * };
+ * buildPrompt(pet);
+ * // => "simple cartoon illustration of a fluffy orange tabby cat
+ * //     with green eyes, white background, friendly expression, flat colors"
+ */
+export function buildPrompt(pet, templates = {}) {
+  return resolvePrompt(pet, templates).prompt;
+}
+
+/**
+ * Builds a pet's prompt and reports which template made it.
+ *
+ * The most specific template wins: the pet's own `template`, then its
+ * species' template, then the global one (see `lib/prompt.js`). Its
+ * `{placeholders}` are filled in from the pet.
+ *
+ * @param {import('./pets.js').Pet} pet - Pet to build the prompt for
+ * @param {import('./lib/prompt.js').PromptTemplates} [templates={}] - Templates from the config file
+ * @returns {{prompt: string, template: string, templateSource: string}}
+ *   The prompt, the template text, and where the template came from
+ *
+ * @example
+ * resolvePrompt(goldfish, { speciesTemplates: { aquatic: "{prompt} swimming, blue water" } });
+ * // => { prompt: "bright orange goldfish swimming, blue water",
+ * //      template: "{prompt} swimming, blue water", templateSource: "species:aquatic" }
+ */
+function resolvePrompt(pet, templates = {}) {
+  const { template, source } = selectTemplate(pet, templates);
+
+  // Fill the template's blanks from the pet
+  // The expression comes from the temperament, like before
+  const prompt = renderTemplate(template, {
+    prompt: pet.prompt,
+    expression: getExpression(pet),
+    species: pet.species,
+    subcategory: pet.subcategory,
+    name: pet.name,
+  });
+
+  return { prompt, template, templateSource: source };
+}
+
+// =============================================================================
+// API INTERACTION
+// =============================================================================
+
+/**
+ * Generates a single image for a pet using the chosen provider.
+ *
+ * This function demonstrates several important concepts:
+ *
+ * 1. **async/await**: The function is marked `async` so we can use `await`
+ *    to pause execution until Promises resolve.
+ *
+ * 2. **Interfaces by convention**: every provider has a
+ *    `generate(prompt, request)` method, so this function works the same
+ *    whether it's talking to Runware, an OpenAI-style API or the offline
+ *    placeholder. See `lib/providers/runware.js` for the actual fetch()
+ *    call to Runware.
+ *
+ * 3. **Error handling**: providers throw on HTTP and API-level errors,
+ *    and we let those errors bubble up to the caller.
+ *
+ * @async
+ * @param {import('./pets.js').Pet} pet - Pet object to generate image for
+ * @param {import('./lib/providers/index.js').ImageProvider} provider - Backend to use
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Model, size,
+ *   steps, seed and (for candidates) count
+ * @param {import('./lib/prompt.js').PromptTemplates} [templates={}] - Templates from the config file
+ * @returns {Promise<Array<import('./lib/providers/index.js').ImageResult & {prompt: string, template: string}>>}
+ *   One result per image: bytes or URL, plus cost, seed, and the prompt
+ *   and template that were used
+ * @throws {Error} If the provider fails or returns an error
+ *
+ * @example
+ * const [result] = await generateImage(pet, provider, settings);
+ * console.log(result.url);   // URL to download the image (or result.data)
+ * console.log(result.cost);  // Cost in USD (e.g., 0.0013)
+ */
+export async function generateImage(pet, provider, settings, templates = {}) {
+  // Build the prompt from pet data and its template
+  const { prompt, template } = resolvePrompt(pet, templates);
+
+  // The label is only used by providers that draw text (the placeholder)
+  const results = await provider.generate(prompt, { ...settings, label: pet.name });
+
+  // Hand the prompt and template back too, so they can be recorded in the manifest
+  return results.map((result) => ({ ...result, prompt, template }));
+}
+
+/**
+ * Downloads an image from a URL.
+ *
+ * This demonstrates:
+ * - Using fetch() to download binary data
+ * - Converting Response to ArrayBuffer
+ *
+ * The bytes aren't saved here: the caller checks them first, so an error
+ * page or a cut-off download never lands where the image belongs.
+ *
+ * @async
+ * @param {string} url - URL to download the image from
+ * @returns {Promise<Buffer>} The downloaded bytes
+ * @throws {GenerationError} If the download fails (classified so it can be retried)
+ *
+ * @example
+ * const data = await downloadImage("https://example.com/image.webp");
+ */
+export async function downloadImage(url) {
+  // Fetch the image data
+  const response = await fetch(url);
+
+  // Check for HTTP errors
+  // Generated image URLs are temporary: 403/404/410 usually means the URL
+  // expired, and the fix is to generate the image again
+  if (!response.ok) {
+    const error = httpError(response, `Download failed: ${response.status}`);
+    if ([403, 404, 410].includes(response.status)) error.kind = "expired-url";
+    throw error;
+  }
+
+  // Get the raw binary data as an ArrayBuffer
+  // ArrayBuffer is a fixed-length raw binary data buffer
+  // Buffer.from() converts it to a Node.js Buffer
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// =============================================================================
+// STALE DETECTION
+// =============================================================================
+
+/**
+ * Decides whether a run should (re)generate a pet's image.
+ *
+ * 1. No image file yet - always generate (with `--candidates`, "image"
+ *    means the pet's candidate folder)
+ * 2. `--force` - always regenerate
+ * 3. `--stale` - regenerate only if the manifest says the image no longer
+ *    matches the pet's current prompt and settings
+ * 4. Otherwise - keep the existing image (the classic idempotent skip)
+ *
+ * @param {import('./pets.js').Pet} pet - Pet to plan for
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @param {import('./lib/manifest.js').Manifest} manifest - Manifest for the output folder
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Run settings
+ * @returns {{generate: boolean, reason: string}} What to do, and why
+ */
+function planPet(pet, options, manifest, settings) {
+  const target = options.candidates
+    ? candidateDir(options.outDir, pet.id)
+    : join(options.outDir, imageFilename(pet.id, settings));
+
+  if (!existsSync(target)) {
+    return { generate: true, reason: options.candidates ? "no candidates yet" : "no image yet" };
+  }
+  if (options.force) return { generate: true, reason: "--force" };
+
+  if (options.stale) {
+    const freshness = checkFreshness(
+      manifest.images[pet.id],
+      true,
+      buildPrompt(pet, options.templates),
+      settingsForPet(pet, settings, options)
+    );
+    return { generate: freshness.status === "stale", reason: freshness.reason };
+  }
+
+  return {
+    generate: false,
+    reason: options.candidates ? "candidates already exist" : "already exists",
+  };
+}
+
+/**
+ * Prints which images no longer match their pet data.
+ *
+ * Compares every selected pet's current prompt and settings with the
+ * fingerprint recorded in the manifest. Needs no API key and changes
+ * nothing - run `--stale` afterwards to regenerate the stale ones.
+ *
+ * @async
+ * @param {import('./pets.js').Pet[]} selected - Pets chosen by the filters
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Run settings
+ * @returns {Promise<void>}
+ */
+async function staleReport(selected, options, settings) {
+  const manifest = await loadManifest(options.outDir);
+
+  // Group pets by status, e.g. { stale: [...], fresh: [...] }
+  const groups = { stale: [], missing: [], untracked: [], fresh: [] };
+
+  for (const pet of selected) {
+    const exists = existsSync(join(options.outDir, imageFilename(pet.id, settings)));
+    const freshness = checkFreshness(
+      manifest.images[pet.id],
+      exists,
+      buildPrompt(pet, options.templates),
+      settingsForPet(pet, settings, options)
+    );
+    groups[freshness.status].push({ pet, reason: freshness.reason });
+  }
+
+  console.log(`Checking ${selected.length} images in ${options.outDir} against pets.js...\n`);
+
+  for (const status of ["stale", "missing", "untracked"]) {
+    for (const { pet, reason } of groups[status]) {
+      console.log(`[${status.toUpperCase()}] ${pet.id} - ${pet.name}: ${reason}`);
+    }
+  }
+
+  console.log("\n--- Summary ---");
+  for (const [status, entries] of Object.entries(groups)) {
+    console.log(`${status[0].toUpperCase()}${status.slice(1)}: ${entries.length}`);
+  }
+
+  if (groups.stale.length > 0) {
+    console.log("\nRegenerate the stale images with: node generate.js --stale");
+  }
+}
+
+// =============================================================================
+// PROMPT PREVIEW (DRY RUN)
+// =============================================================================
+
+/**
+ * One row of a dry-run preview: everything that would be sent for a pet.
+ *
+ * @typedef {Object} PromptPreview
+ * @property {string} id - Pet ID (also the image filename)
+ * @property {string} name - Pet name
+ * @property {string} expression - Expression word from the temperament
+ * @property {string} prompt - The final prompt from buildPrompt()
+ * @property {string} template - The template the prompt was built from
+ * @property {string} templateSource - Where the template came from
+ *   ("pet", "species:aquatic", "config" or "default")
+ * @property {string} model - Model ID
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} seed - Seed the image would be generated with
+ */
+
+/**
+ * Builds the preview row for one pet.
+ *
+ * @param {import('./pets.js').Pet} pet - Pet to preview
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - The pet's settings (with seed)
+ * @param {import('./lib/prompt.js').PromptTemplates} [templates] - Templates from the config file
+ * @returns {PromptPreview} What would be sent to the API for this pet
+ */
+function buildPreview(pet, settings, templates) {
+  const { prompt, template, templateSource } = resolvePrompt(pet, templates);
+
+  return {
+    id: pet.id,
+    name: pet.name,
+    expression: getExpression(pet),
+    prompt,
+    template,
+    templateSource,
+    model: settings.model,
+    width: settings.width,
+    height: settings.height,
+    seed: settings.seed,
+  };
+}
+
+/**
+ * Formats preview rows as a Markdown table, handy for pasting into a PR
+ * when reviewing prompt changes in pets.js.
+ *
+ * Pipe characters are escaped so a prompt containing `|` can't break
+ * the table layout.
+ *
+ * @param {PromptPreview[]} previews - Rows to format
+ * @returns {string} Markdown document
+ */
+function formatPreviewMarkdown(previews) {
+  const escape = (text) => String(text).replaceAll("|", "\\|");
+
+  const rows = previews.map(
+    (p) =>
+      `| ${p.id} | ${escape(p.name)} | ${escape(p.expression)} | ${escape(p.prompt)} | ${p.templateSource} | ${p.model} | ${p.width}x${p.height} | ${p.seed} |`
+  );
+
+  return [
+    "# Prompt preview",
+    "",
+    `${previews.length} image(s) would be generated.`,
+    "",
+    "| ID | Name | Expression | Prompt | Template | Model | Size | Seed |",
+    "| -- | ---- | ---------- | ------ | -------- | ----- | ---- | ---- |",
+    ...rows,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Writes preview rows to a file. The format comes from the extension:
+ * `.json` for tools, `.md` for humans.
+ *
+ * @async
+ * @param {string} filename - Where to write the preview
+ * @param {PromptPreview[]} previews - Rows to write
+ * @throws {Error} If the extension isn't `.json` or `.md`
+ *
+ * @example
+ * await writePreview("prompts.md", previews);
+ */
+async function writePreview(filename, previews) {
+  const extension = extname(filename).toLowerCase();
+
+  if (extension === ".json") {
+    await writeFile(filename, JSON.stringify(previews, null, 2) + "\n");
+  } else if (extension === ".md") {
+    await writeFile(filename, formatPreviewMarkdown(previews));
+  } else {
+    throw new Error(`Preview file must end in .json or .md: ${filename}`);
+  }
+}
+
+// =============================================================================
+// PROGRESS EVENTS (onProgress and --json)
+// =============================================================================
+
+/**
+ * Something that happened during a run.
+ *
+ * generateAll() passes these to its `onProgress` callback as they happen.
+ * With `--json`, the command line writes them to standard output, one
+ * JSON object per line (NDJSON), so a script can read them as they come;
+ * the usual log goes to standard error instead. Every event has a `type`
+ * and a `time`:
+ *
+ * - `start`: pets selected, provider, settings, output folder, estimate
+ * - `skip`: a pet that already has its image (`reason` says why)
+ * - `request`: a request about to be sent (`attempt` counts retries)
+ * - `retry`: a temporary failure that will be tried again
+ * - `generated`: a pet's image (or candidates) saved, with files and cost
+ * - `warning`: the image is fine, but its thumbnails couldn't be made
+ * - `failed`: a pet that failed for good, with its error kind
+ *
+ * Only the command line writes these two:
+ *
+ * - `summary`: always last - counts, costs, what's left, and the exit code
+ * - `error`: a fatal problem before or outside the run (bad option, no
+ *   API key...); the process exits with `EXIT_CODES.FATAL`
+ *
+ * @typedef {Object} RunEvent
+ * @property {string} type - One of the types above
+ * @property {string} time - When it happened (ISO 8601)
+ */
+
+/**
+ * Writes one event to standard output as a line of JSON.
+ *
+ * @param {Omit<RunEvent, 'time'> & {time?: string}} event - Event to write;
+ *   the time is added if it doesn't have one
+ * @returns {void}
+ *
+ * @example
+ * writeEvent({ type: "skip", id: "a3f8c1", name: "Whiskers", reason: "exists" });
+ * // {"type":"skip","id":"a3f8c1","name":"Whiskers","reason":"exists","time":"2026-..."}
+ */
+function writeEvent(event) {
+  process.stdout.write(JSON.stringify({ ...event, time: event.time ?? new Date().toISOString() }) + "\n");
+}
+
+/**
+ * Reports a fatal error and exits with `EXIT_CODES.FATAL`.
+ *
+ * @param {string} message - What went wrong
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.json=false] - Also write an `error` event (--json)
+ * @param {boolean} [options.usage=false] - Print the usage text after the message
+ * @returns {never}
+ */
+function exitWithError(message, { json = false, usage = false } = {}) {
+  if (json) writeEvent({ type: "error", message });
+  console.error(`Error: ${message}`);
+  if (usage) console.error(`\n${USAGE}`);
+  process.exit(EXIT_CODES.FATAL);
+}
+
+// =============================================================================
+// MAIN EXECUTION
+// =============================================================================
+
+/**
+ * Describes a freshly saved image for the manifest (or a candidate record).
+ *
+ * @param {import('./pets.js').Pet} pet - Pet the image is for
+ * @param {import('./lib/providers/index.js').ImageResult & {prompt: string, data: Buffer, file: string}} result
+ *   What the provider returned, plus the saved bytes and file path
+ * @param {import('./lib/providers/index.js').ImageProvider} provider - Backend that made it
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - The pet's settings (with seed)
+ * @param {string} [style] - Style preset the run used, if any
+ * @returns {import('./lib/manifest.js').ManifestEntry} Entry to record
+ */
+function buildManifestEntry(pet, result, provider, settings, style) {
+  return {
+    id: pet.id,
+    name: pet.name,
+    file: basename(result.file),
+    sha256: hashImage(result.data),
+    bytes: result.data.length,
+    prompt: result.prompt,
+    template: result.template,
+    negativePrompt: settings.negativePrompt,
+    style,
+    provider: provider.name,
+    model: settings.model,
+    width: settings.width,
+    height: settings.height,
+    steps: settings.steps,
+    outputFormat: settings.outputFormat,
+    outputQuality: settings.outputQuality,
+    seed: result.seed ?? null,
+    cost: result.cost ?? null,
+    taskId: result.taskId ?? null,
+    imageId: result.id ?? null,
+    generatedAt: new Date().toISOString(),
+
+    // Hash of prompt + the requested settings, compared later to spot
+    // stale images. For candidates this uses the pet's own seed (not
+    // seed + n), so a picked candidate stays fresh
+    fingerprint: fingerprint(result.prompt, settings),
+  };
+}
+
+/**
+ * What happened to one pet in a {@link generateAll} run.
+ *
+ * @typedef {Object} PetResult
+ * @property {string} id - Pet ID
+ * @property {string} name - Pet name
+ * @property {"generated"|"skipped"|"failed"|"not-attempted"} status - Outcome
+ *   ("not-attempted": the run stopped before this pet started)
+ * @property {string|null} reason - Why it was generated or skipped, e.g.
+ *   "no image yet", "prompt changed" or "already exists"
+ * @property {string[]} files - Images saved (one, or one per candidate)
+ * @property {Array<number|null>} seeds - Seed of each saved image
+ * @property {number|null} cost - What its images cost in USD, if reported
+ * @property {GenerationError|null} error - Why it failed
+ */
+
+/**
+ * What {@link generateAll} resolves to.
+ *
+ * @typedef {Object} RunResult
+ * @property {PetResult[]} pets - One result per pet, in the order given
+ * @property {number} generated - Pets whose images were made in this run
+ * @property {number} skipped - Pets that already had their image
+ * @property {number} failed - Pets that failed
+ * @property {number} notAttempted - Pets that were never started
+ * @property {number} totalCost - Money spent in USD, as reported by the provider
+ * @property {number|null} estimatedCost - The estimate made before the first
+ *   request (null when the model's price is unknown)
+ * @property {GenerationError|null} aborted - The fatal error (like a bad API
+ *   key or a reached `maxCost`) that stopped the run early, if any
+ * @property {boolean} stopped - Whether `signal` stopped the run early
+ * @property {string|null} reviewPage - The candidates' review page, with `candidates`
+ */
+
+/**
+ * Options for {@link generateAll}. Everything is optional; anything left
+ * out gets the same default as on the command line.
+ *
+ * @typedef {Object} GenerateAllOptions
+ * @property {string|import('./lib/providers/index.js').ImageProvider} [provider="runware"] -
+ *   Provider name (created with keys from the environment variables) or a
+ *   ready-made provider; its `name` picks the default model and format.
+ *   A provider that isn't in the registry must have its own `defaultModel`
+ *   and `formats` (its costs are unknown until the images report them)
+ * @property {import('./lib/config.js').SettingsConfig} [settings] - Settings
+ *   that override the defaults and the style's
+ * @property {string} [style] - Art style preset (see lib/styles.js)
+ * @property {import('./lib/prompt.js').PromptTemplates} [templates] - Prompt
+ *   templates (default: the style's, or none)
+ * @property {string} [outDir] - Output folder (default: ./images, or
+ *   ./images/<style> with a style)
+ * @property {boolean} [force=false] - Regenerate images that already exist
+ * @property {boolean} [stale=false] - Regenerate images that no longer match their data
+ * @property {string} [seedSalt=""] - Salt mixed into every derived seed
+ * @property {number} [candidates] - Candidates per pet, instead of one image
+ * @property {number} [concurrency=1] - Maximum images generated at once
+ * @property {string|import('./lib/rate-limit.js').Rate} [rate="5/s"] - Request rate limit
+ * @property {number} [burst=1] - Requests allowed back-to-back before `rate` applies
+ * @property {number} [retries=3] - Retries for temporary failures
+ * @property {number} [maxCost] - Spending cap in USD
+ * @property {AbortSignal} [signal] - Stops the run: no new pets are started,
+ *   and the ones in progress finish
+ * @property {(event: RunEvent) => void} [onProgress] - Called with every
+ *   {@link RunEvent} as it happens (it shouldn't throw)
+ */
+
+/**
+ * Generates images for a list of pets - the whole run, as a function.
+ *
+ * This is what `node generate.js` runs, and other Node scripts can call
+ * it the same way. It never prints or exits: progress is reported
+ * through `onProgress`, and the promise resolves to what happened to
+ * each pet.
+ *
+ * The steps:
+ * 1. Resolves and checks the settings and templates, and checks the pets
+ * 2. Creates the output directory if needed
+ * 3. Works through the pets with a pool of workers
+ * 4. Skips pets that already have images (idempotent), unless `force`
+ * 5. Generates and saves images for the rest, rate limited and within budget
+ * 6. Records each image in `manifest.json` and adds up the costs
+ *
+ * One pet failing doesn't stop the others. A fatal error (a rejected API
+ * key, the budget reached) stops new pets from starting and is returned
+ * as `aborted`; only bad settings, templates or pets make the promise reject.
+ *
+ * @async
+ * @param {import('./pets.js').Pet[]} selected - Pets to generate
+ * @param {GenerateAllOptions} [options={}] - How to generate them
+ * @returns {Promise<RunResult>} Per-pet results and totals
+ * @throws {Error} If a setting, template or pet is invalid, or the
+ *   provider can't be created (e.g. its API key isn't set)
+ *
+ * @example
+ * import { generateAll } from "./generate.js";
+ * import { pets } from "./pets.js";
+ *
+ * const birds = pets.filter((pet) => pet.species === "bird");
+ * const run = await generateAll(birds, {
+ *   provider: "placeholder",
+ *   outDir: "./scratch",
+ *   onProgress: (event) => console.log(event.type, event.id ?? ""),
+ * });
+ * console.log(`${run.generated} generated, ${run.failed} failed`);
+ */
+export async function generateAll(selected, options = {}) {
+  // ==========================================================================
+  // Options
+  // ==========================================================================
+
+  const provider =
+    typeof options.provider === "object"
+      ? options.provider
+      : createProvider(options.provider ?? DEFAULT_PROVIDER, process.env);
+
+  // A provider made outside the registry brings its own model and formats
+  const entry = PROVIDERS[provider.name] ?? provider;
+  if (typeof entry.defaultModel !== "string" || !Array.isArray(entry.formats) || entry.formats.length === 0) {
+    throw new Error(
+      `Provider "${provider.name}" isn't registered in lib/providers/index.js, so it needs its own defaultModel and formats`
+    );
+  }
+  const settings = resolveSettings({ provider: entry, style: options.style, settings: options.settings });
+
+  // A style's templates are the default; the caller's replace them
+  const style = options.style ? getStyle(options.style) : null;
+  const templates =
+    options.templates ?? (style ? { template: style.template, speciesTemplates: style.speciesTemplates } : {});
+  checkTemplates(templates, selected);
+  checkPets(selected);
+
+  const run = {
+    ...options,
+    outDir: options.outDir ?? outDirFor(options.style),
+    templates,
+    seedSalt: options.seedSalt ?? "",
+    concurrency: options.concurrency ?? 1,
+    rate: typeof options.rate === "object" ? options.rate : parseRate(options.rate ?? DEFAULT_RATE),
+    burst: options.burst ?? 1,
+    retries: options.retries ?? DEFAULT_RETRIES,
+  };
+
+  // Every event gets a timestamp, so a saved event log can be replayed
+  const emit = (event) => options.onProgress?.({ ...event, time: new Date().toISOString() });
+
+  // ==========================================================================
+  // Directory Setup
+  // ==========================================================================
+
+  // Ensure the output directory exists
+  // existsSync is synchronous - fine for one-time startup checks
+  if (!existsSync(run.outDir)) {
+    // mkdir creates the directory
+    // recursive: true also creates any missing parent folders (like mkdir -p)
+    await mkdir(run.outDir, { recursive: true });
+  }
+
+  // ==========================================================================
+  // Progress Tracking
+  // ==========================================================================
+
+  // Track total API costs across all generations
+  let totalCost = 0;
+
+  // One result per pet, filled in as each finishes; pets the run never
+  // reaches stay "not-attempted"
+  /** @type {Map<string, PetResult>} */
+  const outcomes = new Map(
+    selected.map((pet) => [
+      pet.id,
+      {
+        id: pet.id,
+        name: pet.name,
+        status: "not-attempted",
+        reason: null,
+        files: [],
+        seeds: [],
+        cost: null,
+        error: null,
+      },
+    ])
+  );
+
+  // Load the manifest so new entries are added alongside existing ones
+  // It also tells --stale which images no longer match their data
+  const manifest = await loadManifest(run.outDir);
+  const recorder = createManifestRecorder(run.outDir, manifest);
+
+  const estimate = estimateRun(selected, run, manifest, settings);
+  emit({
+    type: "start",
+    pets: selected.map((pet) => pet.id),
+    provider: provider.name,
+    settings,
+    style: run.style ?? null,
+    candidates: run.candidates ?? null,
+    concurrency: run.concurrency,
+    outDir: run.outDir,
+    estimatedCost: estimate.total,
+    maxCost: run.maxCost ?? null,
+  });
+
+  // ==========================================================================
+  // Rate Limiting (be nice to the API)
+  // ==========================================================================
+
+  // One token bucket shared by every worker, so --concurrency 8 still
+  // sends no more than --rate requests in total
+  const limiter = createRateLimiter({ ...run.rate, burst: run.burst });
+
+  // ==========================================================================
+  // Budget (--max-cost)
+  // ==========================================================================
+
+  // Each request reserves its estimated price before it is sent, so
+  // workers running side by side can't overshoot the cap together
+  const budget = createBudget({
+    maxCost: run.maxCost,
+    perRequest: estimate.perImage === null ? null : estimate.perImage * (run.candidates || 1),
+  });
+
+  // ==========================================================================
+  // Generation Loop
+  // ==========================================================================
+
+  /**
+   * Generates and saves the image for one pet.
+   *
+   * Several of these run at the same time (see --concurrency), so every
+   * event names the pet it belongs to - events from different pets may
+   * be interleaved.
+   *
+   * @param {import('./pets.js').Pet} pet - Pet to generate an image for
+   * @returns {Promise<void>}
+   */
+  async function processPet(pet) {
+    const outcome = outcomes.get(pet.id);
+
+    // Build the output filename using the pet's unique ID
+    const filename = join(run.outDir, imageFilename(pet.id, settings));
+
+    // --------------------------------------------------------------------------
+    // Skip existing images (idempotent operation)
+    // --------------------------------------------------------------------------
+
+    // Check if this image already exists (and, with --stale, is up to date)
+    // This makes the script safe to re-run - it won't regenerate existing images
+    // --force skips this check so a bad image can be replaced in place
+    const plan = planPet(pet, run, manifest, settings);
+    if (!plan.generate) {
+      Object.assign(outcome, { status: "skipped", reason: plan.reason });
+      emit({ type: "skip", id: pet.id, name: pet.name, reason: plan.reason });
+      return;
+    }
+    outcome.reason = plan.reason;
+
+    // --------------------------------------------------------------------------
+    // Generate new image
+    // --------------------------------------------------------------------------
+
+    // Same pet, same seed: a regenerated image only changes as much as
+    // its prompt or settings did
+    const petSettings = settingsForPet(pet, settings, run);
+
+    // With --candidates, all images come from one request (seeds seed,
+    // seed + 1, ...) and go to the pet's candidate folder instead
+    const count = run.candidates || 1;
+
+    // Candidates are written to a staging folder, which replaces the
+    // pet's candidate folder only once the whole round is saved
+    let staging = null;
+
+    try {
+      // withRetry() calls our function again after a temporary failure,
+      // waiting a little longer each time (exponential backoff)
+      const results = await withRetry(
+        async (attempt) => {
+          // Wait for a token before calling the API
+          // Retries take a token too, so they respect the rate limit
+          await limiter.take();
+
+          // Stop before a request that could go over --max-cost
+          // (a "budget" error is fatal: no retries, no new pets)
+          const reserved = budget.reserve();
+
+          emit({ type: "request", id: pet.id, name: pet.name, reason: plan.reason, count, attempt });
+
+          // Ask the provider to generate the image(s)
+          // Each result has the image (bytes or URL), cost, seed, etc.
+          let results;
+          try {
+            results = await generateImage(pet, provider, { ...petSettings, count }, run.templates);
+          } catch (error) {
+            // A rejected request isn't billed
+            budget.settle(reserved, 0);
+            throw error;
+          }
+
+          // Swap the estimate for the reported cost, when there is one
+          const reported = results.filter((result) => typeof result.cost === "number");
+          budget.settle(
+            reserved,
+            reported.length > 0 ? reported.reduce((sum, result) => sum + result.cost, 0) : undefined
+          );
+
+          // Track the cost (with fallback to 0 if not provided)
+          // Counted straight away: a failed download still cost money
+          // JavaScript runs one callback at a time, so concurrent workers
+          // can safely update these shared counters
+          for (const result of results) totalCost += result.cost || 0;
+
+          // Each attempt starts a fresh round, so retries never mix
+          if (run.candidates) staging = await stageCandidates(run.outDir, pet.id);
+
+          const saved = [];
+          for (const [index, result] of results.entries()) {
+            const file = staging ? join(staging, imageFilename(index + 1, settings)) : filename;
+
+            // Providers send the bytes inline whenever the backend can,
+            // which saves a second request; otherwise we get a temporary
+            // URL that we still need to download
+            const data = result.data ?? (await downloadImage(result.url));
+
+            // An error page or a cut-off file must not pass for an image:
+            // it would be skipped as "already exists" on every later run.
+            // It's checked before it is written, so with --force or --stale
+            // the good image already there stays put
+            const problems = verifyImage(data, petSettings);
+            if (problems.length > 0) {
+              const name = staging ? `${pet.id}-${basename(file)}` : basename(file);
+              const moved = await quarantineData(run.outDir, data, name);
+              throw new GenerationError(`Invalid image (moved to ${moved}): ${problems.join("; ")}`, {
+                kind: "invalid-image",
+              });
+            }
+
+            // writeFileAtomic writes a temporary file and renames it when
+            // complete, so an interrupted write never leaves a half-image
+            await writeFileAtomic(file, data);
+            saved.push({ ...result, data, file });
+          }
+
+          return saved;
+        },
+        {
+          retries: run.retries,
+          // Once the run is stopped, a failure is final: no new attempts
+          signal: run.signal,
+          onRetry: (error, attempt, delayMs) =>
+            emit({ type: "retry", id: pet.id, kind: error.kind, message: error.message, attempt, delayMs }),
+        }
+      );
+
+      // Record how each image was made (prompt, settings, seed, cost, hash)
+      const entries = results.map((result) => buildManifestEntry(pet, result, provider, petSettings, run.style));
+
+      if (run.candidates) {
+        // Candidates go in their own record until one is picked
+        await commitCandidates(run.outDir, staging, {
+          id: pet.id,
+          name: pet.name,
+          picked: null,
+          pickedAt: null,
+          candidates: entries,
+        });
+      } else {
+        await recorder.record(entries[0]);
+      }
+
+      const reported = results.filter((result) => typeof result.cost === "number");
+      Object.assign(outcome, {
+        status: "generated",
+        files: results.map((result) =>
+          run.candidates ? join(candidateDir(run.outDir, pet.id), basename(result.file)) : result.file
+        ),
+        seeds: results.map((result) => result.seed ?? null),
+        cost: reported.length > 0 ? reported.reduce((sum, result) => sum + result.cost, 0) : null,
+      });
+      emit({
+        type: "generated",
+        id: pet.id,
+        name: pet.name,
+        reason: plan.reason,
+        files: outcome.files,
+        seeds: outcome.seeds,
+        cost: outcome.cost,
+      });
+
+      // Thumbnail and placeholder for the pet browser (not for candidates)
+      if (!run.candidates) {
+        const warning = await deriveAfterSave(run.outDir, filename);
+        if (warning) emit({ type: "warning", id: pet.id, message: warning });
+      }
+    } catch (thrown) {
+      // ------------------------------------------------------------------------
+      // Error handling
+      // ------------------------------------------------------------------------
+
+      // withRetry() always throws a classified GenerationError, but saving
+      // the manifest or candidates afterwards can throw anything
+      const error = classifyError(thrown);
+
+      // Record the error but continue with other pets
+      // This way one failure doesn't stop the whole batch
+      Object.assign(outcome, { status: "failed", error });
+      emit({
+        type: "failed",
+        id: pet.id,
+        name: pet.name,
+        kind: error.kind,
+        message: error.message,
+        attempts: error.attempts ?? 1,
+      });
+
+      // ...unless it is fatal (like a bad API key): every other pet would
+      // fail the same way, so re-throw to stop the worker pool
+      if (error.fatal) throw error;
+    } finally {
+      // A round that didn't finish leaves the previous candidates alone
+      if (staging) await discardCandidates(staging);
+    }
+  }
+
+  // Hand the pets to a pool of workers
+  // With --concurrency 1 (the default) this is a plain one-at-a-time loop
+  // A fatal error stops new pets from starting; pets already in progress finish
+  let aborted = null;
+  try {
+    await runPool(selected, run.concurrency, processPet, { signal: run.signal });
+  } catch (error) {
+    aborted = classifyError(error);
+  }
+
+  // Candidates still need a human to choose between them
+  const reviewPage = run.candidates ? await writeReviewPage(run.outDir) : null;
+
+  // ==========================================================================
+  // Totals
+  // ==========================================================================
+
+  const results = [...outcomes.values()];
+  const count = (status) => results.filter((result) => result.status === status).length;
+  return {
+    pets: results,
+    generated: count("generated"),
+    skipped: count("skipped"),
+    failed: count("failed"),
+    notAttempted: count("not-attempted"),
+    totalCost,
+    estimatedCost: estimate.total,
+    aborted,
+    stopped: Boolean(run.signal?.aborted),
+    reviewPage: reviewPage ?? null,
+  };
+}
+
+/**
+ * Runs the generator for the command line: {@link generateAll}, plus
+ * everything that only makes sense in a terminal.
+ *
+ * - Prints a log line for each {@link RunEvent}, with a `[done/total]`
+ *   counter (with `--json`, the events themselves go to stdout and the
+ *   log to stderr)
+ * - Ctrl-C stops the run cleanly; a second Ctrl-C quits at once
+ * - Keeps the `--resume` list of unfinished pets up to date
+ * - Prints the summary and works out the exit code
+ *
+ * @async
+ * @param {import('./pets.js').Pet[]} selected - Pets chosen by the filters
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @param {import('./lib/providers/index.js').ImageProvider} provider - Backend to use
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Model, size,
+ *   steps and format for the whole run (from resolveSettings)
+ * @returns {Promise<RunEvent>} The summary event; its `exitCode` is what
+ *   the process should exit with
+ */
+async function main(selected, options, provider, settings) {
+  // With --json, stdout is kept for events; people still get the log on stderr
+  const log = options.json ? console.error : console.log;
+
+  // Log startup message with pet count
+  log(
+    `Starting generation of ${selected.length} pet images (${provider.name}, ${settings.model}, ${settings.width}x${settings.height} ${settings.outputFormat}, ${options.concurrency} at a time)...`
+  );
+  if (options.style) log(`Style: ${options.style} -> ${options.outDir}`);
+  log("");
+
+  // ==========================================================================
+  // Interruption (Ctrl-C)
+  // ==========================================================================
+
+  // The first Ctrl-C (or SIGTERM) stops new pets from starting and lets
+  // the ones in progress finish, so we still get the summary. A second
+  // one quits at once - safe too, since images are written atomically.
+  const stop = new AbortController();
+  let interrupted = null;
+  const onSignal = (signal) => {
+    if (interrupted) {
+      log(`\n${signal} again - quitting now. Resume with: node generate.js --resume`);
+      process.exit(128 + osConstants.signals[signal]);
+    }
+    interrupted = signal;
+    stop.abort();
+    log(`\n${signal} received - finishing the images in progress, then stopping (press Ctrl-C again to quit now)...`);
+  };
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  // ==========================================================================
+  // Progress Log
+  // ==========================================================================
+
+  // Pets that are done (generated or skipped) are crossed off a list on
+  // disk as they finish, so a stopped run knows exactly which are left
+  const tracker = await trackRun(options.argv, selected.map((pet) => pet.id));
+
+  // Progress counter shown as [done/total]
+  let finished = 0;
+  const progress = () => `[${++finished}/${selected.length}]`;
+
+  // Set once a thumbnail failure has been reported
+  let warned = false;
+
+  /**
+   * Turns one event into a log line (and, with --json, a line of JSON).
+   *
+   * @param {RunEvent} event - Event from generateAll()
+   * @returns {void}
+   */
+  function onProgress(event) {
+    if (options.json) writeEvent(event);
+
+    switch (event.type) {
+      case "skip":
+        log(`${progress()} [SKIP] ${event.id} - ${event.reason}`);
+        break;
+
+      case "request": {
+        // Say why, when it's a regeneration
+        const retryNote = event.attempt > 1 ? ` (attempt ${event.attempt})` : "";
+        const reasonNote = event.reason.startsWith("no ") ? "" : ` [${event.reason}]`;
+        const countNote = options.candidates ? ` (${event.count} candidates)` : "";
+        log(`[GEN] ${event.id} - ${event.name}${countNote}${reasonNote}${retryNote}...`);
+        break;
+      }
+
+      case "retry":
+        log(`  ↻ ${event.id} ${event.kind}: ${event.message} - retrying in ${(event.delayMs / 1000).toFixed(1)}s`);
+        break;
+
+      case "generated": {
+        // toFixed(4) formats the number to 4 decimal places
+        const cost = event.cost === null ? "?" : event.cost.toFixed(4);
+        const saved = options.candidates
+          ? `${event.files.length} candidates to ${candidateDir(options.outDir, event.id)}`
+          : event.files[0];
+        log(`${progress()} ✓ ${event.id} saved ${saved} (cost: $${cost})`);
+        break;
+      }
+
+      case "warning":
+        // A missing sharp is only worth mentioning once
+        if (!warned) log(`  ! ${event.message} - run "node generate.js derive" later`);
+        warned = true;
+        break;
+
+      case "failed": {
+        const tries = event.attempts > 1 ? ` after ${event.attempts} attempts` : "";
+        console.error(`${progress()} ✗ ${event.id} failed (${event.kind}${tries}): ${event.message}`);
+        break;
+      }
+    }
+
+    // The list is saved in the background; finish() waits for it, and a
+    // failed save only makes --resume redo a pet
+    if (event.type === "skip" || event.type === "generated") {
+      tracker.done(event.id).catch(() => {});
+    }
+  }
+
+  let result;
+  try {
+    result = await generateAll(selected, { ...options, provider, settings, signal: stop.signal, onProgress });
+  } finally {
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+  }
+
+  // ==========================================================================
+  // Summary Report
+  // ==========================================================================
+
+  const failures = result.pets.filter((pet) => pet.status === "failed");
+
+  log("\n--- Summary ---");
+  log(`Generated: ${result.generated + result.skipped}`);
+  log(`Failed: ${result.failed}`);
+
+  // List every failed pet with its error class, so it's clear which
+  // ones are worth re-running and which need a prompt or key fix
+  for (const { id, error } of failures) {
+    log(`  ${id}  ${(error.kind ?? "unknown").padEnd(14)} ${error.message}`);
+  }
+
+  if (result.aborted || interrupted) {
+    log(`Not attempted: ${result.notAttempted}`);
+  }
+  if (result.aborted) {
+    log(`\nRun aborted (${result.aborted.kind}): ${result.aborted.message}`);
+  } else if (interrupted) {
+    log(`\nRun interrupted (${interrupted})`);
+  }
+
+  log(`Total cost: $${result.totalCost.toFixed(4)}`);
+  if (result.estimatedCost !== null) log(`Estimated: ${formatCost(result.estimatedCost)}`);
+  if (options.maxCost !== undefined) log(`Max cost: ${formatCost(options.maxCost)}`);
+
+  if (result.reviewPage) {
+    log(`\nReview the candidates in ${result.reviewPage}`);
+    log("then keep one with: node generate.js pick <id> <number>");
+  }
+
+  // ==========================================================================
+  // Resuming
+  // ==========================================================================
+
+  // Pets that failed, were interrupted or never started stay on the
+  // list, so --resume can finish exactly those with the same options
+  const remaining = await tracker.finish();
+  if (remaining.length > 0) {
+    log(`\n${remaining.length} pet(s) left - finish them with: node generate.js --resume`);
+  }
+
+  // ==========================================================================
+  // Exit Code
+  // ==========================================================================
+
+  // 128 + the signal's number (130 for SIGINT, 143 for SIGTERM) is the
+  // usual "stopped by a signal"; see EXIT_CODES for the others
+  let exitCode = EXIT_CODES.OK;
+  if (interrupted) exitCode = 128 + osConstants.signals[interrupted];
+  else if (result.aborted) exitCode = EXIT_CODES.FATAL;
+  else if (result.failed > 0) exitCode = EXIT_CODES.FAILED;
+
+  const summary = {
+    type: "summary",
+    selected: selected.length,
+    generated: result.generated,
+    skipped: result.skipped,
+    failed: failures.map(({ id, error }) => ({ id, kind: error.kind, message: error.message })),
+    notAttempted: result.notAttempted,
+    totalCost: result.totalCost,
+    estimatedCost: result.estimatedCost,
+    maxCost: options.maxCost ?? null,
+    aborted: result.aborted ? { kind: result.aborted.kind, message: result.aborted.message } : null,
+    interrupted,
+    remaining,
+    exitCode,
+  };
+  if (options.json) writeEvent(summary);
+  return summary;
+}
+
+/**
+ * Dry-run version of generateAll(): shows what a real run would send, for free.
+ *
+ * It walks the same selected pets and applies the same skip rule as
+ * generateAll(), but instead of calling the API it prints each prompt and
+ * optionally writes them all to a `--preview` file. No API key, no
+ * network, no images written.
+ *
+ * @async
+ * @param {import('./pets.js').Pet[]} selected - Pets chosen by the filters
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Run settings
+ * @returns {Promise<void>}
+ */
+async function dryRun(selected, options, settings) {
+  console.log(`Dry run: previewing ${selected.length} pet images...\n`);
+
+  const manifest = await loadManifest(options.outDir);
+  const previews = [];
+
+  for (const pet of selected) {
+    // Same skip rules as a real run (including --stale)
+    const plan = planPet(pet, options, manifest, settings);
+    if (!plan.generate) {
+      console.log(`[SKIP] ${pet.id} - ${plan.reason}`);
+      continue;
+    }
+
+    const preview = buildPreview(pet, settingsForPet(pet, settings, options), options.templates);
+    previews.push(preview);
+
+    console.log(`[DRY] ${pet.id} - ${pet.name} (${preview.expression}, seed ${preview.seed})`);
+    console.log(`  template (${preview.templateSource}): ${preview.template}`);
+    console.log(`  prompt: ${preview.prompt}`);
+  }
+
+  if (options.preview) {
+    await writePreview(options.preview, previews);
+    console.log(`\nPreview written to ${options.preview}`);
+  }
+
+  console.log("\n--- Summary ---");
+  console.log(
+    options.candidates
+      ? `Would generate: ${previews.length} pets x ${options.candidates} candidates`
+      : `Would generate: ${previews.length}`
+  );
+  console.log(
+    `Settings: ${options.provider} ${settings.model}, ${settings.width}x${settings.height}, ${settings.steps} steps, ${settings.outputFormat} (quality ${settings.outputQuality})`
+  );
+  if (options.style) console.log(`Style: ${options.style} -> ${options.outDir}`);
+  if (settings.negativePrompt) console.log(`Negative prompt: ${settings.negativePrompt}`);
+
+  const { images, perImage, total } = estimateRun(selected, options, manifest, settings);
+  console.log(`Estimated cost: ${images} image(s) x ${formatCost(perImage)} = ${formatCost(total)}`);
+  if (options.maxCost !== undefined) console.log(`Max cost: ${formatCost(options.maxCost)}`);
+}
+
+// =============================================================================
+// COST ESTIMATE
+// =============================================================================
+
+/**
+ * Estimates what a run will cost before anything is sent.
+ *
+ * Counts the pets that would really be generated (the same skip rules
+ * as generateAll()), times the candidates per pet, times the price of one image
+ * from `lib/cost.js`.
+ *
+ * @param {import('./pets.js').Pet[]} selected - Pets chosen by the filters
+ * @param {GenerateOptions} options - Parsed command-line options
+ * @param {Object<string, import('./lib/manifest.js').ManifestEntry>} manifest - Loaded manifest
+ * @param {import('./lib/providers/index.js').ImageRequest} settings - Run settings
+ * @returns {{images: number, perImage: number|null, total: number|null}}
+ *   Image count and prices in USD (null when the model's price is unknown)
+ *
+ * @example
+ * estimateRun(pets, options, manifest, settings);
+ * // => { images: 48, perImage: 0.0013, total: 0.0624 }
+ */
+function estimateRun(selected, options, manifest, settings) {
+  const pending = selected.filter((pet) => planPet(pet, options, manifest, settings).generate);
+  const images = pending.length * (options.candidates || 1);
+  const perImage = pricePerImage(settings);
+  return { images, perImage, total: perImage === null ? null : images * perImage };
+}
+
+/**
+ * Prints the estimate and decides whether the run may start.
+ *
+ * - Over `--max-cost`: a warning that the run will stop early. It still
+ *   starts, and generates pets until the next request could go over
+ *   the cap (the budget in generateAll() enforces that)
+ * - Over the confirmation threshold: asks "Continue?", unless `--yes`
+ *   was given (with a cap, only what the cap lets it spend counts). Without a terminal to ask (CI, pipes) the run is refused,
+ *   so a script never spends money without someone saying so.
+ *
+ * @async
+ * @param {{images: number, perImage: number|null, total: number|null}} estimate - From estimateRun()
+ * @param {GenerateOptions} options - Options, with the resolved limits
+ * @returns {Promise<boolean>} True if the run should go ahead, false if
+ *   the person said no
+ * @throws {Error} If the run is refused without asking (no terminal to ask on)
+ */
+async function approveCost(estimate, options) {
+  // With --json, stdout is reserved for events
+  const log = options.json ? console.error : console.log;
+
+  if (estimate.total === null) {
+    log(
+      `Estimated cost: unknown (no price for this model in lib/cost.js), ${estimate.images} image(s)`
+    );
+    if (options.maxCost !== undefined) {
+      log("  --max-cost still applies to the costs the provider reports");
+    }
+    return true;
+  }
+
+  log(
+    `Estimated cost: ${estimate.images} image(s) x ${formatCost(estimate.perImage)} = ${formatCost(estimate.total)}`
+  );
+
+  // The cap stops the run part-way, so at most the cap is spent
+  let spend = estimate.total;
+  if (options.maxCost !== undefined && estimate.total > options.maxCost) {
+    log(
+      `  That's over --max-cost ${formatCost(options.maxCost)}: the run will stop before the request that would go over it`
+    );
+    spend = options.maxCost;
+  }
+
+  if (spend <= options.confirmAbove || options.yes) return true;
+
+  if (!process.stdin.isTTY) {
+    throw new Error(`the run could cost over ${formatCost(options.confirmAbove)}; pass --yes to confirm it without a terminal.`);
+  }
+
+  const readline = createInterface({ input: process.stdin, output: options.json ? process.stderr : process.stdout });
+  try {
+    const answer = await readline.question("Continue? [y/N] ");
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    readline.close();
+  }
+}
+
+// =============================================================================
+// VERIFYING IMAGES
+// =============================================================================
+
+/**
+ * Output formats by file extension, e.g. `{ webp: "WEBP", ... }`.
+ *
+ * @constant {Record<string, string>}
+ */
+const FORMATS_BY_EXTENSION = Object.fromEntries(
+  Object.entries(OUTPUT_FORMATS).map(([format, extension]) => [extension, format])
+);
+
+/**
+ * Lists the pet images directly inside the output folder (not the
+ * candidates, thumbnails or quarantine in its subfolders).
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @returns {Promise<string[]>} Filenames like "a3f8c1.webp", sorted
+ * @throws {Error} If the folder doesn't exist
+ */
+async function listImages(outDir) {
+  if (!existsSync(outDir)) throw new Error(`No such folder: ${outDir}`);
+
+  return (await readdir(outDir, { withFileTypes: true }))
+    .filter((entry) => entry.isFile() && FORMATS_BY_EXTENSION[extname(entry.name).slice(1).toLowerCase()])
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * The `verify` command: checks every image in the output folder.
+ *
+ * Each file must be a complete image in the format its extension says,
+ * with the size its manifest entry records (images without an entry are
+ * only checked for format and completeness). See `lib/verify.js`.
+ *
+ * Bad files are listed; with `--quarantine` they are also moved out of
+ * the way, so the next run sees them as missing and generates them again.
+ * Exits with `EXIT_CODES.FAILED` if any file is bad.
+ *
+ * @async
+ * @param {{outDir: string, quarantine: boolean}} args - From parseVerifyArgs()
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await verify({ outDir: "./images", quarantine: false });
+ * // ✗ f3c7d8.webp  not an image: an HTML page (70 bytes)
+ */
+async function verify({ outDir, quarantine: move }) {
+  const files = await listImages(outDir);
+  const manifest = await loadManifest(outDir);
+
+  console.log(`Verifying ${files.length} images in ${outDir}...\n`);
+
+  let bad = 0;
+  for (const name of files) {
+    const id = basename(name, extname(name));
+    const entry = manifest.images[id]?.file === name ? manifest.images[id] : {};
+    const file = join(outDir, name);
+
+    const problems = verifyImage(await readFile(file), {
+      outputFormat: FORMATS_BY_EXTENSION[extname(name).slice(1).toLowerCase()],
+      width: entry.width,
+      height: entry.height,
+    });
+    if (problems.length === 0) continue;
+
+    bad++;
+    console.log(`✗ ${name}  ${problems.join("; ")}`);
+    if (move) console.log(`  moved to ${await quarantine(outDir, file)}`);
+  }
+
+  console.log("\n--- Summary ---");
+  console.log(`OK: ${files.length - bad}`);
+  console.log(`Bad: ${bad}`);
+
+  if (bad > 0) {
+    if (!move) console.log(`\nMove them aside with: node generate.js verify --out ${outDir} --quarantine`);
+    else console.log("\nRun the generator again to replace them.");
+    process.exitCode = EXIT_CODES.FAILED;
+  }
+}
+
+// =============================================================================
+// THUMBNAILS AND PLACEHOLDERS
+// =============================================================================
+
+/**
+ * Writes one image's thumbnail and blurred placeholder after it's saved.
+ *
+ * This never fails the pet: the image itself is fine, and
+ * `node generate.js derive` can catch up later (for example once sharp
+ * is installed).
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @param {string} file - The saved image
+ * @returns {Promise<string|null>} A warning to show, or null if it worked
+ */
+async function deriveAfterSave(outDir, file) {
+  try {
+    await createDerivatives(outDir, file, { force: true });
+    return null;
+  } catch (error) {
+    return `thumbnails skipped (${error.message})`;
+  }
+}
+
+/**
+ * The `derive` command: writes thumbnails and placeholders for every
+ * image in the folder. See `lib/derivatives.js`.
+ *
+ * Up-to-date derivatives are left alone, so it's cheap to re-run;
+ * `--force` rewrites them all.
+ *
+ * @async
+ * @param {{outDir: string, force: boolean}} args - From parseDeriveArgs()
+ * @returns {Promise<void>}
+ * @throws {Error} If sharp isn't installed
+ *
+ * @example
+ * await derive({ outDir: "./images", force: false });
+ * // ✓ a3f8c1.webp -> images/256/a3f8c1.webp, images/lqip/a3f8c1.webp
+ */
+async function derive({ outDir, force }) {
+  const files = await listImages(outDir);
+  console.log(`Writing thumbnails and placeholders for ${files.length} images in ${outDir}...\n`);
+
+  let updated = 0;
+  for (const name of files) {
+    const written = await createDerivatives(outDir, join(outDir, name), { force });
+    if (written.length === 0) continue;
+
+    updated++;
+    console.log(`✓ ${name} -> ${written.join(", ")}`);
+  }
+
+  console.log(`\nUpdated: ${updated}, already up to date: ${files.length - updated}`);
+}
+
+// =============================================================================
+// VALIDATING PETS
+// =============================================================================
+
+/**
+ * Checks pets against the schema in `lib/validate.js`, before anything
+ * is generated from them.
+ *
+ * @param {import('./pets.js').Pet[]} list - Pets to check
+ * @returns {void}
+ * @throws {Error} Listing every problem, one per line
+ */
+function checkPets(list) {
+  const problems = validatePets(list, temperamentToExpression);
+  if (problems.length > 0) {
+    throw new Error(
+      `pets.js has ${problems.length} problem(s):\n  ${problems.map(formatProblem).join("\n  ")}`
+    );
+  }
+}
+
+/**
+ * The `validate` command: checks every pet in pets.js.
+ *
+ * Lists every problem with the pet's name, ID and field, and exits with
+ * `EXIT_CODES.FAILED` if there are any. Generation runs the same checks
+ * first and refuses to start on bad data; this command just shows them
+ * without needing an API key.
+ *
+ * @async
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await validate();
+ * // ✗ Marmalade (b7e2d4) temperament: unknown temperament "playfull" (expected ...)
+ */
+async function validate() {
+  const problems = validatePets(pets, temperamentToExpression);
+
+  console.log(`Checking ${pets.length} pets in pets.js...\n`);
+  for (const problem of problems) console.log(`✗ ${formatProblem(problem)}`);
+  if (problems.length === 0) console.log("✓ Every pet matches the schema");
+
+  console.log("\n--- Summary ---");
+  console.log(`Pets: ${pets.length}`);
+  console.log(`Problems: ${problems.length}`);
+
+  if (problems.length > 0) process.exitCode = EXIT_CODES.FAILED;
+}
+
+// =============================================================================
+// SITE DATA (pets.json)
+// =============================================================================
+
+/**
+ * The `site-data` command: writes the pet browser's data from pets.js,
+ * or with `--check`, only compares them. See `lib/site-data.js`.
+ *
+ * `--check` lists every difference and exits with `EXIT_CODES.FAILED`
+ * if there are any, so CI fails when pets.js was edited without
+ * updating pets.json.
+ *
+ * @async
+ * @param {{check: boolean}} args - From parseSiteDataArgs()
+ * @returns {Promise<void>}
+ * @throws {Error} If pets.js has problems (bad data never reaches the site)
+ *
+ * @example
+ * await siteData({ check: true });
+ * // ✗ Finn (f1b4d9): species is "cat" in pets.json, "aquatic" in pets.js
+ */
+async function siteData({ check }) {
+  if (check) {
+    const differences = await checkSiteData(pets);
+    for (const difference of differences) console.log(`✗ ${difference}`);
+
+    if (differences.length > 0) {
+      console.log(`\n${SITE_DATA_FILE} is out of date - update it with: node generate.js site-data`);
+      process.exitCode = EXIT_CODES.FAILED;
+    } else {
+      console.log(`✓ ${SITE_DATA_FILE} matches pets.js (${pets.length} pets)`);
+    }
+    return;
+  }
+
+  checkPets(pets);
+  const changed = await writeSiteData(pets);
+  console.log(
+    changed
+      ? `✓ Wrote ${SITE_DATA_FILE} (${pets.length} pets)`
+      : `✓ ${SITE_DATA_FILE} is already up to date (${pets.length} pets)`
+  );
+}
+
+// =============================================================================
+// ADDING PETS
+// =============================================================================
+
+/**
+ * Where the pets.js this script imported is: next to generate.js, from
+ * wherever it is run.
+ *
+ * @constant {string}
+ */
+const PETS_PATH = fileURLToPath(new URL(PETS_FILE, import.meta.url));
+
+/**
+ * Loads pets.js again after editing it.
+ *
+ * The `pets` imported at the top are from before the edit, and Node
+ * caches modules by URL, so a query string makes it a new URL.
+ *
+ * @async
+ * @param {string} version - Anything that differs from earlier loads
+ * @returns {Promise<import('./pets.js').Pet[]>} The pets as they are now
+ */
+async function reloadPets(version) {
+  const { pets: updated } = await import(`${pathToFileURL(PETS_PATH).href}?v=${version}`);
+  return updated;
+}
+
+/**
+ * The fields `add-pet` fills in, in the order they are asked for.
+ *
+ * `choices` lists the allowed answers (it gets the pet so far, since
+ * subcategories depend on the species); `fallback` is used when the
+ * field is left out, instead of asking for it without a terminal.
+ *
+ * @constant {{field: string, flag: string, label: string,
+ *   choices?: (pet: Object) => string[], fallback?: string}[]}
+ */
+const NEW_PET_FIELDS = [
+  { field: "name", flag: "name", label: "Name" },
+  { field: "species", flag: "species", label: "Species", choices: () => SPECIES },
+  { field: "subcategory", flag: "subcategory", label: "Subcategory", choices: (pet) => SUBCATEGORIES[pet.species] },
+  { field: "temperament", flag: "temperament", label: "Temperament", choices: () => TEMPERAMENTS },
+  {
+    field: "specialNeeds",
+    flag: "special-needs",
+    label: "Special needs",
+    choices: () => [...SPECIAL_NEEDS, "none"],
+    fallback: "none",
+  },
+  { field: "status", flag: "status", label: "Status", choices: () => STATUSES, fallback: "available" },
+  { field: "prompt", flag: "prompt", label: "Image prompt (what the picture shows)" },
+  { field: "description", flag: "description", label: "Description (shown on the pet's card)" },
+];
+
+/**
+ * Turns `add-pet` answers into pet values: "none" means no special needs.
+ *
+ * @param {string} field - Pet field
+ * @param {string} answer - What was typed or given as a flag
+ * @returns {string|null} The value for the pet
+ */
+function petValue(field, answer) {
+  return field === "specialNeeds" && answer === "none" ? null : answer;
+}
+
+/**
+ * Asks for each field `add-pet` wasn't given, checking every answer
+ * straight away (a typo is asked again, not reported at the end).
+ *
+ * @async
+ * @param {Object} pet - The pet so far; filled in place
+ * @param {Object} given - Fields from the flags (undefined = not given)
+ * @returns {Promise<void>}
+ */
+async function askPetFields(pet, given) {
+  const readline = createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    for (const { field, label, choices, fallback } of NEW_PET_FIELDS) {
+      if (given[field] !== undefined) continue;
+
+      const allowed = choices?.(pet);
+      const question = `${label}${allowed ? ` (${allowed.join(", ")})` : ""}${fallback ? ` [${fallback}]` : ""}: `;
+
+      for (;;) {
+        const answer = (await readline.question(question)).trim() || fallback || "";
+        pet[field] = petValue(field, answer);
+
+        const problems = checkPet(pet).filter((problem) => problem.field === field && problem.message !== "is missing");
+        if (problems.length === 0) break;
+        for (const { message } of problems) console.log(`  ✗ ${message}`);
+      }
+    }
+  } finally {
+    readline.close();
+  }
+}
+
+/**
+ * Runs `node generate.js --only <id>` for a new pet, as a separate
+ * process: this one loaded pets.js before the pet was added.
+ *
+ * @async
+ * @param {string} id - The new pet's ID
+ * @returns {Promise<number>} The run's exit code
+ */
+function generateNewPet(id) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [fileURLToPath(import.meta.url), "--only", id], { stdio: "inherit" });
+    child.on("error", reject);
+    child.on("exit", (code, signal) => resolve(code ?? 128 + osConstants.signals[signal]));
+  });
+}
+
+/**
+ * The `add-pet` command: adds a pet to pets.js.
+ *
+ * 1. Picks a random ID that no pet or image uses (or checks `--id`)
+ * 2. Takes each field from its flag, or asks for it with the allowed
+ *    values listed - without a terminal, missing fields are an error
+ *    (status and special needs default to "available" and none)
+ * 3. Checks the pet against the schema, like `validate` does
+ * 4. Writes it at the end of its species' section in pets.js, with a
+ *    JSDoc comment (`--note`, or the prompt), see `lib/pets-file.js`
+ * 5. Updates pets.json, so the pet browser shows it
+ * 6. With `--generate`, makes its image (`node generate.js --only <id>`)
+ *
+ * @async
+ * @param {{fields: Object, note: string|undefined, outDir: string, generate: boolean}} args
+ *   From parseAddPetArgs()
+ * @returns {Promise<void>}
+ * @throws {Error} If a field is missing or invalid, or the ID is taken
+ *
+ * @example
+ * await addPet({ fields: { name: "Pebble", species: "cat", ... }, outDir: "./images" });
+ * // ✓ Added Pebble (4be09f) to the cats in pets.js
+ */
+async function addPet({ fields, note, outDir, generate }) {
+  const taken = await usedIds(pets, outDir);
+  if (fields.id !== undefined) {
+    if (!ID_PATTERN.test(fields.id)) throw new Error(`--id must be 6 lower-case hex characters, like "a3f8c1"`);
+    if (taken.has(fields.id)) throw new Error(`ID ${fields.id} is already used by a pet or an image in ${outDir}`);
+  }
+
+  const pet = { id: fields.id ?? newPetId(taken) };
+  const missing = NEW_PET_FIELDS.filter(({ field, fallback }) => fields[field] === undefined && !fallback);
+
+  for (const { field } of NEW_PET_FIELDS) {
+    if (fields[field] !== undefined) pet[field] = petValue(field, fields[field]);
+  }
+
+  if (missing.length > 0 && process.stdin.isTTY) {
+    console.log(`New pet ${pet.id} - press Enter to accept a [default]\n`);
+    await askPetFields(pet, fields);
+    console.log("");
+  } else if (missing.length > 0) {
+    throw new Error(
+      `add-pet needs ${missing.map(({ flag }) => `--${flag}`).join(", ")} without a terminal to ask for them`
+    );
+  }
+
+  for (const { field, fallback } of NEW_PET_FIELDS) {
+    if (pet[field] === undefined && fallback) pet[field] = petValue(field, fallback);
+  }
+
+  const problems = checkPet(pet);
+  if (problems.length > 0) {
+    throw new Error(
+      `The new pet has ${problems.length} problem(s):\n  ${problems.map(({ field, message }) => `${field}: ${message}`).join("\n  ")}`
+    );
+  }
+
+  // And the dataset as a whole, since nothing is added to a broken pets.js
+  checkPets([...pets, pet]);
+
+  await writeFileAtomic(PETS_PATH, insertPet(await readFile(PETS_PATH, "utf8"), pet, note));
+
+  const updated = await reloadPets(pet.id);
+  const added = updated.find((candidate) => candidate.id === pet.id);
+  if (!added) throw new Error(`${PETS_FILE} was written, but ${pet.id} isn't in it - check the file`);
+
+  console.log(`✓ Added ${pet.name} (${pet.id}) to the ${SECTIONS[pet.species].plural} in ${PETS_FILE}`);
+
+  await writeSiteData(updated);
+  console.log(`✓ Wrote ${SITE_DATA_FILE} (${updated.length} pets)`);
+
+  if (!generate) {
+    console.log(`\nMake its image with: node generate.js --only ${pet.id}`);
+    return;
+  }
+
+  console.log("");
+  process.exitCode = await generateNewPet(pet.id);
+}
+
+// =============================================================================
+// IMPORTING PETS
+// =============================================================================
+
+/**
+ * Turns the rows of an import file into pets, giving new IDs to the ones
+ * without, and lists what's wrong with each row.
+ *
+ * Besides the schema, IDs must be unique within the file - and, when
+ * merging, not already in pets.js. New IDs avoid every pet and image, as
+ * in `add-pet`.
+ *
+ * @async
+ * @param {import('./lib/import.js').ImportRow[]} rows - From readImportFile()
+ * @param {{merge: boolean, outDir: string}} options - Whether the pets
+ *   join pets.js, and the image folder to avoid IDs from
+ * @returns {Promise<{entries: {pet: Object, note: string|undefined}[], problems: string[]}>}
+ *   The pets in file order, and one line per problem (empty if all rows are fine)
+ */
+async function readImportRows(rows, { merge, outDir }) {
+  // Problems keep their row's position, to list them in file order
+  const problems = [];
+  const entries = [];
+  const taken = await usedIds(pets, outDir);
+
+  // Where each ID was first seen, to report duplicates against it
+  const owners = new Map(merge ? pets.map((pet) => [pet.id, `${pet.name} in ${PETS_FILE}`]) : []);
+
+  for (const [position, row] of rows.entries()) {
+    if (row.error) {
+      problems.push({ position, text: `${row.label}: ${row.error}` });
+      continue;
+    }
+
+    const entry = toPet(row.values);
+    const who = `${row.label}${typeof entry.pet.name === "string" ? ` (${entry.pet.name})` : ""}`;
+    entries.push({ ...entry, position, who });
+
+    if (typeof entry.pet.id !== "string") continue;
+    taken.add(entry.pet.id);
+    if (owners.has(entry.pet.id)) {
+      const text = `${who} id: ${entry.pet.id} is already used by ${owners.get(entry.pet.id)}`;
+      problems.push({ position, text });
+    } else {
+      owners.set(entry.pet.id, row.label);
+    }
+  }
+
+  // After every given ID is known, so a new one can't repeat a later row's
+  for (const { pet, position, who } of entries) {
+    if (pet.id === undefined) pet.id = newPetId(taken);
+    taken.add(pet.id);
+
+    for (const { field, message } of checkPet(pet)) problems.push({ position, text: `${who} ${field}: ${message}` });
+  }
+
+  return {
+    entries: entries.map(({ pet, note }) => ({ pet, note })),
+    problems: problems.sort((a, b) => a.position - b.position).map(({ text }) => text),
+  };
+}
+
+/**
+ * The `import` command: adds pets from a CSV, JSON or NDJSON file to
+ * pets.js (`--merge`), or writes them as a new pets module
+ * (`--output`). See `lib/import.js` for the columns.
+ *
+ * 1. Every row is checked against the schema. If any has problems, they
+ *    are all listed (with row numbers), nothing is written, and the exit
+ *    code is `EXIT_CODES.FAILED`
+ * 2. The changes are shown as a diff. `--dry-run` stops here
+ * 3. After a yes (or `--yes`), the file is written. Merging also updates
+ *    pets.json, so the pet browser shows the new pets
+ *
+ * Merged pets go at the end of their species' section; a new module has
+ * one section per species, with the typedefs and temperament mapping of
+ * the current pets.js (see `lib/pets-file.js`).
+ *
+ * @async
+ * @param {{file: string, merge: boolean, output: string|undefined, dryRun: boolean,
+ *   yes: boolean, outDir: string}} args - From parseImportArgs()
+ * @returns {Promise<void>}
+ * @throws {Error} If the file can't be read, or writing isn't confirmed
+ *
+ * @example
+ * await importPets({ file: "farm.csv", merge: false, output: "pets-farm.js", dryRun: true, ... });
+ * // Importing 12 pets from farm.csv into pets-farm.js...
+ * // --- pets-farm.js
+ * // +++ pets-farm.js (after import)
+ * // ...
+ */
+async function importPets({ file, merge, output, dryRun, yes, outDir }) {
+  const rows = await readImportFile(file);
+  if (rows.length === 0) throw new Error(`${file} has no pets to import`);
+
+  const target = merge ? PETS_FILE : output;
+  console.log(`Importing ${rows.length} pets from ${file} into ${target}...\n`);
+
+  const { entries, problems } = await readImportRows(rows, { merge, outDir });
+  if (problems.length > 0) {
+    for (const problem of problems) console.log(`✗ ${problem}`);
+
+    console.log("\n--- Summary ---");
+    console.log(`Rows: ${rows.length}`);
+    console.log(`Problems: ${problems.length}`);
+    console.log("Nothing was written - fix the rows and import again.");
+    process.exitCode = EXIT_CODES.FAILED;
+    return;
+  }
+
+  const source = await readFile(PETS_PATH, "utf8");
+  const before = merge ? source : existsSync(output) ? await readFile(output, "utf8") : "";
+  const after = merge
+    ? entries.reduce((text, { pet, note }) => insertPet(text, pet, note), source)
+    : formatPetsModule(source, entries);
+
+  // Same checks as `validate`, on the dataset as it will be
+  checkPets(merge ? [...pets, ...entries.map(({ pet }) => pet)] : entries.map(({ pet }) => pet));
+
+  process.stdout.write(unifiedDiff(before, after, { from: target, to: `${target} (after import)` }));
+
+  if (dryRun) {
+    console.log(`\nDry run: ${target} was not changed.`);
+    return;
+  }
+
+  if (!yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error(`pass --yes to write ${target} without a terminal (or --dry-run to only see the changes)`);
+    }
+
+    const readline = createInterface({ input: process.stdin, output: process.stdout });
+    let answer;
+    try {
+      answer = await readline.question(`\nWrite ${target}? [y/N] `);
+    } finally {
+      readline.close();
+    }
+    if (!/^y(es)?$/i.test(answer.trim())) throw new Error("not confirmed, nothing was written");
+  }
+
+  const ids = entries.map(({ pet }) => pet.id);
+  if (!merge) {
+    await writeFileAtomic(output, after);
+    console.log(`\n✓ Wrote ${entries.length} pets to ${output}`);
+    console.log(`To use it, copy it over ${PETS_FILE}, then run: node generate.js site-data`);
+    return;
+  }
+
+  await writeFileAtomic(PETS_PATH, after);
+  const updated = await reloadPets(ids.join("-"));
+  if (ids.some((id) => !updated.some((pet) => pet.id === id))) {
+    throw new Error(`${PETS_FILE} was written, but some imported pets aren't in it - check the file`);
+  }
+  console.log(`\n✓ Added ${entries.length} pets to ${PETS_FILE}`);
+
+  await writeSiteData(updated);
+  console.log(`✓ Wrote ${SITE_DATA_FILE} (${updated.length} pets)`);
+  console.log("\nMake their images with: node generate.js (pets that have one already are skipped)");
+}
+
+// =============================================================================
+// EXPORTING PETS
+// =============================================================================
+
+/**
+ * Finds each pet's image in the output folder, as a path relative to
+ * this folder ("images/a3f8c1.webp") or, with a base URL, a full URL.
+ *
+ * The actual files are listed, so a pet without an image yet gets
+ * `null` rather than a link to nothing.
+ *
+ * @async
+ * @param {import('./pets.js').Pet[]} selected - Pets being exported
+ * @param {string} outDir - Image folder
+ * @param {string|undefined} baseUrl - Where the site is published, if
+ *   the export should have URLs
+ * @returns {Promise<Map<string, string|null>>} Path or URL for each pet ID
+ *
+ * @example
+ * await imageLinks(pets, "./images", "https://example.com/pets/");
+ * // => Map { "a3f8c1" => "https://example.com/pets/images/a3f8c1.webp", ... }
+ */
+async function imageLinks(selected, outDir, baseUrl) {
+  const files = existsSync(outDir) ? await listImages(outDir) : [];
+  const byId = new Map(files.map((file) => [basename(file, extname(file)), file]));
+
+  // new URL() would drop the last part of a base without a trailing slash
+  const base = baseUrl && (baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`);
+
+  return new Map(
+    selected.map((pet) => {
+      const file = byId.get(pet.id);
+      if (!file) return [pet.id, null];
+
+      const path = posix.join(outDir, file);
+      return [pet.id, base ? new URL(path, base).href : path];
+    })
+  );
+}
+
+/**
+ * The `export` command: writes the pets as JSON, CSV or NDJSON, to a
+ * file or to stdout. See `lib/export.js`.
+ *
+ * `--species` and `--status` narrow the pets like they do for
+ * generating, `--no-prompt` leaves out the image prompts, and `--images`
+ * (or `--base-url`) adds each pet's image path or URL.
+ *
+ * @async
+ * @param {{format: string, output: string|undefined, prompt: boolean, images: boolean,
+ *   baseUrl: string|undefined, outDir: string, species: string[], status: string[]}} args
+ *   From parseExportArgs()
+ * @returns {Promise<void>}
+ * @throws {Error} If pets.js has problems or a filter value doesn't exist
+ *
+ * @example
+ * await exportPets({ format: "csv", output: "dogs.csv", prompt: false, species: ["dog"], ... });
+ * // ✓ Wrote 12 pets to dogs.csv (CSV)
+ */
+async function exportPets({ format, output, prompt, images, baseUrl, outDir, species, status }) {
+  checkPets(pets);
+  const selected = selectPets(pets, { only: [], species, status });
+
+  const links = images ? await imageLinks(selected, outDir, baseUrl) : undefined;
+  const text = formatExport(toRows(selected, { prompt, images: links }), format);
+
+  // Writing to stdout keeps it clean for the data; messages go to stderr
+  const log = output ? console.log : console.error;
+  if (output) {
+    await writeFileAtomic(output, text);
+    log(`✓ Wrote ${selected.length} pets to ${output} (${format.toUpperCase()})`);
+  } else {
+    process.stdout.write(text);
+  }
+
+  const missing = links ? [...links.values()].filter((link) => link === null).length : 0;
+  if (missing > 0) log(`  ! ${missing} pet(s) have no image in ${outDir} yet; their image is left empty`);
+}
+
+// =============================================================================
+// PICKING CANDIDATES
+// =============================================================================
+
+/**
+ * The `pick` command: lists a pet's candidates, or promotes one of them.
+ *
+ * Promoting copies the candidate to `{id}.webp` and records it in the
+ * manifest like any generated image - with its own seed, plus which
+ * candidate it was - so the choice can be explained and reproduced.
+ *
+ * @async
+ * @param {{id: string, number: number|undefined, outDir: string}} args - From parsePickArgs()
+ * @returns {Promise<void>}
+ * @throws {Error} If the pet has no candidates or the number is out of range
+ *
+ * @example
+ * await pick({ id: "a3f8c1", number: 2, outDir: "./images" });
+ * // ✓ a3f8c1 candidate 2 (seed 634632487) saved images/a3f8c1.webp
+ */
+async function pick({ id, number, outDir }) {
+  if (number === undefined) {
+    const set = await loadCandidates(outDir, id);
+    if (!set) throw new Error(`No candidates for ${id} (generate some with --candidates)`);
+
+    console.log(`Candidates for ${set.name} (${id}) in ${candidateDir(outDir, id)}:\n`);
+    for (const [index, candidate] of set.candidates.entries()) {
+      const mark = set.picked === index + 1 ? "  <- picked" : "";
+      console.log(`  ${index + 1}. ${candidate.file}  seed ${candidate.seed ?? "?"}${mark}`);
+    }
+    console.log(`\nKeep one with: node generate.js pick ${id} <number>`);
+    return;
+  }
+
+  const manifest = await loadManifest(outDir);
+  const entry = await pickCandidate(outDir, id, number);
+  await createManifestRecorder(outDir, manifest).record(entry);
+  await writeReviewPage(outDir);
+
+  console.log(`✓ ${id} candidate ${number} (seed ${entry.seed ?? "?"}) saved ${join(outDir, entry.file)}`);
+
+  const warning = await deriveAfterSave(outDir, join(outDir, entry.file));
+  if (warning) console.log(`  ! ${warning}`);
+}
+
+// =============================================================================
+// SCRIPT ENTRY POINT
+// =============================================================================
+
+/**
+ * Parses the generation options and starts the run, dry run or report.
+ *
+ * Settings are resolved (config file + flags) and checked before
+ * anything else happens, so an out-of-range value never reaches the API.
+ *
+ * @async
+ * @param {string[]} argv - Arguments after `node generate.js`
+ * @returns {Promise<void>}
+ */
+async function runGenerator(argv) {
+  // Known before parsing, so even a bad option is reported as an event
+  const json = argv.includes("--json");
+
+  let options;
+  let selected;
+  try {
+    options = parseOptions(argv);
+    selected = selectPets(pets, options);
+  } catch (error) {
+    exitWithError(error.message, { json, usage: true });
+  }
+
+  // Not an error: every selected pet (all none of them) has its image
+  if (selected.length === 0 && !options.help) {
+    const filters = ["only", "species", "status"]
+      .filter((option) => options[option].length > 0)
+      .map((option) => `--${option} ${options[option].join(",")}`);
+    (json ? console.error : console.log)(`No pets match ${filters.join(" ")} - nothing to do.\n`);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // --resume repeats the recorded run, for the pets it didn't finish
+  if (options.resume) {
+    try {
+      const added = ["--yes", "-y", "--json"];
+      const extra = argv.filter((arg) => arg !== "--resume" && !added.includes(arg));
+      if (extra.length > 0) {
+        throw new Error(
+          `--resume reuses the unfinished run's options; only --yes and --json can be added (got ${extra.join(" ")})`
+        );
+      }
+
+      const state = await loadResumeState();
+      const flags = [
+        ...(options.yes ? ["--yes"] : []),
+        ...(options.json ? ["--json"] : []),
+      ];
+      options = { ...parseOptions([...state.argv, ...flags]), argv: state.argv, resume: true };
+      selected = selectPets(pets, options).filter((pet) => state.remaining.includes(pet.id));
+      (options.json ? console.error : console.log)(
+        `Resuming: node generate.js ${state.argv.join(" ")} (${selected.length} pets left)`
+      );
+    } catch (error) {
+      exitWithError(error.message, { json });
+    }
+  }
+
+  let settings;
+  try {
+    const { config } = await loadConfig(options.config);
+    settings = resolveSettings(options, config);
+
+    // A style's templates replace the config file's; per-pet templates
+    // in pets.js still win over both
+    const style = options.style ? getStyle(options.style) : null;
+    const templates = style
+      ? { template: style.template, speciesTemplates: style.speciesTemplates }
+      : { template: config.template, speciesTemplates: config.speciesTemplates };
+
+    // Templates are checked up front too: a typo like {speceis} would
+    // otherwise fail every pet
+    checkTemplates(templates, pets);
+
+    // And so is the data: a typo like "playfull" would otherwise get the
+    // wrong expression without a word
+    checkPets(pets);
+    options = { ...options, ...resolveLimits(options, config), templates };
+  } catch (error) {
+    exitWithError(error.message, { json: options.json });
+  }
+
+  if (options.staleReport) {
+    staleReport(selected, options, settings).catch((error) => exitWithError(error.message));
+  } else if (options.dryRun) {
+    dryRun(selected, options, settings).catch((error) => exitWithError(error.message));
+  } else {
+    let provider;
+    try {
+      provider = createProvider(options.provider, process.env);
+    } catch (error) {
+      exitWithError(error.message, { json: options.json });
+    }
+
+    // Say what the run will cost (and maybe ask) before the first request
+    // (a corrupt manifest is reported here too, before anything is sent)
+    let approved;
+    try {
+      const estimate = estimateRun(selected, options, await loadManifest(options.outDir), settings);
+      approved = await approveCost(estimate, options);
+    } catch (error) {
+      exitWithError(error.message, { json: options.json });
+    }
+    if (!approved) exitWithError("not confirmed, nothing was generated", { json: options.json });
+    (options.json ? console.error : console.log)("");
+
+    // A crash inside the run is a bug rather than a bad option, so the
+    // stack trace is worth seeing
+    main(selected, options, provider, settings)
+      .then((summary) => {
+        process.exitCode = summary.exitCode;
+      })
+      .catch((error) => exitWithError(error.stack ?? String(error), { json: options.json }));
+  }
+}
+
+/**
+ * The commands besides generating, with their argument parsers.
+ *
+ * @constant {Record<string, {parse: (argv: string[]) => Object, run: (args: Object) => Promise<void>}>}
+ */
+const COMMANDS = {
+  pick: { parse: parsePickArgs, run: pick },
+  derive: { parse: parseDeriveArgs, run: derive },
+  verify: { parse: parseVerifyArgs, run: verify },
+  validate: { parse: parseValidateArgs, run: validate },
+  "site-data": { parse: parseSiteDataArgs, run: siteData },
+  "add-pet": { parse: parseAddPetArgs, run: addPet },
+  export: { parse: parseExportArgs, run: exportPets },
+  import: { parse: parseImportArgs, run: importPets },
+};
+
+/**
+ * Whether this file is being run (`node generate.js`) rather than
+ * imported by another script.
+ *
+ * Node gives the path of the script it was started with in
+ * `process.argv[1]`; `import.meta.url` is the URL of this file. Both
+ * are turned into real paths, so running through a symlink works too.
+ *
+ * @returns {boolean} True when started from the command line
+ */
+function isEntryPoint() {
+  if (!process.argv[1]) return false;
+  try {
+    return realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run the command line - but only when this file is the script being
+ * run. Importing it (`import { generateAll } from "./generate.js"`) has
+ * no side effects: nothing is parsed, printed or generated, and
+ * `process.exit()` is never called.
+ *
+ * Command-line arguments are parsed first. `process.argv` holds
+ * `["node", "generate.js", ...args]`, so `.slice(2)` keeps just the args.
+ * A bad option or filter value prints the usage text and exits with
+ * `EXIT_CODES.FATAL`.
+ *
+ * The provider (and its API key) is only needed for real runs, so
+ * `--dry-run` works without any key. A missing key prints setup help
+ * and exits with `EXIT_CODES.FATAL` too.
+ *
+ * `pick`, `verify`, `derive`, `validate`, `site-data`, `add-pet`, `export`
+ * and `import` are separate commands with their own arguments, so they are
+ * handled before the generation options are parsed.
+ *
+ * The .catch() after each command ensures that if it throws an error
+ * that isn't caught internally, it is reported and the exit code says so:
+ * ```javascript
+ * pick(args).catch((error) => exitWithError(error.message));
+ * ```
+ */
+if (isEntryPoint()) {
+  const [command, ...commandArgs] = process.argv.slice(2);
+
+  if (Object.hasOwn(COMMANDS, command)) {
+    const { parse, run } = COMMANDS[command];
+    let args;
+    try {
+      args = parse(commandArgs);
+    } catch (error) {
+      exitWithError(error.message, { usage: true });
+    }
+
+    run(args).catch((error) => exitWithError(error.message));
+  } else {
+    // Anything that escapes runGenerator's own checks is still fatal
+    runGenerator(process.argv.slice(2)).catch((error) =>
+      exitWithError(error.stack ?? String(error), { json: process.argv.includes("--json") })
+    );
+  }
+}
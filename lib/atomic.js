@@ -0,0 +1,78 @@
+/**
+ * @fileoverview All-or-nothing file writes.
+ *
+ * `writeFile()` writes a file bit by bit. If the process stops halfway
+ * (Ctrl-C, a crash, a full disk), a half-written image is left behind -
+ * and since the generator skips pets whose image exists, it would never
+ * be replaced.
+ *
+ * Instead, we write to a temporary name next to the target and rename it
+ * when the write is complete. A rename within one folder is atomic: the
+ * target is either the old file or the complete new one, never a mix. At
+ * worst, an interrupted write leaves a `*.tmp` file, which nothing
+ * mistakes for an image.
+ *
+ * @module lib/atomic
+ */
+
+import { copyFile, rename, rm, writeFile } from "node:fs/promises";
+
+/**
+ * Temporary filename used while writing `file`.
+ *
+ * The process ID keeps two runs writing the same file from clobbering
+ * each other's temporary files.
+ *
+ * @param {string} file - Final path
+ * @returns {string} Path like "images/a3f8c1.webp.12345.tmp"
+ */
+export function tempPath(file) {
+  return `${file}.${process.pid}.tmp`;
+}
+
+/**
+ * Moves a finished temporary file into place, or removes it if `write`
+ * failed.
+ *
+ * @async
+ * @param {string} file - Final path
+ * @param {(temp: string) => Promise<void>} write - Writes the temporary file
+ * @returns {Promise<void>}
+ */
+async function replaceWith(file, write) {
+  const temp = tempPath(file);
+  try {
+    await write(temp);
+    await rename(temp, file);
+  } catch (error) {
+    await rm(temp, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Writes a file so that it's either fully written or not there at all.
+ *
+ * @async
+ * @param {string} file - Path to write
+ * @param {string|Buffer} data - Contents
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await writeFileAtomic("images/a3f8c1.webp", bytes);
+ */
+export async function writeFileAtomic(file, data) {
+  await replaceWith(file, (temp) => writeFile(temp, data));
+}
+
+/**
+ * Copies a file so that the copy is either complete or not there at all.
+ *
+ * @async
+ * @param {string} source - File to copy
+ * @param {string} file - Path of the copy
+ * @returns {Promise<void>}
+ */
+export async function copyFileAtomic(source, file) {
+  await replaceWith(file, (temp) => copyFile(source, temp));
+}
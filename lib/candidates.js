@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Candidate images: generate several, keep the best one.
+ *
+ * Getting the art right often takes a few tries. With `--candidates N`,
+ * the generator makes N images per pet in a staging folder instead of
+ * writing `images/{id}.webp` directly:
+ *
+ * ```text
+ * images/candidates/
+ *   index.html              review page showing every candidate
+ *   a3f8c1/
+ *     candidates.json       how each candidate was made (and which was picked)
+ *     1.webp
+ *     2.webp
+ *     ...
+ * ```
+ *
+ * `node generate.js pick a3f8c1 2` then promotes candidate 2 to
+ * `images/a3f8c1.webp` and records the choice (and its seed) in the
+ * manifest.
+ *
+ * @module lib/candidates
+ */
+
+import { mkdir, readdir, readFile, rename, rm } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { extname, join } from "node:path";
+
+import { copyFileAtomic, tempPath, writeFileAtomic } from "./atomic.js";
+import { OUTPUT_FORMATS } from "./config.js";
+
+/**
+ * Staging folder for candidates, inside the output folder.
+ *
+ * @constant {string}
+ */
+export const CANDIDATES_DIR = "candidates";
+
+/**
+ * Record of a pet's candidates, inside its candidate folder.
+ *
+ * @constant {string}
+ */
+const CANDIDATES_FILE = "candidates.json";
+
+/**
+ * Everything recorded about one pet's candidates.
+ *
+ * @typedef {Object} CandidateSet
+ * @property {string} id - Pet ID
+ * @property {string} name - Pet name
+ * @property {number|null} picked - Number of the promoted candidate, if any
+ * @property {string|null} pickedAt - ISO 8601 timestamp of the pick
+ * @property {import('./manifest.js').ManifestEntry[]} candidates - One entry
+ *   per candidate, in order; `file` is relative to the candidate folder
+ */
+
+/**
+ * Folder holding one pet's candidates.
+ *
+ * @param {string} outDir - Output folder (e.g. "./images")
+ * @param {string} id - Pet ID
+ * @returns {string} Path like "images/candidates/a3f8c1"
+ */
+export function candidateDir(outDir, id) {
+  return join(outDir, CANDIDATES_DIR, id);
+}
+
+/**
+ * Makes an empty staging folder for a pet's next round of candidates.
+ *
+ * The new round is written there, and only replaces the previous one
+ * (see {@link commitCandidates}) once every image is saved. A round that
+ * fails or is interrupted leaves the old candidates as they were, and
+ * never mixes with them.
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @param {string} id - Pet ID
+ * @returns {Promise<string>} Path like "images/candidates/a3f8c1.12345.tmp"
+ */
+export async function stageCandidates(outDir, id) {
+  const staging = tempPath(candidateDir(outDir, id));
+  await rm(staging, { recursive: true, force: true });
+  await mkdir(staging, { recursive: true });
+  return staging;
+}
+
+/**
+ * Finishes a round: saves its record in the staging folder, then puts
+ * the staging folder in place of the pet's candidate folder.
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @param {string} staging - Folder from {@link stageCandidates}
+ * @param {CandidateSet} set - Record of the new round
+ * @returns {Promise<void>}
+ */
+export async function commitCandidates(outDir, staging, set) {
+  await writeFileAtomic(join(staging, CANDIDATES_FILE), JSON.stringify(set, null, 2) + "\n");
+
+  const dir = candidateDir(outDir, set.id);
+  await rm(dir, { recursive: true, force: true });
+  await rename(staging, dir);
+}
+
+/**
+ * Removes a staging folder whose round didn't finish (nothing to do if
+ * it was committed).
+ *
+ * @async
+ * @param {string} staging - Folder from {@link stageCandidates}
+ * @returns {Promise<void>}
+ */
+export async function discardCandidates(staging) {
+  await rm(staging, { recursive: true, force: true });
+}
+
+/**
+ * Loads a pet's candidate record.
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @param {string} id - Pet ID
+ * @returns {Promise<CandidateSet|null>} The record, or null if there are no candidates
+ * @throws {Error} If the record exists but isn't valid JSON
+ */
+export async function loadCandidates(outDir, id) {
+  const filename = join(candidateDir(outDir, id), CANDIDATES_FILE);
+
+  try {
+    return JSON.parse(await readFile(filename, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read ${filename}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a pet's candidate record (all or nothing, like the manifest).
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @param {CandidateSet} set - Record to write
+ * @returns {Promise<void>}
+ */
+export async function saveCandidates(outDir, set) {
+  const filename = join(candidateDir(outDir, set.id), CANDIDATES_FILE);
+  await writeFileAtomic(filename, JSON.stringify(set, null, 2) + "\n");
+}
+
+/**
+ * Promotes one candidate to the pet's real image.
+ *
+ * Copies `candidates/{id}/{n}.webp` to `{id}.webp` (same format as the
+ * candidate) and returns the manifest entry for it: the candidate's own
+ * entry (prompt, seed, cost...) plus which candidate was chosen. The pick is also saved in the
+ * candidate record, so the review page can show it.
+ *
+ * The pet's image in any other format is removed, so picking `2.png`
+ * doesn't leave an old `{id}.webp` behind to be shown instead.
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @param {string} id - Pet ID
+ * @param {number} number - Candidate number, starting at 1
+ * @returns {Promise<import('./manifest.js').ManifestEntry>} Entry for the promoted image
+ * @throws {Error} If the pet has no candidates or the number is out of range
+ *
+ * @example
+ * const entry = await pickCandidate("./images", "a3f8c1", 2);
+ * await recorder.record(entry);
+ */
+export async function pickCandidate(outDir, id, number) {
+  const set = await loadCandidates(outDir, id);
+  if (!set) {
+    throw new Error(`No candidates for ${id} (generate some with --candidates)`);
+  }
+
+  const candidate = set.candidates[number - 1];
+  if (!Number.isInteger(number) || !candidate) {
+    throw new Error(`${id} has candidates 1-${set.candidates.length}, not ${number}`);
+  }
+
+  // Keep the candidate's format: 2.png becomes a3f8c1.png
+  const file = `${id}${extname(candidate.file)}`;
+  await copyFileAtomic(join(candidateDir(outDir, id), candidate.file), join(outDir, file));
+
+  for (const extension of Object.values(OUTPUT_FORMATS)) {
+    if (`${id}.${extension}` !== file) await rm(join(outDir, `${id}.${extension}`), { force: true });
+  }
+
+  const pickedAt = new Date().toISOString();
+  await saveCandidates(outDir, { ...set, picked: number, pickedAt });
+
+  return { ...candidate, file, candidate: number, pickedAt };
+}
+
+/**
+ * Escapes text for use inside HTML.
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Text safe to put in an element or attribute
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+/**
+ * Writes `candidates/index.html`: every pet's candidates side by side,
+ * each with its seed and the command that picks it.
+ *
+ * It's a plain static page (open it straight from disk), rebuilt after
+ * every candidate run and every pick.
+ *
+ * @async
+ * @param {string} outDir - Output folder
+ * @returns {Promise<string|null>} Path of the page, or null if there are no candidates
+ */
+export async function writeReviewPage(outDir) {
+  const root = join(outDir, CANDIDATES_DIR);
+  if (!existsSync(root)) return null;
+
+  const entries = await readdir(root, { withFileTypes: true });
+  const sets = [];
+  for (const entry of entries.filter((e) => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const set = await loadCandidates(outDir, entry.name);
+    if (set) sets.push(set);
+  }
+
+  const sections = sets.map((set) => {
+    const cards = set.candidates.map((candidate, index) => {
+      const number = index + 1;
+      const picked = set.picked === number;
+      return `      <figure class="${picked ? "picked" : ""}">
+        <img src="${escapeHtml(set.id)}/${escapeHtml(candidate.file)}" alt="${escapeHtml(set.name)} candidate ${number}" loading="lazy">
+        <figcaption>
+          <strong>#${number}</strong>${picked ? " (picked)" : ""} - seed ${candidate.seed ?? "?"}<br>
+          <code>node generate.js pick ${escapeHtml(set.id)} ${number}</code>
+        </figcaption>
+      </figure>`;
+    });
+
+    return `  <section>
+    <h2>${escapeHtml(set.name)} <small>${escapeHtml(set.id)}</small></h2>
+    <p>${escapeHtml(set.candidates[0]?.prompt ?? "")}</p>
+    <div class="grid">
+${cards.join("\n")}
+    </div>
+  </section>`;
+  });
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Candidate review</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+    .grid { display: flex; flex-wrap: wrap; gap: 1rem; }
+    figure { margin: 0; padding: 0.5rem; border: 3px solid transparent; border-radius: 8px; }
+    figure.picked { border-color: #2a9d4b; }
+    img { width: 256px; height: 256px; object-fit: contain; background: #f4f4f4; display: block; }
+    figcaption { font-size: 0.85rem; margin-top: 0.25rem; }
+    small { color: #888; font-weight: normal; }
+  </style>
+</head>
+<body>
+  <h1>Candidate review</h1>
+  <p>Pick a winner by running the command under it. The chosen image becomes <code>images/{id}.webp</code>.</p>
+${sections.join("\n")}
+</body>
+</html>
+`;
+
+  const filename = join(root, "index.html");
+  await writeFileAtomic(filename, html);
+  return filename;
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Project configuration for generation settings.
+ *
+ * Model, size, steps, output format and quality can be set in a config
+ * file next to `pets.js`, so hero images or print-quality PNGs don't need
+ * script edits:
+ *
+ * ```javascript
+ * // pet-gen.config.js
+ * export default {
+ *   width: 1024,
+ *   height: 1024,
+ *   outputFormat: "PNG",
+ * };
+ * ```
+ *
+ * `pet-gen.config.json` works too, with the same keys. Prompt templates
+ * (`template`, `speciesTemplates`) live here as well - see `lib/prompt.js`.
+ *
+ * Each generation setting is picked from, in order of priority:
+ *
+ * 1. Command-line flags (`--width 1024`)
+ * 2. The config file
+ * 3. Built-in defaults (and the provider's default model and format)
+ *
+ * Every value is checked before any request is sent, so a typo fails in
+ * the first second instead of after 48 rejected API calls.
+ *
+ * @module lib/config
+ */
+
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { extname, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+/**
+ * Config filenames looked for next to `pets.js`, in order.
+ *
+ * @constant {string[]}
+ */
+export const CONFIG_FILES = ["pet-gen.config.js", "pet-gen.config.json"];
+
+/**
+ * Folder the config file is looked for in: the project folder, where
+ * `pets.js` is, whichever folder the script is run from.
+ *
+ * @constant {string}
+ */
+export const CONFIG_DIR = fileURLToPath(new URL("..", import.meta.url));
+
+/**
+ * Output formats we know how to ask for, with their file extensions.
+ *
+ * @constant {Record<string, string>}
+ */
+export const OUTPUT_FORMATS = {
+  WEBP: "webp",
+  PNG: "png",
+  JPG: "jpg",
+};
+
+/**
+ * Allowed ranges for numeric settings.
+ *
+ * Sizes follow Runware's rules (128-2048 pixels, in steps of 64); other
+ * providers may be stricter still, e.g. DALL-E 2 only makes 256, 512 or
+ * 1024 pixel squares.
+ *
+ * @constant {Record<string, {min: number, max: number, multipleOf?: number}>}
+ */
+export const SETTING_LIMITS = {
+  width: { min: 128, max: 2048, multipleOf: 64 },
+  height: { min: 128, max: 2048, multipleOf: 64 },
+  steps: { min: 1, max: 100 },
+  outputQuality: { min: 20, max: 99 },
+};
+
+/**
+ * Generation settings a config file may set (sent with each request).
+ *
+ * @constant {string[]}
+ */
+export const SETTING_KEYS = [
+  "model",
+  "width",
+  "height",
+  "steps",
+  "outputFormat",
+  "outputQuality",
+  "negativePrompt",
+];
+
+/**
+ * Every key a config file may set: the settings above, prompt templates,
+ * and the spending limits (`maxCost`, `confirmAbove` - see lib/cost.js).
+ *
+ * @constant {string[]}
+ */
+const CONFIG_KEYS = [...SETTING_KEYS, "template", "speciesTemplates", "maxCost", "confirmAbove"];
+
+/**
+ * Generation settings that can come from a config file or flags.
+ * Anything left out falls back to the defaults.
+ *
+ * A config file may also hold prompt templates (see
+ * `lib/prompt.js` `PromptTemplates`).
+ *
+ * @typedef {Object} SettingsConfig
+ * @property {string} [model] - Model ID
+ * @property {number} [width] - Image width in pixels
+ * @property {number} [height] - Image height in pixels
+ * @property {number} [steps] - Inference steps
+ * @property {string} [outputFormat] - "WEBP", "PNG" or "JPG"
+ * @property {number} [outputQuality] - Compression quality for WEBP/JPG
+ * @property {string} [negativePrompt] - What the model should leave out
+ */
+
+/**
+ * Normalizes a format name: `png` and `PNG` are the same, and `jpeg` is
+ * another name for `JPG`.
+ *
+ * @param {string} format - Format as typed by a person
+ * @returns {string} Upper-case format name
+ *
+ * @example
+ * normalizeFormat("jpeg"); // => "JPG"
+ */
+export function normalizeFormat(format) {
+  const upper = String(format).trim().toUpperCase();
+  return upper === "JPEG" ? "JPG" : upper;
+}
+
+/**
+ * File extension for an output format.
+ *
+ * @param {string} format - Format name, e.g. "WEBP"
+ * @returns {string} Extension without the dot, e.g. "webp"
+ */
+export function extensionFor(format) {
+  return OUTPUT_FORMATS[normalizeFormat(format)] ?? "webp";
+}
+
+/**
+ * Finds and loads the config file.
+ *
+ * With an explicit path (`--config`), that file must exist; a relative
+ * path is relative to the working directory, like any other file named
+ * on the command line. Otherwise the names in {@link CONFIG_FILES} are
+ * tried next to `pets.js`, and having none is fine.
+ *
+ * `.js` files are imported and must `export default` an object; `.json`
+ * files are parsed.
+ *
+ * @async
+ * @param {string} [file] - Path given with `--config`
+ * @param {string} [dir=CONFIG_DIR] - Folder to look in when no path is given
+ * @returns {Promise<{config: SettingsConfig & import('./prompt.js').PromptTemplates, file: string|null}>}
+ *   Settings (and templates) and where they came from
+ * @throws {Error} If the file is missing, unreadable, or has unknown keys
+ *
+ * @example
+ * const { config, file } = await loadConfig();
+ * // => { config: { width: 1024, height: 1024 }, file: "/path/to/pet-gen.config.js" }
+ */
+export async function loadConfig(file, dir = CONFIG_DIR) {
+  let path;
+  if (file !== undefined) {
+    path = resolve(file);
+    if (!existsSync(path)) throw new Error(`Config file not found: ${file}`);
+  } else {
+    path = CONFIG_FILES.map((name) => resolve(dir, name)).find((candidate) => existsSync(candidate));
+    if (!path) return { config: {}, file: null };
+  }
+
+  let config;
+  try {
+    const extension = extname(path).toLowerCase();
+    if (extension === ".json") {
+      config = JSON.parse(await readFile(path, "utf8"));
+    } else if ([".js", ".mjs"].includes(extension)) {
+      config = (await import(pathToFileURL(path).href)).default;
+    } else {
+      throw new Error("expected a .js or .json file");
+    }
+  } catch (error) {
+    throw new Error(`Could not load config ${path}: ${error.message}`);
+  }
+
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error(`Config ${path} must contain an object of settings`);
+  }
+
+  // A misspelt key would otherwise be silently ignored
+  const unknown = Object.keys(config).filter((key) => !CONFIG_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown setting(s) in ${path}: ${unknown.join(", ")} (expected: ${CONFIG_KEYS.join(", ")})`
+    );
+  }
+
+  return { config, file: path };
+}
+
+/**
+ * Checks settings against the allowed ranges and formats.
+ *
+ * Every problem is collected before throwing, so one run shows them all.
+ *
+ * @param {SettingsConfig} settings - Settings to check (after merging)
+ * @param {string[]} formats - Output formats the chosen provider can make
+ * @throws {Error} Listing every invalid setting
+ *
+ * @example
+ * validateSettings({ width: 1000, outputFormat: "GIF" }, ["WEBP", "PNG"]);
+ * // Error: Invalid settings:
+ * //   width must be a multiple of 64 (got 1000)
+ * //   outputFormat must be one of WEBP, PNG (got GIF)
+ */
+export function validateSettings(settings, formats) {
+  const problems = [];
+
+  if (typeof settings.model !== "string" || settings.model.trim() === "") {
+    problems.push("model must be a non-empty string");
+  }
+
+  for (const [key, { min, max, multipleOf }] of Object.entries(SETTING_LIMITS)) {
+    const value = settings[key];
+    if (value === undefined) continue;
+
+    if (!Number.isInteger(value)) {
+      problems.push(`${key} must be a whole number (got ${JSON.stringify(value)})`);
+    } else if (value < min || value > max) {
+      problems.push(`${key} must be between ${min} and ${max} (got ${value})`);
+    } else if (multipleOf && value % multipleOf !== 0) {
+      problems.push(`${key} must be a multiple of ${multipleOf} (got ${value})`);
+    }
+  }
+
+  if (settings.negativePrompt !== undefined && typeof settings.negativePrompt !== "string") {
+    problems.push("negativePrompt must be a string");
+  }
+
+  if (!formats.includes(settings.outputFormat)) {
+    problems.push(`outputFormat must be one of ${formats.join(", ")} (got ${settings.outputFormat})`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid settings:\n  ${problems.join("\n  ")}`);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Cost estimates and a hard budget cap.
+ *
+ * Providers only report what an image cost after it's made. To avoid
+ * surprises (especially on a shared classroom key), the generator:
+ *
+ * 1. Estimates the run up front from a per-model price table
+ * 2. Asks for confirmation when the estimate is above a threshold
+ * 3. With `--max-cost`, stops sending requests once spending would go
+ *    over the cap - checked before every request, retries included
+ *
+ * Prices are approximate and change over time; the provider's bill is
+ * the source of truth.
+ *
+ * @module lib/cost
+ */
+
+import { GenerationError } from "./errors.js";
+
+/**
+ * Approximate price of one image, by model ID (USD).
+ *
+ * - `perImage` with a reference size and step count: priced by the
+ *   pixel-step, so 1024x1024 costs about four times 512x512
+ * - `bySize`: a fixed price per size, like OpenAI's image endpoint
+ *
+ * @constant {Record<string, {perImage?: number, width?: number, height?: number, steps?: number, bySize?: Record<string, number>}>}
+ */
+export const PRICES = {
+  // FLUX.1 Schnell on Runware: ~$0.0013 at 512x512, 4 steps
+  "runware:100@1": { perImage: 0.0013, width: 512, height: 512, steps: 4 },
+  "dall-e-2": { bySize: { "256x256": 0.016, "512x512": 0.018, "1024x1024": 0.02 } },
+  placeholder: { perImage: 0 },
+};
+
+/**
+ * Estimated price of one image with the given settings.
+ *
+ * @param {import('./providers/index.js').ImageRequest} settings - Model, size and steps
+ * @returns {number|null} Price in USD, or null if the model isn't in {@link PRICES}
+ *
+ * @example
+ * pricePerImage({ model: "runware:100@1", width: 1024, height: 1024, steps: 4 });
+ * // => 0.0052
+ */
+export function pricePerImage(settings) {
+  const price = PRICES[settings.model];
+  if (!price) return null;
+
+  if (price.bySize) {
+    return price.bySize[`${settings.width}x${settings.height}`] ?? null;
+  }
+
+  // Scale from the reference size and steps, when the price has them
+  const area = price.width ? (settings.width * settings.height) / (price.width * price.height) : 1;
+  const steps = price.steps && settings.steps ? settings.steps / price.steps : 1;
+  return price.perImage * area * steps;
+}
+
+/**
+ * Formats a USD amount the way the generator's logs do.
+ *
+ * @param {number|null} amount - Amount in USD
+ * @returns {string} e.g. "$0.0624", or "unknown"
+ */
+export function formatCost(amount) {
+  return amount === null ? "unknown" : `$${amount.toFixed(4)}`;
+}
+
+/**
+ * Creates a spending tracker that enforces a cap.
+ *
+ * Concurrent workers each `reserve()` the estimated cost of a request
+ * before sending it and `settle()` it with the real cost afterwards, so
+ * requests in flight count towards the cap too.
+ *
+ * When the model's price is unknown, the most expensive request reported
+ * so far stands in for the estimate (the very first request is let
+ * through, since there's nothing to go on yet).
+ *
+ * @param {Object} options - Budget options
+ * @param {number|undefined} options.maxCost - Cap in USD (undefined = no cap)
+ * @param {number|null} options.perRequest - Estimated cost of one request,
+ *   or null if unknown
+ * @returns {{reserve: () => number, settle: (reserved: number, actual: number|undefined) => void, spent: () => number}}
+ *   Budget tracker
+ *
+ * @example
+ * const budget = createBudget({ maxCost: 0.05, perRequest: 0.0013 });
+ * const reserved = budget.reserve(); // throws once the cap would be passed
+ * const result = await provider.generate(prompt, settings);
+ * budget.settle(reserved, result.cost);
+ */
+export function createBudget({ maxCost, perRequest }) {
+  let spent = 0;
+  let reserved = 0;
+  let largest = 0;
+
+  return {
+    /**
+     * Reserves the estimated cost of one request.
+     *
+     * @returns {number} Amount reserved, to pass to settle()
+     * @throws {GenerationError} kind "budget" if the request could push spending over the cap
+     */
+    reserve() {
+      const amount = perRequest ?? largest;
+      if (maxCost !== undefined && spent + reserved + amount > maxCost + 1e-9) {
+        throw new GenerationError(
+          `--max-cost ${formatCost(maxCost)} would be exceeded (spent ${formatCost(spent)}, next request ~${formatCost(amount)})`,
+          { kind: "budget" }
+        );
+      }
+      reserved += amount;
+      return amount;
+    },
+
+    /**
+     * Swaps a reservation for what the request really cost.
+     *
+     * @param {number} amount - Amount returned by reserve()
+     * @param {number|undefined} actual - Reported cost; undefined keeps the
+     *   estimate, 0 for a failed request
+     */
+    settle(amount, actual) {
+      reserved -= amount;
+      spent += actual ?? amount;
+      if (actual !== undefined) largest = Math.max(largest, actual);
+    },
+
+    /**
+     * Total spent so far.
+     *
+     * @returns {number} USD
+     */
+    spent() {
+      return spent;
+    },
+  };
+}
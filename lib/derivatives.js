@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Smaller copies of each image for the pet browser.
+ *
+ * A grid card is about 250 pixels wide, but `images/{id}.webp` is 512.
+ * Every card downloading the full image wastes bandwidth, so for each
+ * image we also write:
+ *
+ * ```text
+ * images/
+ *   a3f8c1.webp         the original (512px) - also the 2x version of the thumbnail
+ *   256/a3f8c1.webp     thumbnail for normal screens
+ *   lqip/a3f8c1.webp    tiny blurred placeholder, shown while the image loads
+ * ```
+ *
+ * The pet browser picks between the thumbnail and the original with
+ * `srcset`, so high-density screens still get sharp images. ("LQIP" means
+ * "low-quality image placeholder".)
+ *
+ * Resizing needs the `sharp` package, an optional dependency: without
+ * it, generating still works, only the derivatives are skipped.
+ *
+ * @module lib/derivatives
+ */
+
+import { mkdir, stat } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+
+import { writeFileAtomic } from "./atomic.js";
+
+/**
+ * Thumbnail widths written by default. Sizes at or above the original's
+ * width are skipped - the original already serves them.
+ *
+ * @constant {number[]}
+ */
+export const DERIVATIVE_WIDTHS = [256];
+
+/**
+ * Folder for the blurred placeholders, inside the output folder.
+ *
+ * @constant {string}
+ */
+export const LQIP_DIR = "lqip";
+
+/**
+ * Width of a placeholder. The browser stretches it to the card size,
+ * which blurs it further; a few hundred bytes is plenty.
+ *
+ * @constant {number}
+ */
+const LQIP_WIDTH = 24;
+
+/**
+ * The sharp module, once loaded.
+ *
+ * @type {Function|null}
+ */
+let sharpModule = null;
+
+/**
+ * Loads sharp on first use, so the generator runs without it.
+ *
+ * @async
+ * @returns {Promise<Function>} The sharp() factory
+ * @throws {Error} If sharp isn't installed
+ */
+async function loadSharp() {
+  if (!sharpModule) {
+    try {
+      sharpModule = (await import("sharp")).default;
+    } catch {
+      throw new Error("Resizing images needs the sharp package: npm install sharp");
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * Whether a derivative is missing or older than its original.
+ *
+ * @async
+ * @param {string} target - Derivative path
+ * @param {number} sourceTime - Original's modification time (ms)
+ * @returns {Promise<boolean>} True if it should be (re)written
+ */
+async function outdated(target, sourceTime) {
+  if (!existsSync(target)) return true;
+  return (await stat(target)).mtimeMs < sourceTime;
+}
+
+/**
+ * Writes the thumbnails and placeholder for one image.
+ *
+ * Derivatives are always WEBP, whatever the original's format. Ones that
+ * are newer than the original are left alone unless `force` is set.
+ *
+ * @async
+ * @param {string} outDir - Output folder (e.g. "./images")
+ * @param {string} file - Original image, like "images/a3f8c1.webp"
+ * @param {Object} [options={}] - Options
+ * @param {number[]} [options.widths=DERIVATIVE_WIDTHS] - Thumbnail widths
+ * @param {boolean} [options.force=false] - Rewrite derivatives that are up to date
+ * @returns {Promise<string[]>} Paths written (empty if all were up to date)
+ * @throws {Error} If sharp is missing or can't read the image
+ *
+ * @example
+ * await createDerivatives("./images", "images/a3f8c1.webp");
+ * // => ["images/256/a3f8c1.webp", "images/lqip/a3f8c1.webp"]
+ */
+export async function createDerivatives(outDir, file, { widths = DERIVATIVE_WIDTHS, force = false } = {}) {
+  const sharp = await loadSharp();
+  const id = basename(file, extname(file));
+  const sourceTime = (await stat(file)).mtimeMs;
+  const { width } = await sharp(file).metadata();
+
+  const jobs = widths
+    .filter((size) => size < width)
+    .map((size) => ({
+      target: join(outDir, String(size), `${id}.webp`),
+      render: (image) => image.resize({ width: size }).webp({ quality: 80 }),
+    }));
+
+  jobs.push({
+    target: join(outDir, LQIP_DIR, `${id}.webp`),
+    render: (image) => image.resize({ width: LQIP_WIDTH }).blur(1).webp({ quality: 40 }),
+  });
+
+  const written = [];
+  for (const { target, render } of jobs) {
+    if (!force && !(await outdated(target, sourceTime))) continue;
+
+    await mkdir(join(target, ".."), { recursive: true });
+    await writeFileAtomic(target, await render(sharp(file)).toBuffer());
+    written.push(target);
+  }
+  return written;
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview A line diff, to show what a command would change in a
+ * file before it changes it.
+ *
+ * The output is the familiar unified format of `git diff`: `-` lines are
+ * removed, `+` lines are added, and each change comes with a few lines of
+ * context and an `@@` header giving its line numbers:
+ *
+ * ```diff
+ * --- pets.js
+ * +++ pets.js (after import)
+ * @@ -154,3 +154,3 @@
+ *    // ===========================================================================
+ * -  // CATS (9 total)
+ * +  // CATS (10 total)
+ *    // Teaching note: Good variety of temperaments and statuses
+ * ```
+ *
+ * The lines in common are found with the classic longest-common-
+ * subsequence table. That takes memory for every pair of lines, which is
+ * fine for files the size of pets.js.
+ *
+ * @module lib/diff
+ */
+
+/**
+ * Lines of context around each change.
+ *
+ * @constant {number}
+ */
+const CONTEXT = 3;
+
+/**
+ * Pairs up the lines of two texts.
+ *
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {{type: " "|"-"|"+", line: string}[]} Every line of both,
+ *   marked as kept, removed or added
+ */
+function diffOps(before, after) {
+  // Most edits touch a small part of the file: skip the common start and end
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const a = before.slice(start, before.length - end);
+  const b = after.slice(start, after.length - end);
+
+  // lengths[i * width + j] = longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = before.slice(0, start).map((line) => ({ type: " ", line }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      ops.push({ type: "-", line: a[i++] });
+    } else {
+      ops.push({ type: "+", line: b[j++] });
+    }
+  }
+  ops.push(...before.slice(before.length - end).map((line) => ({ type: " ", line })));
+
+  return ops;
+}
+
+/**
+ * Shows the differences between two versions of a file.
+ *
+ * @param {string} before - The file now ("" if it doesn't exist yet)
+ * @param {string} after - The file as it would be
+ * @param {{from: string, to: string}} names - Labels for the `---` and `+++` lines
+ * @returns {string} A unified diff, or "" if nothing changes
+ *
+ * @example
+ * unifiedDiff("a\nb\n", "a\nc\n", { from: "x.txt", to: "x.txt" });
+ * // => "--- x.txt\n+++ x.txt\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n"
+ */
+export function unifiedDiff(before, after, { from, to }) {
+  if (before === after) return "";
+
+  // The newline at the end of a file isn't a line of its own
+  const split = (text) => (text === "" ? [] : text.replace(/\n$/, "").split("\n"));
+  const ops = diffOps(split(before), split(after));
+
+  // Line numbers of each op in the old and new file
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map((op) => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== "+") oldLine++;
+    if (op.type !== "-") newLine++;
+    return entry;
+  });
+
+  // Group changes whose context would touch into one hunk
+  const hunks = [];
+  for (const [index, op] of numbered.entries()) {
+    if (op.type === " ") continue;
+
+    const last = hunks.at(-1);
+    if (last && index - last.end <= CONTEXT * 2) {
+      last.end = index + 1;
+    } else {
+      hunks.push({ start: index, end: index + 1 });
+    }
+  }
+
+  const lines = [`--- ${from}`, `+++ ${to}`];
+  for (const { start, end } of hunks) {
+    const slice = numbered.slice(Math.max(0, start - CONTEXT), Math.min(numbered.length, end + CONTEXT));
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+
+    lines.push(`@@ -${slice[0].oldLine},${oldCount} +${slice[0].newLine},${newCount} @@`);
+    lines.push(...slice.map(({ type, line }) => `${type}${line}`));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Error classification for image generation failures.
+ *
+ * Not all failures are equal. A 429 "slow down" will probably work if we
+ * wait and try again; a rejected API key never will, and trying again with
+ * the next 47 pets just wastes time. Every error the generator sees is
+ * turned into a {@link GenerationError} with a `kind` that says which
+ * case it is:
+ *
+ * | Kind             | Example                                                | Retry?                   |
+ * | ---------------- | ------------------------------------------------------ | ------------------------ |
+ * | `rate-limit`     | HTTP 429                                               | yes                      |
+ * | `server`         | HTTP 5xx, temporary API errors                         | yes                      |
+ * | `network`        | Connection reset, download cut off                     | yes                      |
+ * | `expired-url`    | Image URL gone (404/403/410)                           | yes                      |
+ * | `invalid-image`  | Saved file is an error page, cut off or the wrong size | yes                      |
+ * | `auth`           | Bad or missing API key                                 | no - stops the whole run |
+ * | `budget`         | `--max-cost` would be exceeded                         | no - stops the whole run |
+ * | `content-policy` | Prompt rejected by moderation                          | no                       |
+ * | `bad-request`    | Invalid parameters                                     | no                       |
+ * | `unknown`        | Anything else                                          | no                       |
+ *
+ * @module lib/errors
+ */
+
+/**
+ * Error kinds that are worth retrying.
+ *
+ * @constant {Set<string>}
+ */
+const RETRYABLE_KINDS = new Set(["rate-limit", "server", "network", "expired-url", "invalid-image"]);
+
+/**
+ * Error kinds that stop the whole run.
+ *
+ * @constant {Set<string>}
+ */
+const FATAL_KINDS = new Set(["auth", "budget"]);
+
+/**
+ * An error with a classification attached.
+ *
+ * @extends Error
+ *
+ * @example
+ * throw new GenerationError("API error: 429 Too Many Requests", {
+ *   kind: "rate-limit",
+ *   status: 429,
+ *   retryAfterMs: 1000,
+ * });
+ */
+export class GenerationError extends Error {
+  /**
+   * @param {string} message - Human-readable description
+   * @param {Object} details - Classification details
+   * @param {string} details.kind - One of the kinds in the table above
+   * @param {number} [details.status] - HTTP status code, if there was one
+   * @param {number} [details.retryAfterMs] - Server-requested wait before retrying
+   * @param {unknown} [details.cause] - The original error
+   */
+  constructor(message, { kind, status, retryAfterMs, cause } = {}) {
+    super(message, { cause });
+    this.name = "GenerationError";
+    this.kind = kind || "unknown";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+
+    // How many attempts were made before giving up (set by withRetry)
+    this.attempts = 1;
+  }
+
+  /**
+   * Whether trying again might succeed.
+   *
+   * @type {boolean}
+   */
+  get retryable() {
+    return RETRYABLE_KINDS.has(this.kind);
+  }
+
+  /**
+   * Whether the whole run should stop (no point trying other pets).
+   *
+   * @type {boolean}
+   */
+  get fatal() {
+    return FATAL_KINDS.has(this.kind);
+  }
+}
+
+/**
+ * Picks an error kind from an HTTP status code.
+ *
+ * @param {number} status - HTTP status code
+ * @returns {string} Error kind
+ *
+ * @example
+ * kindForStatus(429); // => "rate-limit"
+ * kindForStatus(503); // => "server"
+ */
+export function kindForStatus(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rate-limit";
+  if (status === 408 || status >= 500) return "server";
+  if (status >= 400) return "bad-request";
+  return "unknown";
+}
+
+/**
+ * Reads a `Retry-After` header, which may be a number of seconds or a date.
+ *
+ * @param {string|null} header - Header value
+ * @returns {number|undefined} Milliseconds to wait, if the header was usable
+ */
+export function parseRetryAfter(header) {
+  if (!header) return undefined;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(header);
+  if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+
+  return undefined;
+}
+
+/**
+ * Builds a classified error from a failed HTTP response.
+ *
+ * @param {Response} response - The failed fetch() response
+ * @param {string} message - Error message
+ * @returns {GenerationError} Classified error
+ */
+export function httpError(response, message) {
+  return new GenerationError(message, {
+    kind: kindForStatus(response.status),
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get("retry-after")),
+  });
+}
+
+/**
+ * Picks an error kind from an API error code or message, for APIs that
+ * report problems in the response body rather than the HTTP status.
+ *
+ * @param {string} text - Error code and/or message
+ * @returns {string} Error kind
+ *
+ * @example
+ * kindForApiError("invalidApiKey");          // => "auth"
+ * kindForApiError("contentModerated");       // => "content-policy"
+ * kindForApiError("serverOverloaded");       // => "server"
+ */
+export function kindForApiError(text) {
+  if (/api.?key|auth|unauthori[sz]ed|forbidden|credential/i.test(text)) return "auth";
+  if (/moderat|content.?policy|nsfw|safety|inappropriate/i.test(text)) return "content-policy";
+  if (/rate.?limit|too.?many/i.test(text)) return "rate-limit";
+  if (/timeout|timed.?out|server|unavailable|overload|busy|inference.?failed|try.?again/i.test(text)) {
+    return "server";
+  }
+  return "bad-request";
+}
+
+/**
+ * Error codes that mean the connection itself failed: Node's socket
+ * errors, and undici's (the library behind fetch()).
+ *
+ * @constant {Set<string>}
+ */
+const NETWORK_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CLOSED",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_HEADERS_TIMEOUT",
+  "UND_ERR_BODY_TIMEOUT",
+]);
+
+/**
+ * Whether an error comes from the network rather than from our code.
+ *
+ * fetch() reports a failed connection as `TypeError: fetch failed` and a
+ * body that stops halfway as `TypeError: terminated`, with the socket
+ * error as the `cause`. Other TypeErrors are bugs (like reading a field
+ * of `undefined`), so they don't count.
+ *
+ * @param {unknown} error - Anything that was thrown
+ * @returns {boolean} True for connection failures
+ */
+function isNetworkError(error) {
+  if (NETWORK_CODES.has(error?.code) || NETWORK_CODES.has(error?.cause?.code)) return true;
+  return error instanceof TypeError && (error.message === "fetch failed" || error.message === "terminated");
+}
+
+/**
+ * Turns any thrown value into a {@link GenerationError}.
+ *
+ * Errors that are already classified pass straight through. Connection
+ * failures (see isNetworkError()) become `network` errors. Everything
+ * else, including TypeErrors from bugs, is `unknown` and not retried, so
+ * a bug shows up at once instead of hiding behind retries.
+ *
+ * @param {unknown} error - Anything that was thrown
+ * @returns {GenerationError} Classified error
+ */
+export function classifyError(error) {
+  if (error instanceof GenerationError) return error;
+
+  const message = error instanceof Error ? error.message : String(error);
+
+  if (isNetworkError(error)) {
+    const cause = error?.cause?.code ? ` (${error.cause.code})` : "";
+    return new GenerationError(`Network error: ${message}${cause}`, {
+      kind: "network",
+      cause: error,
+    });
+  }
+
+  return new GenerationError(message, { kind: "unknown", cause: error });
+}
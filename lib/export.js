@@ -0,0 +1,129 @@
+/**
+ * @fileoverview The pet data as JSON, CSV or NDJSON, for use outside of
+ * JavaScript modules.
+ *
+ * Spreadsheets want CSV, `fetch()` exercises want JSON, and streaming
+ * tools want NDJSON (one JSON object per line). All three are made from
+ * the same rows, so every lesson works with exactly the data the site
+ * shows:
+ *
+ * ```text
+ * id,name,species,...,description
+ * a3f8c1,Whisker,cat,...,"A classic tabby who lives for chin scratches and sunny windowsills. ..."
+ * ```
+ *
+ * CSV follows RFC 4180: values containing a comma, a double quote or a
+ * line break are wrapped in double quotes, with quotes inside doubled.
+ * Descriptions have commas, so most of them are quoted.
+ *
+ * @module lib/export
+ */
+
+import { extname } from "node:path";
+
+/**
+ * Formats the `export` command can write.
+ *
+ * @constant {string[]}
+ */
+export const EXPORT_FORMATS = ["json", "csv", "ndjson"];
+
+/**
+ * Formats by file extension, to pick the format from `--output`.
+ *
+ * @constant {Record<string, string>}
+ */
+const FORMATS_BY_EXTENSION = {
+  ".json": "json",
+  ".csv": "csv",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+};
+
+/**
+ * Guesses the format from a file name.
+ *
+ * @param {string} file - Output file, e.g. "pets.csv"
+ * @returns {string|undefined} "json", "csv" or "ndjson", or undefined
+ *   for an unknown extension
+ *
+ * @example
+ * formatForFile("exports/pets.jsonl"); // => "ndjson"
+ */
+export function formatForFile(file) {
+  return FORMATS_BY_EXTENSION[extname(file).toLowerCase()];
+}
+
+/**
+ * Builds the rows to export.
+ *
+ * @param {import('../pets.js').Pet[]} pets - Pets to export, in order
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.prompt=true] - Keep the `prompt` field
+ * @param {Map<string, string|null>} [options.images] - Image path or URL
+ *   for each pet ID (null = no image yet); adds an `image` field
+ * @returns {Object[]} One plain object per pet
+ *
+ * @example
+ * toRows(pets, { prompt: false, images: new Map([["a3f8c1", "images/a3f8c1.webp"]]) })[0];
+ * // => { id: "a3f8c1", name: "Whisker", ..., description: "...", image: "images/a3f8c1.webp" }
+ */
+export function toRows(pets, { prompt = true, images } = {}) {
+  return pets.map((pet) => {
+    const row = { ...pet };
+    if (!prompt) delete row.prompt;
+    if (images) row.image = images.get(pet.id) ?? null;
+    return row;
+  });
+}
+
+/**
+ * Quotes one CSV value when it needs it (RFC 4180).
+ *
+ * `null` and `undefined` become an empty cell, so "no special needs"
+ * reads as blank in a spreadsheet.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} The cell as CSV text
+ *
+ * @example
+ * csvField('Sweet, shy "Mr. Whiskers"'); // => '"Sweet, shy ""Mr. Whiskers"""'
+ * csvField(null);                         // => ''
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return "";
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Writes the rows in one of the export formats.
+ *
+ * CSV columns are every field that any row has, in the order they first
+ * appear, so optional fields like `seed` get a column (blank for pets
+ * without one). Lines end with CRLF, as RFC 4180 asks.
+ *
+ * @param {Object[]} rows - From toRows()
+ * @param {string} format - "json", "csv" or "ndjson"
+ * @returns {string} The file's text, ending with a newline
+ * @throws {Error} If the format is unknown
+ */
+export function formatExport(rows, format) {
+  switch (format) {
+    case "json":
+      return `${JSON.stringify(rows, null, 2)}\n`;
+
+    case "ndjson":
+      return rows.map((row) => `${JSON.stringify(row)}\n`).join("");
+
+    case "csv": {
+      const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+      const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+      return lines.map((line) => `${line.map(csvField).join(",")}\r\n`).join("");
+    }
+
+    default:
+      throw new Error(`Unknown export format "${format}" (expected json, csv or ndjson)`);
+  }
+}
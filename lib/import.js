@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Reads pets from CSV, JSON or NDJSON files, for the
+ * `import` command.
+ *
+ * A new themed dataset is easier to write in a spreadsheet than as
+ * dozens of object literals. This module reads the rows back and turns
+ * each one into a pet, ready to be checked against the schema:
+ *
+ * ```text
+ * name,species,subcategory,temperament,prompt,description,note
+ * Clover,small mammal,rabbit,shy,"lop-eared rabbit, brown and white","Hides first, cuddles later."
+ * ```
+ *
+ * The column names are the `Pet` fields. Anything `export` writes can be
+ * read back, so a round trip through a spreadsheet works. Besides the
+ * fields:
+ *
+ * - `id` can be left out (or empty): a new one is picked for the row
+ * - `status` defaults to "available", and an empty `specialNeeds` (or
+ *   "none") means no special needs, as in `add-pet`
+ * - A `note` column becomes the pet's comment in pets.js
+ * - The `image` column `export` adds is ignored
+ *
+ * Rows are never dropped: a row that can't be read keeps its place with
+ * an error, so every problem can be reported against its row number.
+ *
+ * @module lib/import
+ */
+
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { extname } from "node:path";
+
+/**
+ * File formats `import` reads, by extension.
+ *
+ * @constant {Record<string, string>}
+ */
+const IMPORT_FORMATS = {
+  ".csv": "csv",
+  ".json": "json",
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+};
+
+/**
+ * Columns that aren't pet fields but are allowed in a file.
+ *
+ * @constant {string[]}
+ */
+const EXTRA_COLUMNS = ["note", "image"];
+
+/**
+ * One row of an import file.
+ *
+ * @typedef {Object} ImportRow
+ * @property {string} label - Where it is in the file, e.g. "row 3"
+ *   (CSV, counting the header as row 1, like a spreadsheet), "item 3"
+ *   (JSON) or "line 3" (NDJSON)
+ * @property {Object|null} values - The row's columns (null if it couldn't be read)
+ * @property {string|null} error - Why it couldn't be read, or null
+ */
+
+/**
+ * Splits CSV text into records of cells (RFC 4180).
+ *
+ * Quoted cells may hold commas, line breaks and doubled quotes (`""`
+ * for one `"`). Lines may end with CRLF or just LF, and a byte order
+ * mark (which spreadsheets like to add) is skipped.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Records, each an array of cells (blank lines are skipped)
+ * @throws {Error} If a quoted cell is never closed
+ *
+ * @example
+ * parseCsv('name,description\r\nClover,"Shy, then cuddly"\r\n');
+ * // => [["name", "description"], ["Clover", "Shy, then cuddly"]]
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let index = text.startsWith("\uFEFF") ? 1 : 0;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    // A blank line is one empty cell
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endCell();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error("a quoted value is never closed (missing \")");
+  if (cell !== "" || record.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Reads the rows of an import file. The format comes from the extension.
+ *
+ * @async
+ * @param {string} file - .csv, .json (an array of objects), or .ndjson/.jsonl
+ * @returns {Promise<ImportRow[]>} Every row, in file order
+ * @throws {Error} If the file can't be read at all (missing, unknown
+ *   extension, broken CSV quoting or JSON)
+ *
+ * @example
+ * await readImportFile("farm.csv");
+ * // => [{ label: "row 2", values: { name: "Clover", ... }, error: null }, ...]
+ */
+export async function readImportFile(file) {
+  const format = IMPORT_FORMATS[extname(file).toLowerCase()];
+  if (!format) {
+    throw new Error(`Can't import ${file}: use a .csv, .json, .ndjson or .jsonl file`);
+  }
+
+  if (!existsSync(file)) throw new Error(`No such file: ${file}`);
+  const text = await readFile(file, "utf8");
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file} isn't valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) throw new Error(`${file} must hold an array of pets`);
+
+    return data.map((values, index) => row(`item ${index + 1}`, values));
+  }
+
+  if (format === "ndjson") {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line, label: `line ${index + 1}` }))
+      .filter(({ line }) => line.trim() !== "")
+      .map(({ line, label }) => {
+        try {
+          return row(label, JSON.parse(line));
+        } catch (error) {
+          return { label, values: null, error: `isn't valid JSON: ${error.message}` };
+        }
+      });
+  }
+
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw new Error(`Can't read ${file}: ${error.message}`);
+  }
+  if (records.length === 0) return [];
+
+  const [header, ...body] = records;
+  const columns = header.map((column) => column.trim());
+
+  return body.map((cells, index) => {
+    const label = `row ${index + 2}`;
+    if (cells.length !== columns.length) {
+      return { label, values: null, error: `has ${cells.length} values, but the header has ${columns.length}` };
+    }
+
+    // Spreadsheet cells are text; an empty one means "not given"
+    const values = {};
+    for (const [position, column] of columns.entries()) {
+      const cell = cells[position].trim();
+      if (cell !== "") values[column] = column === "seed" && /^\d+$/.test(cell) ? Number(cell) : cell;
+    }
+    return { label, values, error: null };
+  });
+}
+
+/**
+ * Wraps a JSON value as a row, checking it's an object.
+ *
+ * @param {string} label - Where it is in the file
+ * @param {*} values - The parsed value
+ * @returns {ImportRow} The row
+ */
+function row(label, values) {
+  if (typeof values !== "object" || values === null || Array.isArray(values)) {
+    return { label, values: null, error: "must be an object with the pet's fields" };
+  }
+  return { label, values, error: null };
+}
+
+/**
+ * Turns a row's values into a pet (not yet checked), and its comment.
+ *
+ * @param {Object} values - From an {@link ImportRow}
+ * @returns {{pet: Object, note: string|undefined}} The pet, with the
+ *   defaults filled in and the extra columns removed
+ *
+ * @example
+ * toPet({ name: "Clover", species: "small mammal", note: "Lop-eared rabbit" });
+ * // => { pet: { name: "Clover", species: "small mammal", status: "available", specialNeeds: null },
+ * //      note: "Lop-eared rabbit" }
+ */
+export function toPet(values) {
+  const pet = Object.fromEntries(Object.entries(values).filter(([column]) => !EXTRA_COLUMNS.includes(column)));
+
+  if (pet.status === undefined) pet.status = "available";
+  if (pet.specialNeeds === undefined || pet.specialNeeds === "" || pet.specialNeeds === "none") {
+    pet.specialNeeds = null;
+  }
+  // An empty ID in JSON counts as left out, like an empty cell
+  if (pet.id === "" || pet.id === null) delete pet.id;
+
+  return { pet, note: typeof values.note === "string" && values.note.trim() !== "" ? values.note.trim() : undefined };
+}
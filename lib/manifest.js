@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Generation manifest: an audit trail for every image.
+ *
+ * Each time an image is saved, we record exactly how it was made - the
+ * full prompt, model, size, steps, seed and cost, when it happened, and a
+ * SHA-256 hash of the file. The manifest lives next to the images as
+ * `manifest.json`, keyed by pet ID:
+ *
+ * ```json
+ * {
+ *   "version": 1,
+ *   "images": {
+ *     "a3f8c1": { "prompt": "simple cartoon illustration of a ...", "seed": 123, ... }
+ *   }
+ * }
+ * ```
+ *
+ * With it we can explain any image ("what prompt made this?"), check a
+ * file hasn't been swapped (compare hashes), and reproduce it.
+ *
+ * @module lib/manifest
+ */
+
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+
+import { writeFileAtomic } from "./atomic.js";
+
+/**
+ * Manifest filename inside the output folder.
+ *
+ * @constant {string}
+ */
+export const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Current manifest format version.
+ *
+ * @constant {number}
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Everything recorded about one generated image.
+ *
+ * @typedef {Object} ManifestEntry
+ * @property {string} id - Pet ID
+ * @property {string} name - Pet name when the image was made
+ * @property {string} file - Image filename, relative to the manifest
+ * @property {string} sha256 - Hex SHA-256 of the image file
+ * @property {number} bytes - File size in bytes
+ * @property {string} prompt - The full prompt that was sent
+ * @property {string} [template] - The prompt template it was built from
+ * @property {string} provider - Provider name (runware, openai, ...)
+ * @property {string} model - Model ID
+ * @property {number} width - Requested width in pixels
+ * @property {number} height - Requested height in pixels
+ * @property {number} [steps] - Inference steps
+ * @property {number|null} seed - Seed reported by the provider, if any
+ * @property {number|null} cost - Cost in USD, if reported
+ * @property {string|null} taskId - Request ID we sent, if any
+ * @property {string|null} imageId - The provider's image ID, if any
+ * @property {string} generatedAt - ISO 8601 timestamp
+ * @property {string} fingerprint - Hash of prompt + settings (see lib/stale.js)
+ * @property {number} [candidate] - Which candidate was picked, when the
+ *   image was chosen from several (see lib/candidates.js)
+ * @property {string} [pickedAt] - ISO 8601 timestamp of the pick
+ */
+
+/**
+ * The whole manifest file.
+ *
+ * @typedef {Object} Manifest
+ * @property {number} version - Format version
+ * @property {Record<string, ManifestEntry>} images - Entries by pet ID
+ */
+
+/**
+ * Hashes image bytes with SHA-256.
+ *
+ * @param {Buffer} data - File contents
+ * @returns {string} Hex digest
+ */
+export function hashImage(data) {
+  return createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Loads the manifest from an output folder, or starts an empty one.
+ *
+ * @async
+ * @param {string} dir - Output folder
+ * @returns {Promise<Manifest>} The manifest
+ * @throws {Error} If the file exists but isn't valid JSON
+ */
+export async function loadManifest(dir) {
+  const filename = join(dir, MANIFEST_FILE);
+
+  try {
+    const manifest = JSON.parse(await readFile(filename, "utf8"));
+    return { version: MANIFEST_VERSION, images: {}, ...manifest };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { version: MANIFEST_VERSION, images: {} };
+    }
+    throw new Error(`Could not read ${filename}: ${error.message}`);
+  }
+}
+
+/**
+ * Writes the manifest, with entries sorted by ID so diffs stay readable.
+ *
+ * The file is written under a temporary name and then renamed, so a crash
+ * halfway through never leaves a half-written manifest behind.
+ *
+ * @async
+ * @param {string} dir - Output folder
+ * @param {Manifest} manifest - Manifest to write
+ * @returns {Promise<void>}
+ */
+export async function saveManifest(dir, manifest) {
+  const filename = join(dir, MANIFEST_FILE);
+  const sorted = Object.fromEntries(
+    Object.keys(manifest.images)
+      .sort()
+      .map((id) => [id, manifest.images[id]])
+  );
+
+  await writeFileAtomic(filename, JSON.stringify({ ...manifest, images: sorted }, null, 2) + "\n");
+}
+
+/**
+ * Creates a recorder that adds entries and saves after each one.
+ *
+ * Saving after every image means an interrupted run still keeps the
+ * records of what it finished. Concurrent workers may record at the same
+ * moment, so saves are queued one after another instead of overlapping.
+ *
+ * @param {string} dir - Output folder
+ * @param {Manifest} manifest - Manifest loaded with {@link loadManifest}
+ * @returns {{record: (entry: ManifestEntry) => Promise<void>}} Recorder
+ *
+ * @example
+ * const recorder = createManifestRecorder("./images", await loadManifest("./images"));
+ * await recorder.record(entry);
+ */
+export function createManifestRecorder(dir, manifest) {
+  let saving = Promise.resolve();
+
+  return {
+    record(entry) {
+      manifest.images[entry.id] = entry;
+      // Catch first so one failed save doesn't block every later one
+      saving = saving.catch(() => {}).then(() => saveManifest(dir, manifest));
+      return saving;
+    },
+  };
+}
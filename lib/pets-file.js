@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Edits pets.js as source text, in the file's own style.
+ *
+ * pets.js is meant to be read by students, so it isn't just data: every
+ * pet has a short JSDoc comment, and the pets are grouped into one
+ * section per species, each with a banner:
+ *
+ * ```javascript
+ *   // ===========================================================================
+ *   // CATS (9 total)
+ *   // Teaching note: Good variety of temperaments and statuses
+ *   // ===========================================================================
+ *
+ *   /**
+ *    * Whisker - Classic orange tabby, demonstrates "affectionate" temperament.
+ *    *\/
+ *   {
+ *     id: "a3f8c1",
+ *     ...
+ *   },
+ * ```
+ *
+ * Serializing the array with JSON.stringify() would lose all of that, so
+ * new pets are written as object literals in the same layout and inserted
+ * at the end of their species' section. The section's count and the
+ * dataset summary above `pets` are updated to match. A whole new dataset
+ * is written the same way, one section per species.
+ *
+ * @module lib/pets-file
+ */
+
+import { randomBytes } from "node:crypto";
+import { existsSync } from "node:fs";
+import { readdir } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
+
+import { ID_PATTERN } from "./validate.js";
+
+/**
+ * The pet data module, next to generate.js.
+ *
+ * @constant {string}
+ */
+export const PETS_FILE = "pets.js";
+
+/**
+ * Each species' section banner in pets.js, and its plural in the dataset
+ * summary ("9 cats", "7 aquatic").
+ *
+ * @constant {Record<string, {heading: string, plural: string}>}
+ */
+export const SECTIONS = {
+  cat: { heading: "CATS", plural: "cats" },
+  dog: { heading: "DOGS", plural: "dogs" },
+  "small mammal": { heading: "SMALL MAMMALS", plural: "small mammals" },
+  bird: { heading: "BIRDS", plural: "birds" },
+  reptile: { heading: "REPTILES", plural: "reptiles" },
+  aquatic: { heading: "AQUATIC", plural: "aquatic" },
+};
+
+/**
+ * Order of the fields in each pet literal.
+ *
+ * @constant {string[]}
+ */
+const FIELD_ORDER = [
+  "id",
+  "name",
+  "species",
+  "subcategory",
+  "specialNeeds",
+  "temperament",
+  "status",
+  "prompt",
+  "description",
+  "template",
+  "seed",
+];
+
+/**
+ * The line above and below each section's heading.
+ *
+ * @constant {string}
+ */
+const BANNER = `  // ${"=".repeat(75)}`;
+
+/**
+ * Lines longer than this put the value on its own line, as in the rest
+ * of pets.js.
+ *
+ * @constant {number}
+ */
+const LINE_WIDTH = 80;
+
+/**
+ * Finds every ID already in use: by a pet, or by a file or folder in the
+ * image folder (including style folders, thumbnails and candidates).
+ *
+ * An image left behind by a deleted pet still counts, so a new pet never
+ * inherits someone else's picture.
+ *
+ * @async
+ * @param {import('../pets.js').Pet[]} pets - Pets from pets.js
+ * @param {string} [dir="./images"] - Image folder to search
+ * @returns {Promise<Set<string>>} IDs that are taken
+ */
+export async function usedIds(pets, dir = "./images") {
+  const ids = new Set(pets.map((pet) => pet.id));
+  if (!existsSync(dir)) return ids;
+
+  const walk = async (folder) => {
+    for (const entry of await readdir(folder, { withFileTypes: true })) {
+      const id = entry.isDirectory() ? entry.name : basename(entry.name, extname(entry.name));
+      if (ID_PATTERN.test(id)) ids.add(id);
+      if (entry.isDirectory()) await walk(join(folder, entry.name));
+    }
+  };
+  await walk(dir);
+
+  return ids;
+}
+
+/**
+ * Makes a random 6-character hex ID that isn't taken.
+ *
+ * There are about 16.7 million IDs, so a free one turns up on the first
+ * try almost every time.
+ *
+ * @param {Set<string>} taken - From usedIds()
+ * @returns {string} A new ID, like "4be09f"
+ * @throws {Error} In the unlikely case no free ID turns up
+ */
+export function newPetId(taken) {
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const id = randomBytes(3).toString("hex");
+    if (!taken.has(id)) return id;
+  }
+  throw new Error("Couldn't find an unused pet ID");
+}
+
+/**
+ * Writes one pet as an object literal with its JSDoc comment, indented
+ * for the `pets` array.
+ *
+ * @param {import('../pets.js').Pet} pet - The pet
+ * @param {string} [note] - What the comment says about it, e.g.
+ *   "Sleepy grey tabby" (default: the prompt)
+ * @returns {string} The literal, ending with "},\n"
+ *
+ * @example
+ * formatPet(pet, "Sleepy grey tabby");
+ * // =>   /**
+ * //       * Pebble - Sleepy grey tabby.
+ * //       *\/
+ * //      {
+ * //        id: "4be09f",
+ * //        ...
+ */
+export function formatPet(pet, note = `${pet.prompt[0].toUpperCase()}${pet.prompt.slice(1)}`) {
+  const sentence = /[.!?]$/.test(note) ? note : `${note}.`;
+
+  // One line, and a "*/" in the text mustn't end the comment early
+  const comment = `${pet.name} - ${sentence}`.replace(/\s+/g, " ").replaceAll("*/", "*\\/");
+  const lines = ["  /**", `   * ${comment}`, "   */", "  {"];
+
+  for (const field of FIELD_ORDER) {
+    if (pet[field] === undefined) continue;
+
+    const value = JSON.stringify(pet[field]);
+    const line = `    ${field}: ${value},`;
+    lines.push(...(line.length > LINE_WIDTH ? [`    ${field}:`, `      ${value},`] : [line]));
+  }
+
+  lines.push("  },");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Finds where each species' section starts and ends in pets.js.
+ *
+ * @param {string} source - Text of pets.js
+ * @returns {Map<string, {start: number, end: number}>} Species to the
+ *   offsets of its banner and the end of its last pet
+ * @throws {Error} If the `pets` array can't be found
+ */
+function findSections(source) {
+  const arrayStart = source.indexOf("export const pets = [");
+  const arrayEnd = source.indexOf("\n];", arrayStart);
+  if (arrayStart === -1 || arrayEnd === -1) {
+    throw new Error(`${PETS_FILE} has no "export const pets = [...]" array`);
+  }
+
+  const banners = [];
+  for (const [species, { heading }] of Object.entries(SECTIONS)) {
+    const match = new RegExp(`^  // ={10,}\\n  // ${heading} \\(\\d+ total\\)`, "m").exec(source.slice(arrayStart));
+    if (match) banners.push({ species, start: arrayStart + match.index });
+  }
+  banners.sort((a, b) => a.start - b.start);
+
+  return new Map(
+    banners.map(({ species, start }, index) => [species, { start, end: banners[index + 1]?.start ?? arrayEnd + 1 }])
+  );
+}
+
+/**
+ * Adds a pet at the end of its species' section in pets.js, and updates
+ * the counts in that section's banner and in the dataset summary.
+ *
+ * @param {string} source - Text of pets.js
+ * @param {import('../pets.js').Pet} pet - The new pet (already validated)
+ * @param {string} [note] - For its JSDoc comment (see formatPet())
+ * @returns {string} The new text of pets.js
+ * @throws {Error} If pets.js has no section for the pet's species
+ */
+export function insertPet(source, pet, note) {
+  const section = findSections(source).get(pet.species);
+  if (!section) {
+    const heading = SECTIONS[pet.species]?.heading ?? pet.species.toUpperCase();
+    throw new Error(`${PETS_FILE} has no section for "${pet.species}" (a banner like "// ${heading} (0 total)")`);
+  }
+
+  // After the section's last "},", keeping the blank line before the next banner
+  const body = source.slice(section.start, section.end);
+  const lastPet = body.lastIndexOf("\n  },\n");
+  const at = lastPet === -1 ? section.start + body.indexOf("\n\n") + 1 : section.start + lastPet + "\n  },\n".length;
+
+  let updated = `${source.slice(0, at)}\n${formatPet(pet, note)}${source.slice(at)}`;
+
+  const { heading, plural } = SECTIONS[pet.species];
+  const bump = (text, pattern) =>
+    text.replace(pattern, (_, before, count, after) => `${before}${Number(count) + 1}${after}`);
+  updated = bump(updated, new RegExp(`(  // ${heading} \\()(\\d+)( total\\))`));
+  updated = bump(updated, new RegExp(`( \\* - )(\\d+)( ${plural}\\b)`));
+  updated = bump(updated, /( \* Complete dataset of )(\d+)( pets)/);
+
+  return updated;
+}
+
+/**
+ * Writes a whole pets module for a new dataset, like a themed edition.
+ *
+ * Everything before the `pets` array - the typedefs and the temperament
+ * mapping - is copied from the current pets.js, so the new module can
+ * replace it as is. The pets are grouped into one section per species,
+ * in the usual species order, each keeping the order it was given in.
+ *
+ * @param {string} source - Text of the current pets.js
+ * @param {{pet: import('../pets.js').Pet, note?: string}[]} entries - The
+ *   pets (already validated), with their comments (see formatPet())
+ * @returns {string} Text of the new module
+ * @throws {Error} If pets.js has no `pets` array to start from
+ */
+export function formatPetsModule(source, entries) {
+  const arrayStart = source.indexOf("export const pets = [");
+  const docStart = source.lastIndexOf("/**", arrayStart);
+  if (arrayStart === -1 || docStart === -1) {
+    throw new Error(`${PETS_FILE} has no documented "export const pets = [...]" array to start from`);
+  }
+
+  const groups = Object.keys(SECTIONS)
+    .map((species) => [species, entries.filter(({ pet }) => pet.species === species)])
+    .filter(([, group]) => group.length > 0);
+
+  const doc = [
+    "/**",
+    ` * Complete dataset of ${entries.length} pets for HAP's Animal Placement.`,
+    " *",
+    " * Dataset composition:",
+    ...groups.map(([species, { length }]) => ` * - ${length} ${length === 1 ? species : SECTIONS[species].plural}`),
+    " *",
+    " * @type {Pet[]}",
+    " */",
+  ];
+
+  const sections = groups.map(([species, group]) =>
+    [
+      BANNER,
+      `  // ${SECTIONS[species].heading} (${group.length} total)`,
+      BANNER,
+      "",
+      group.map(({ pet, note }) => formatPet(pet, note)).join("\n"),
+    ].join("\n")
+  );
+
+  return `${source.slice(0, docStart)}${doc.join("\n")}\nexport const pets = [\n${sections.join("\n")}];\n`;
+}
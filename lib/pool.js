@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Minimal worker pool for running async jobs in parallel.
+ *
+ * Starts `concurrency` workers that each pull the next item from a shared
+ * list until it is empty. With a concurrency of 1 this behaves exactly like
+ * a plain `for...of` loop with `await`.
+ *
+ * An `AbortSignal` can stop the pool early: jobs already running finish,
+ * but no new ones start (that's how Ctrl-C stops a run cleanly).
+ *
+ * @module lib/pool
+ */
+
+/**
+ * Runs `worker` for every item, at most `concurrency` at a time.
+ *
+ * Items are started in order, but may finish in any order. The worker is
+ * expected to handle its own errors; if one throws anyway, the pool stops
+ * handing out new items and the error is re-thrown once running jobs end.
+ *
+ * @async
+ * @template T
+ * @param {T[]} items - Items to process
+ * @param {number} concurrency - Maximum number of jobs running at once
+ * @param {(item: T, index: number) => Promise<void>} worker - Job for one item
+ * @param {Object} [options={}] - Pool options
+ * @param {AbortSignal} [options.signal] - Stops new items from starting once aborted
+ * @returns {Promise<void>} Resolves when every item is done (or, after an
+ *   abort, when the running ones are)
+ *
+ * @example
+ * await runPool(pets, 4, async (pet) => {
+ *   await generateOne(pet);
+ * });
+ */
+export async function runPool(items, concurrency, worker, { signal } = {}) {
+  let next = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (next < items.length && !failure && !signal?.aborted) {
+      // Claiming the index is synchronous, so two workers never get the same item
+      const index = next++;
+      try {
+        await worker(items[index], index);
+      } catch (error) {
+        failure ??= error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  if (failure) throw failure;
+}
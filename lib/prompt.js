@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Prompt templates with placeholders.
+ *
+ * A template is the prompt formula with blanks to fill in from the pet:
+ *
+ * ```text
+ * simple cartoon illustration of a {prompt}, white background, {expression} expression, flat colors
+ * ```
+ *
+ * Available placeholders: `{prompt}`, `{expression}`, `{species}`,
+ * `{subcategory}` and `{name}`.
+ *
+ * Templates can be set at three levels; the most specific one wins:
+ *
+ * 1. Per pet - a `template` field on the pet in pets.js
+ * 2. Per species - `speciesTemplates` in pet-gen.config.js
+ * 3. Global - `template` in pet-gen.config.js, or {@link DEFAULT_TEMPLATE}
+ *
+ * So aquatic pets can get an underwater background while everyone else
+ * keeps the plain white one.
+ *
+ * @module lib/prompt
+ */
+
+import { SPECIES } from "./validate.js";
+
+/**
+ * Placeholders a template may use.
+ *
+ * @constant {string[]}
+ */
+export const PLACEHOLDERS = ["prompt", "expression", "species", "subcategory", "name"];
+
+/**
+ * The original prompt formula, used when no other template applies.
+ *
+ * @constant {string}
+ */
+export const DEFAULT_TEMPLATE =
+  "simple cartoon illustration of a {prompt}, white background, {expression} expression, flat colors";
+
+/**
+ * Matches one `{placeholder}` in a template.
+ *
+ * @constant {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{([^{}]*)\}/g;
+
+/**
+ * Templates from the config file.
+ *
+ * @typedef {Object} PromptTemplates
+ * @property {string} [template] - Global template
+ * @property {Record<string, string>} [speciesTemplates] - Templates by species
+ */
+
+/**
+ * The template chosen for a pet, and which level it came from.
+ *
+ * @typedef {Object} ResolvedTemplate
+ * @property {string} template - Template text
+ * @property {string} source - "pet", "species:<name>", "config" or "default"
+ */
+
+/**
+ * Picks the most specific template for a pet.
+ *
+ * @param {import('../pets.js').Pet} pet - Pet to pick for
+ * @param {PromptTemplates} [templates={}] - Templates from the config file
+ * @returns {ResolvedTemplate} Template and its source
+ *
+ * @example
+ * selectTemplate({ species: "aquatic" }, { speciesTemplates: { aquatic: "{prompt} underwater" } });
+ * // => { template: "{prompt} underwater", source: "species:aquatic" }
+ */
+export function selectTemplate(pet, templates = {}) {
+  if (pet.template) {
+    return { template: pet.template, source: "pet" };
+  }
+  const species = templates.speciesTemplates?.[pet.species];
+  if (species) {
+    return { template: species, source: `species:${pet.species}` };
+  }
+  if (templates.template) {
+    return { template: templates.template, source: "config" };
+  }
+  return { template: DEFAULT_TEMPLATE, source: "default" };
+}
+
+/**
+ * Fills in a template's placeholders.
+ *
+ * @param {string} template - Template text
+ * @param {Record<string, string>} values - Value for each placeholder
+ * @returns {string} The finished prompt
+ * @throws {Error} If the template uses a placeholder that has no value
+ *
+ * @example
+ * renderTemplate("a {species} named {name}", { species: "cat", name: "Whisker" });
+ * // => "a cat named Whisker"
+ */
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    if (!Object.hasOwn(values, name)) {
+      throw new Error(`Unknown placeholder ${match} in template: ${template}`);
+    }
+    return values[name];
+  });
+}
+
+/**
+ * Lists the placeholders in a template that aren't in {@link PLACEHOLDERS}.
+ *
+ * @param {string} template - Template text
+ * @returns {string[]} Unknown placeholders, like `["{colour}"]`
+ */
+function unknownPlaceholders(template) {
+  return [...template.matchAll(PLACEHOLDER_PATTERN)]
+    .filter(([, name]) => !PLACEHOLDERS.includes(name))
+    .map(([match]) => match);
+}
+
+/**
+ * Checks every template (config and pets) before a run starts.
+ *
+ * Every problem is collected before throwing, so one run shows them all.
+ *
+ * @param {PromptTemplates} templates - Templates from the config file
+ * @param {import('../pets.js').Pet[]} pets - Pets whose own templates to check
+ *   (species templates are checked against every species in the schema,
+ *   so a run over some of the pets can still have templates for the rest)
+ * @throws {Error} Listing every invalid template
+ *
+ * @example
+ * checkTemplates({ speciesTemplates: { fish: "{prompt}" } }, pets);
+ * // Error: Invalid templates:
+ * //   speciesTemplates: unknown species "fish"
+ */
+export function checkTemplates(templates, pets) {
+  const problems = [];
+
+  const check = (where, template) => {
+    if (typeof template !== "string" || template.trim() === "") {
+      problems.push(`${where}: must be a non-empty string`);
+      return;
+    }
+    const unknown = unknownPlaceholders(template);
+    if (unknown.length > 0) {
+      problems.push(
+        `${where}: unknown placeholder(s) ${unknown.join(", ")} (expected: ${PLACEHOLDERS.map((name) => `{${name}}`).join(", ")})`
+      );
+    }
+  };
+
+  if (templates.template !== undefined) check("template", templates.template);
+
+  const speciesTemplates = templates.speciesTemplates ?? {};
+  if (typeof speciesTemplates !== "object" || Array.isArray(speciesTemplates)) {
+    problems.push("speciesTemplates: must be an object of templates by species");
+  } else {
+    for (const [name, template] of Object.entries(speciesTemplates)) {
+      if (!SPECIES.includes(name)) {
+        problems.push(`speciesTemplates: unknown species "${name}"`);
+      } else {
+        check(`speciesTemplates.${name}`, template);
+      }
+    }
+  }
+
+  for (const pet of pets) {
+    if (pet.template !== undefined) check(`${pet.name} (${pet.id}) template`, pet.template);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid templates:\n  ${problems.join("\n  ")}`);
+  }
+}
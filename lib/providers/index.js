@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Image provider registry.
+ *
+ * A "provider" is anything that can turn a prompt into an image. Every
+ * provider has the same shape, so the generator doesn't care which
+ * backend it is talking to:
+ *
+ * ```javascript
+ * const [image] = await provider.generate(prompt, { model, width, height, steps });
+ * // image.data (bytes) or image.url (download it), plus cost/seed if known
+ * ```
+ *
+ * To add a backend, write a `createXProvider()` factory in this folder and
+ * register it in {@link PROVIDERS}.
+ *
+ * @module lib/providers
+ */
+
+import { createOpenAIProvider, OPENAI_DEFAULT_MODEL } from "./openai.js";
+import { createPlaceholderProvider, PLACEHOLDER_MODEL } from "./placeholder.js";
+import { createRunwareProvider, RUNWARE_DEFAULT_MODEL } from "./runware.js";
+
+/**
+ * Settings for a single image request.
+ *
+ * @typedef {Object} ImageRequest
+ * @property {string} model - Model ID (meaning depends on the provider)
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} [steps] - Inference steps (ignored by some providers)
+ * @property {string} [outputFormat] - "WEBP", "PNG" or "JPG" (one of the
+ *   provider's `formats`)
+ * @property {number} [outputQuality] - WEBP/JPG quality, 20-99
+ * @property {string} [negativePrompt] - What the image should not contain
+ *   (ignored by providers without negative prompts)
+ * @property {number} [seed] - Random seed, for reproducible images
+ *   (ignored by providers that don't support seeds)
+ * @property {string} [label] - Short human label, e.g. the pet's name
+ * @property {number} [count=1] - How many images to generate from the
+ *   prompt (candidates to pick from). With a seed, image `i` normally
+ *   uses seed `seed + i`.
+ */
+
+/**
+ * What a provider returns for one image. Exactly one of `data` or `url`
+ * is set: providers ask for the bytes inline when the backend can send
+ * them, and fall back to a URL only when it doesn't. The other fields are
+ * filled in when the backend reports them.
+ *
+ * @typedef {Object} ImageResult
+ * @property {Buffer} [data] - Image bytes, when returned inline
+ * @property {string} [url] - Temporary URL to download the image from
+ * @property {number} [cost] - Cost in USD
+ * @property {number} [seed] - Random seed the image was generated with
+ * @property {string} [id] - The backend's ID for this image
+ * @property {string} [taskId] - The ID we sent with the request
+ */
+
+/**
+ * A backend that turns prompts into images.
+ *
+ * @typedef {Object} ImageProvider
+ * @property {string} name - Provider name, as used with `--provider`
+ * @property {(prompt: string, request: ImageRequest) => Promise<ImageResult[]>} generate
+ *   Generates `request.count` images (one by default)
+ * @property {string} [defaultModel] - Model to use, for a provider that
+ *   isn't in {@link PROVIDERS} (registered ones get it from there)
+ * @property {string[]} [formats] - Formats it can make, the first being
+ *   the default; also only for providers outside {@link PROVIDERS}
+ */
+
+/**
+ * All known providers, by name.
+ *
+ * - `defaultModel`: model used unless configured otherwise
+ * - `formats`: output formats it can make; the first is the default
+ * - `fromEnv`: builds the provider from environment variables
+ *
+ * @type {Record<string, {defaultModel: string, formats: string[], fromEnv: (env: Object) => ImageProvider}>}
+ */
+export const PROVIDERS = {
+  runware: {
+    defaultModel: RUNWARE_DEFAULT_MODEL,
+    formats: ["WEBP", "PNG", "JPG"],
+    fromEnv: (env) =>
+      createRunwareProvider({
+        apiKey: env.RUNWARE_API_KEY,
+        apiUrl: env.RUNWARE_API_URL || undefined,
+      }),
+  },
+  openai: {
+    defaultModel: OPENAI_DEFAULT_MODEL,
+    // The images endpoint returns PNG unless a model supports more
+    formats: ["PNG"],
+    fromEnv: (env) =>
+      createOpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL || undefined,
+      }),
+  },
+  placeholder: {
+    defaultModel: PLACEHOLDER_MODEL,
+    formats: ["WEBP", "PNG"],
+    fromEnv: () => createPlaceholderProvider(),
+  },
+};
+
+/**
+ * Creates a provider by name, reading keys and URLs from the environment.
+ *
+ * @param {string} name - Provider name (a key of {@link PROVIDERS})
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {ImageProvider} Ready-to-use provider
+ * @throws {Error} If the name is unknown or required settings are missing
+ *
+ * @example
+ * const provider = createProvider("placeholder");
+ */
+export function createProvider(name, env = process.env) {
+  const entry = PROVIDERS[name];
+  if (!entry) {
+    throw new Error(
+      `Unknown provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+    );
+  }
+  return entry.fromEnv(env);
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Generic OpenAI-style image provider.
+ *
+ * Many services (OpenAI itself, and a number of self-hosted or proxy
+ * servers) accept the same `POST /images/generations` request shape.
+ * Point `OPENAI_BASE_URL` at any of them to compare results against
+ * Runware without changing the rest of the generator.
+ *
+ * These endpoints don't report cost or seed, so those fields stay empty.
+ * They also have no seed parameter, so `request.seed` is ignored and
+ * images aren't reproducible. Images come back as PNG, and `steps`,
+ * `outputQuality` and `negativePrompt` don't apply.
+ *
+ * API docs: https://platform.openai.com/docs/api-reference/images/create
+ *
+ * @module lib/providers/openai
+ */
+
+import { GenerationError, httpError, kindForApiError } from "../errors.js";
+
+/**
+ * Default API base URL (everything before `/images/generations`).
+ *
+ * @constant {string}
+ */
+export const OPENAI_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Model used when none is configured.
+ * DALL-E 2 supports the 256/512/1024 square sizes pet-gen uses.
+ *
+ * @constant {string}
+ */
+export const OPENAI_DEFAULT_MODEL = "dall-e-2";
+
+/**
+ * Creates a provider for an OpenAI-compatible images endpoint.
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string|undefined} config.apiKey - API key for the endpoint
+ * @param {string} [config.baseUrl=OPENAI_BASE_URL] - API base URL
+ * @returns {import('./index.js').ImageProvider} OpenAI-style provider
+ * @throws {Error} If no API key is given
+ *
+ * @example
+ * const openai = createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+ * const [image] = await openai.generate("cartoon cat", { model: "dall-e-2", width: 512, height: 512 });
+ * await writeFile("cat.png", image.data);
+ */
+export function createOpenAIProvider({ apiKey, baseUrl = OPENAI_BASE_URL }) {
+  if (!apiKey) {
+    throw new Error(
+      [
+        "OPENAI_API_KEY environment variable not set",
+        "",
+        "To fix this:",
+        '  export OPENAI_API_KEY="your-key-here"',
+        "  node generate.js --provider openai",
+        "",
+        "For another OpenAI-compatible service, also set OPENAI_BASE_URL.",
+      ].join("\n")
+    );
+  }
+
+  // Accept base URLs with or without a trailing slash
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/images/generations`;
+
+  return {
+    name: "openai",
+
+    /**
+     * Generates one or more images through the images endpoint.
+     *
+     * Some models (like dall-e-3) only accept one image per request, so
+     * asking them for several candidates fails with a bad-request error.
+     *
+     * We ask for base64 data so the image arrives in the same response
+     * (no second download). Servers that ignore that and send a URL
+     * still work - the caller downloads it instead.
+     *
+     * @param {string} prompt - Complete prompt to send
+     * @param {import('./index.js').ImageRequest} request - Generation settings
+     * @returns {Promise<import('./index.js').ImageResult[]>} Image bytes or URL for each image
+     * @throws {GenerationError} If the request fails or returns no image
+     */
+    async generate(prompt, request) {
+      const response = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${apiKey}`,
+        },
+        body: JSON.stringify({
+          model: request.model,
+          prompt,
+          n: request.count || 1,
+          size: `${request.width}x${request.height}`,
+          response_format: "b64_json",
+        }),
+      });
+
+      if (!response.ok) {
+        // These APIs explain what went wrong in { error: { code, message } }
+        const body = await response.json().catch(() => ({}));
+        const detail = body.error?.message ? ` - ${body.error.message}` : "";
+        const error = httpError(response, `API error: ${response.status} ${response.statusText}${detail}`);
+
+        // A 400 can mean "bad parameters" or "prompt refused" - the code tells which
+        if (response.status === 400 && body.error) {
+          error.kind = kindForApiError(`${body.error.code} ${body.error.message}`);
+        }
+        throw error;
+      }
+
+      const result = await response.json();
+      const images = (result.data || []).filter((image) => image.b64_json || image.url);
+
+      if (images.length === 0) {
+        throw new GenerationError("API error: response contained no image", {
+          kind: "server",
+        });
+      }
+
+      return images.map((image) =>
+        image.b64_json ? { data: Buffer.from(image.b64_json, "base64") } : { url: image.url }
+      );
+    },
+  };
+}
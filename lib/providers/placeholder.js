@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Offline placeholder provider.
+ *
+ * Draws a labelled card instead of calling an AI service: a colored header
+ * with the pet's name, the full prompt underneath, and the model and size
+ * at the bottom. Useful for working on the site layout, testing the
+ * generator end to end, or teaching without an API key.
+ *
+ * The card is written as SVG - plain text describing rectangles and text
+ * - and turned into a WEBP or PNG by `sharp`, the optional dependency
+ * that also makes the thumbnails.
+ *
+ * The header color comes from a hash of the label, so each pet keeps the
+ * same color from run to run.
+ *
+ * Without sharp the provider can't draw anything, so creating it fails
+ * straight away (a fatal error before the run, not one failure per pet).
+ *
+ * @module lib/providers/placeholder
+ */
+
+import { createHash } from "node:crypto";
+import { createRequire } from "node:module";
+
+/**
+ * Model name reported for placeholder images.
+ *
+ * @constant {string}
+ */
+export const PLACEHOLDER_MODEL = "placeholder";
+
+/**
+ * Average width of a character, as a fraction of the font size, for
+ * wrapping the prompt (SVG text doesn't wrap by itself).
+ *
+ * @constant {number}
+ */
+const CHAR_WIDTH = 0.6;
+
+/**
+ * Loads sharp, or explains how to install it.
+ *
+ * `require` rather than `import()` so the check can happen while the
+ * provider is created, which isn't async.
+ *
+ * @returns {Function} The sharp() factory
+ * @throws {Error} If sharp isn't installed
+ */
+function requireSharp() {
+  try {
+    return createRequire(import.meta.url)("sharp");
+  } catch {
+    throw new Error("The placeholder provider needs the sharp package: npm install sharp");
+  }
+}
+
+/**
+ * Picks a stable, readable header color from some text.
+ *
+ * The first hash byte becomes a hue; saturation and lightness are fixed
+ * so white text always stays readable on top.
+ *
+ * @param {string} text - Text to derive the color from
+ * @returns {string} CSS color, like "hsl(212, 50%, 40%)"
+ */
+function colorFor(text) {
+  const hue = Math.round((createHash("sha256").update(text).digest()[0] / 256) * 360);
+  return `hsl(${hue}, 50%, 40%)`;
+}
+
+/**
+ * Escapes text for use inside SVG (which is XML).
+ *
+ * @param {string} text - Any text, like a prompt
+ * @returns {string} Text with &, <, > and quotes escaped
+ */
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Splits text into lines of at most `width` characters, at spaces.
+ *
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum characters per line
+ * @returns {string[]} Lines (a word longer than a line gets one of its own)
+ *
+ * @example
+ * wrapText("fluffy orange tabby cat", 12); // => ["fluffy", "orange tabby", "cat"]
+ */
+function wrapText(text, width) {
+  const lines = [];
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const last = lines.at(-1);
+    if (last !== undefined && last.length + 1 + word.length <= width) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Draws a placeholder card as SVG: colored header with the label, the
+ * wrapped prompt, and the model, size and seed in the footer.
+ *
+ * @param {string} prompt - Prompt to print on the image
+ * @param {import('./index.js').ImageRequest} request - Size and label
+ * @param {number|undefined} seed - Seed to print in the footer, if any
+ * @returns {string} SVG document
+ */
+function cardSvg(prompt, request, seed) {
+  const { width, height } = request;
+  const label = request.label || "placeholder";
+
+  // Scale text with the image so 256px and 1024px cards look alike
+  const titleSize = Math.max(8, Math.round(width / 14));
+  const bodySize = Math.max(6, Math.round(width / 32));
+  const margin = bodySize;
+  const headerHeight = Math.round(titleSize * 1.6);
+
+  const lines = wrapText(prompt, Math.floor((width - 2 * margin) / (bodySize * CHAR_WIDTH)));
+  const footer =
+    seed === undefined ? `${request.model} ${width}x${height}` : `${request.model} ${width}x${height} seed ${seed}`;
+
+  const text = (content, x, y, size, color) =>
+    `<text x="${x}" y="${y}" font-size="${size}" fill="${color}">${escapeXml(content)}</text>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#f8f6f0"/>`,
+    `<rect width="${width}" height="${headerHeight}" fill="${colorFor(label)}"/>`,
+    text(label, margin, Math.round(headerHeight * 0.7), titleSize, "#ffffff"),
+    ...lines.map((line, index) =>
+      text(line, margin, headerHeight + margin + Math.round(bodySize * 1.3 * (index + 1)), bodySize, "#282828")
+    ),
+    text(footer, margin, height - margin, bodySize, "#8c8c8c"),
+    "</svg>",
+  ].join("\n");
+}
+
+/**
+ * Renders a placeholder card.
+ *
+ * @async
+ * @param {Function} sharp - The sharp() factory
+ * @param {string} prompt - Prompt to print on the image
+ * @param {import('./index.js').ImageRequest} request - Size, label and format
+ * @param {number|undefined} seed - Seed to print in the footer, if any
+ * @returns {Promise<Buffer>} WEBP bytes, or PNG when `request.outputFormat` is "PNG"
+ */
+async function drawCard(sharp, prompt, request, seed) {
+  const image = sharp(Buffer.from(cardSvg(prompt, request, seed)));
+  return (request.outputFormat === "PNG" ? image.png() : image.webp({ quality: 80 })).toBuffer();
+}
+
+/**
+ * Creates a provider that draws placeholder images locally.
+ *
+ * @returns {import('./index.js').ImageProvider} Placeholder provider
+ * @throws {Error} If sharp isn't installed (`npm install sharp`)
+ *
+ * @example
+ * const placeholder = createPlaceholderProvider();
+ * const [image] = await placeholder.generate("cartoon cat", { model: "placeholder", width: 512, height: 512, label: "Whisker" });
+ * await writeFile("whisker.webp", image.data);
+ */
+export function createPlaceholderProvider() {
+  const sharp = requireSharp();
+
+  return {
+    name: "placeholder",
+
+    /**
+     * Draws one placeholder image per requested candidate.
+     *
+     * @param {string} prompt - Prompt to print on the image
+     * @param {import('./index.js').ImageRequest} request - Size, label and count
+     * @returns {Promise<import('./index.js').ImageResult[]>} WEBP or PNG bytes, cost 0
+     */
+    async generate(prompt, request) {
+      const images = [];
+
+      // Candidates follow the usual convention: seed, seed + 1, seed + 2...
+      for (let i = 0; i < (request.count || 1); i++) {
+        const seed = request.seed === undefined ? undefined : request.seed + i;
+        images.push({ data: await drawCard(sharp, prompt, request, seed), cost: 0, seed });
+      }
+
+      return images;
+    },
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Runware image provider (the original backend for pet-gen).
+ *
+ * Runware exposes every operation through one URL. Each request body is an
+ * ARRAY of tasks; we always send a single `imageInference` task and read
+ * the first item of the `data` array that comes back.
+ *
+ * Images come back inline as base64 (`outputType: "base64Data"`), so
+ * there's no second request to a temporary URL that can expire or be cut
+ * off. If a response has a URL instead (an older API version, or a
+ * proxy), the caller downloads it as before.
+ *
+ * API docs: https://runware.ai/docs/en/image-inference/api-reference
+ *
+ * @module lib/providers/runware
+ */
+
+import { GenerationError, httpError, kindForApiError } from "../errors.js";
+
+/**
+ * Runware API endpoint for image generation.
+ * All API calls go to this single URL with different payloads.
+ *
+ * @constant {string}
+ */
+export const RUNWARE_API_URL = "https://api.runware.ai/v1";
+
+/**
+ * Model used when none is configured.
+ * "runware:100@1" is Runware's ID for FLUX.1 Schnell - fast and cheap.
+ *
+ * @constant {string}
+ */
+export const RUNWARE_DEFAULT_MODEL = "runware:100@1";
+
+/**
+ * Turns one `data` item into an image result: the inline bytes when
+ * there are any, otherwise the URL to download.
+ *
+ * @param {Object} image - Item from the response's `data` array
+ * @returns {{data: Buffer}|{url: string}} Bytes or URL
+ * @throws {GenerationError} If the item has neither
+ *
+ * @example
+ * imageSource({ imageBase64Data: "UklGR..." }); // => { data: <Buffer 52 49 46 46 ...> }
+ * imageSource({ imageURL: "https://im.runware.ai/image/ws/..." }); // => { url: "https://..." }
+ */
+function imageSource(image) {
+  // A data URI is base64 with a "data:image/webp;base64," prefix
+  const base64 = image.imageBase64Data ?? image.imageDataURI?.replace(/^data:[^,]*,/, "");
+  if (base64) {
+    const data = Buffer.from(base64, "base64");
+    if (data.length > 0) return { data };
+  }
+
+  if (image.imageURL) return { url: image.imageURL };
+
+  throw new GenerationError("API error: response contained no image", { kind: "server" });
+}
+
+/**
+ * Creates a provider that generates images with the Runware API.
+ *
+ * SECURITY NOTE: Never hardcode API keys in source code!
+ * Pass the key in from an environment variable instead:
+ *
+ * ```bash
+ * # Set temporarily (current session only)
+ * export RUNWARE_API_KEY="your-key-here"
+ *
+ * # Or add to ~/.zshrc or ~/.bashrc for persistence
+ * echo 'export RUNWARE_API_KEY="your-key"' >> ~/.zshrc
+ * ```
+ *
+ * @param {Object} config - Provider configuration
+ * @param {string|undefined} config.apiKey - Runware API key
+ * @param {string} [config.apiUrl=RUNWARE_API_URL] - Endpoint to call
+ * @returns {import('./index.js').ImageProvider} Runware provider
+ * @throws {Error} If no API key is given
+ *
+ * @example
+ * const runware = createRunwareProvider({ apiKey: process.env.RUNWARE_API_KEY });
+ * const [image] = await runware.generate("cartoon cat", { model: "runware:100@1", width: 512, height: 512, steps: 4 });
+ * console.log(image.data.length, image.cost);
+ */
+export function createRunwareProvider({ apiKey, apiUrl = RUNWARE_API_URL }) {
+  if (!apiKey) {
+    throw new Error(
+      [
+        "RUNWARE_API_KEY environment variable not set",
+        "",
+        "To fix this:",
+        '  export RUNWARE_API_KEY="your-key-here"',
+        "  node generate.js",
+        "",
+        "Get a free API key at: https://runware.ai",
+        "",
+        "(Or preview prompts without a key: node generate.js --dry-run)",
+      ].join("\n")
+    );
+  }
+
+  return {
+    name: "runware",
+
+    /**
+     * Generates one or more images using the Runware API.
+     *
+     * @param {string} prompt - Complete prompt to send
+     * @param {import('./index.js').ImageRequest} request - Generation settings
+     * @returns {Promise<import('./index.js').ImageResult[]>} Bytes (or URL), cost and seed of each image
+     * @throws {GenerationError} If the API request fails or returns an error
+     */
+    async generate(prompt, request) {
+      // Generate a unique ID for this request
+      // UUIDs (Universally Unique Identifiers) ensure no collisions
+      const taskUUID = crypto.randomUUID();
+
+      const response = await fetch(apiUrl, {
+        method: "POST",
+
+        headers: {
+          "Content-Type": "application/json",
+          // API key for authentication (Bearer token format)
+          Authorization: `Bearer ${apiKey}`,
+        },
+
+        // Note: Runware API expects an ARRAY of tasks (even for single requests)
+        body: JSON.stringify([
+          {
+            // Type of task - we want to generate an image
+            taskType: "imageInference",
+
+            // Unique identifier for this specific request
+            taskUUID,
+
+            model: request.model,
+            positivePrompt: prompt,
+
+            // Things to keep out of the image (text, watermarks...)
+            // Left out when not set
+            negativePrompt: request.negativePrompt,
+
+            width: request.width,
+            height: request.height,
+
+            // Number of inference steps
+            // Most models need 20-50 steps; Schnell works well with 4
+            steps: request.steps,
+
+            // Same seed + same prompt + same settings = the same image
+            // Left out when not set, so Runware picks a random one
+            seed: request.seed,
+
+            // How to return the result
+            // "base64Data" = the image itself, inside this response
+            // ("URL" would mean a temporary link to download afterwards)
+            outputType: "base64Data",
+
+            // Image format - WEBP is modern, small, and widely supported
+            // PNG (lossless) is better for print; JPG also works
+            outputFormat: request.outputFormat || "WEBP",
+
+            // WEBP/JPG quality (20-99)
+            // 80 is a good balance of quality and file size
+            outputQuality: request.outputQuality ?? 80,
+
+            // How many images to generate per request
+            // With a seed, Runware uses seed, seed + 1, seed + 2...
+            numberResults: request.count || 1,
+          },
+        ]),
+      });
+
+      // Check if the HTTP request itself failed
+      // response.ok is true for status codes 200-299
+      // The status code tells us what kind of failure it was (429, 5xx...)
+      if (!response.ok) {
+        const error = httpError(response, `API error: ${response.status} ${response.statusText}`);
+
+        // A 400 can mean "bad parameters" or "prompt refused" - the errors array tells which
+        if (response.status === 400) {
+          const body = await response.json().catch(() => ({}));
+          if (body.errors) {
+            error.kind = kindForApiError(body.errors.map((e) => `${e.code} ${e.message}`).join("; "));
+          }
+        }
+        throw error;
+      }
+
+      const result = await response.json();
+
+      // Check for API-level errors (request succeeded but operation failed)
+      // Here only the error codes and messages say what went wrong
+      if (result.errors) {
+        const text = result.errors.map((e) => `${e.code} ${e.message}`).join("; ");
+        throw new GenerationError(`API error: ${JSON.stringify(result.errors)}`, {
+          kind: kindForApiError(text),
+        });
+      }
+
+      // One entry per image in the data array
+      // Each contains: imageBase64Data (or imageURL), imageUUID, cost, seed, etc.
+      if (!Array.isArray(result.data) || result.data.length === 0) {
+        throw new GenerationError("API error: response contained no image data", { kind: "server" });
+      }
+
+      return result.data.map((image) => ({
+        ...imageSource(image),
+        cost: image.cost,
+        seed: image.seed,
+        id: image.imageUUID,
+        taskId: taskUUID,
+      }));
+    },
+  };
+}
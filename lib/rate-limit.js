@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Token-bucket rate limiter shared by concurrent workers.
+ *
+ * Picture a bucket that holds up to `burst` tokens and refills at a steady
+ * rate. Every API request takes one token. If the bucket is empty, the
+ * request waits until the next token drips in. However many workers are
+ * running, together they never go faster than the refill rate.
+ *
+ * @module lib/rate-limit
+ *
+ * @example
+ * const limiter = createRateLimiter({ requests: 5, perMs: 1000 });
+ * await limiter.take(); // resolves immediately
+ * await limiter.take(); // resolves ~200ms later
+ */
+
+/**
+ * Units accepted after the slash in a rate like `"5/s"`.
+ *
+ * @constant {Record<string, number>}
+ */
+const RATE_UNITS = {
+  s: 1000,
+  sec: 1000,
+  second: 1000,
+  m: 60_000,
+  min: 60_000,
+  minute: 60_000,
+};
+
+/**
+ * A parsed request rate.
+ *
+ * @typedef {Object} Rate
+ * @property {number} requests - Requests allowed per period (0 = unlimited)
+ * @property {number} perMs - Length of the period in milliseconds
+ */
+
+/**
+ * Parses a rate such as `"5/s"`, `"60/min"` or `"0"` (unlimited).
+ * A bare number means requests per second.
+ *
+ * @param {string} text - Rate to parse
+ * @returns {Rate} Parsed rate
+ * @throws {Error} If the text isn't a valid rate
+ *
+ * @example
+ * parseRate("60/min"); // => { requests: 60, perMs: 60000 }
+ * parseRate("2");      // => { requests: 2, perMs: 1000 }
+ */
+export function parseRate(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)(?:\s*\/\s*([a-z]+))?$/i);
+  const perMs = RATE_UNITS[(match?.[2] || "s").toLowerCase()];
+
+  if (!match || !perMs) {
+    throw new Error(`Invalid rate "${text}" (expected something like 5/s or 60/min)`);
+  }
+
+  return { requests: Number(match[1]), perMs };
+}
+
+/**
+ * Creates a token-bucket limiter.
+ *
+ * Each `take()` reserves a token straight away, even if that puts the
+ * bucket "in debt", and then waits for the debt to be paid back. Because
+ * reservations happen in call order, waiting workers are served first come,
+ * first served.
+ *
+ * @param {Object} config - Limiter settings
+ * @param {number} config.requests - Requests allowed per period (0 = unlimited)
+ * @param {number} config.perMs - Length of the period in milliseconds
+ * @param {number} [config.burst=1] - Bucket size: how many requests may go at once
+ * @returns {{take: () => Promise<void>}} The limiter
+ */
+export function createRateLimiter({ requests, perMs, burst = 1 }) {
+  // Unlimited: every take() resolves immediately
+  if (requests <= 0) {
+    return { take: async () => {} };
+  }
+
+  const tokensPerMs = requests / perMs;
+  let tokens = burst;
+  let updatedAt = Date.now();
+
+  return {
+    async take() {
+      // Top the bucket up for the time that has passed, never above `burst`
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + (now - updatedAt) * tokensPerMs);
+      updatedAt = now;
+
+      // Reserve our token; a negative balance is how long we must wait
+      tokens -= 1;
+      if (tokens >= 0) return;
+
+      const waitMs = Math.ceil(-tokens / tokensPerMs);
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+    },
+  };
+}
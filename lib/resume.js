@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Picking up an interrupted run where it left off.
+ *
+ * Every real run records its command-line arguments and the pets it
+ * hasn't finished yet, updated as each pet is done:
+ *
+ * ```json
+ * {
+ *   "argv": ["--species", "cat", "--force"],
+ *   "remaining": ["c4e2b9", "d8f1a7"],
+ *   "savedAt": "2026-01-01T12:00:00.000Z"
+ * }
+ * ```
+ *
+ * The record is deleted when every pet is done. If the run is stopped
+ * early instead - Ctrl-C, a crash, a fatal error like a bad key or
+ * `--max-cost` - or some pets fail, it stays behind, and
+ * `node generate.js --resume` repeats the run with the same options for
+ * exactly those pets. That works even with `--force`, where re-running
+ * the original command would redo everything.
+ *
+ * @module lib/resume
+ */
+
+import { readFile, rm } from "node:fs/promises";
+import { resolve } from "node:path";
+
+import { writeFileAtomic } from "./atomic.js";
+
+/**
+ * Where the unfinished run is recorded, in the working directory.
+ *
+ * @constant {string}
+ */
+export const RESUME_FILE = ".pet-gen-resume.json";
+
+/**
+ * A run that didn't finish.
+ *
+ * @typedef {Object} ResumeState
+ * @property {string[]} argv - The run's arguments (after `node generate.js`)
+ * @property {string[]} remaining - IDs of the pets that still need an image
+ * @property {string} savedAt - ISO 8601 timestamp
+ */
+
+/**
+ * Starts recording a run: every pet is "remaining" until marked done.
+ *
+ * Like the manifest recorder, the file is saved after every change, one
+ * save after another, so it is up to date whenever the run stops.
+ *
+ * @async
+ * @param {string[]} argv - The run's arguments
+ * @param {string[]} ids - IDs of every pet in the run, in order
+ * @param {string} [cwd=process.cwd()] - Folder to write the file in
+ * @returns {Promise<{done: (id: string) => Promise<void>, finish: () => Promise<string[]>}>}
+ *   `done()` marks a pet finished; `finish()` returns the IDs still left,
+ *   deleting the record if there are none
+ *
+ * @example
+ * const tracker = await trackRun(["--species", "cat"], cats.map((pet) => pet.id));
+ * await tracker.done("a3f8c1");
+ * const left = await tracker.finish(); // => [] (all done, record deleted)
+ */
+export async function trackRun(argv, ids, cwd = process.cwd()) {
+  const file = resolve(cwd, RESUME_FILE);
+  const remaining = new Set(ids);
+
+  const save = () => {
+    /** @type {ResumeState} */
+    const state = { argv, remaining: [...remaining], savedAt: new Date().toISOString() };
+    return writeFileAtomic(file, JSON.stringify(state, null, 2) + "\n");
+  };
+
+  let saving = save();
+  await saving;
+
+  return {
+    done(id) {
+      remaining.delete(id);
+      // Catch first so one failed save doesn't block every later one
+      saving = saving.catch(() => {}).then(save);
+      return saving;
+    },
+
+    async finish() {
+      await saving.catch(() => {});
+      if (remaining.size === 0) await rm(file, { force: true });
+      return [...remaining];
+    },
+  };
+}
+
+/**
+ * Loads the unfinished run.
+ *
+ * @async
+ * @param {string} [cwd=process.cwd()] - Folder to look in
+ * @returns {Promise<ResumeState>} The saved run
+ * @throws {Error} If there is nothing to resume
+ */
+export async function loadResumeState(cwd = process.cwd()) {
+  const file = resolve(cwd, RESUME_FILE);
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error("Nothing to resume: no interrupted run was recorded");
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Retry with exponential backoff and jitter.
+ *
+ * When a request fails for a temporary reason, we wait and try again, and
+ * each wait is longer than the last: ~1s, ~2s, ~4s... ("exponential
+ * backoff"). Each wait is also randomized ("jitter") so that several
+ * workers that failed together don't all retry at the same instant.
+ *
+ * Only errors that {@link module:lib/errors} marks as retryable are
+ * retried; everything else is thrown straight away.
+ *
+ * @module lib/retry
+ */
+
+import { setTimeout as sleep } from "node:timers/promises";
+
+import { classifyError } from "./errors.js";
+
+/**
+ * Retry settings.
+ *
+ * @typedef {Object} RetryOptions
+ * @property {number} [retries=3] - Extra attempts after the first one
+ * @property {number} [baseDelayMs=1000] - Wait before the first retry (before jitter)
+ * @property {number} [maxDelayMs=30000] - Longest wait between attempts
+ * @property {(error: import('./errors.js').GenerationError, attempt: number, delayMs: number) => void} [onRetry]
+ *   Called before each wait, e.g. to log what is happening
+ * @property {AbortSignal} [signal] - Once aborted (e.g. by Ctrl-C), no
+ *   more retries are started and a wait in progress is cut short; the
+ *   last error is thrown instead
+ */
+
+/**
+ * Works out how long to wait before a retry.
+ *
+ * Uses "full jitter": a random time between zero and the exponential
+ * limit. If the server sent `Retry-After`, we wait at least that long.
+ *
+ * @param {number} attempt - The attempt that just failed (1 = first)
+ * @param {import('./errors.js').GenerationError} error - Why it failed
+ * @param {RetryOptions} options - Retry settings
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt, error, { baseDelayMs = 1000, maxDelayMs = 30_000 } = {}) {
+  const limit = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  const jittered = Math.round(Math.random() * limit);
+  return Math.max(jittered, error.retryAfterMs ?? 0);
+}
+
+/**
+ * Calls `task` until it succeeds, a permanent error occurs, or the
+ * retries run out.
+ *
+ * @async
+ * @template T
+ * @param {(attempt: number) => Promise<T>} task - Work to attempt; receives the attempt number
+ * @param {RetryOptions} [options={}] - Retry settings
+ * @returns {Promise<T>} Whatever `task` returns on success
+ * @throws {import('./errors.js').GenerationError} The last error, classified
+ *
+ * @example
+ * const result = await withRetry(() => generateImage(pet, provider, settings), {
+ *   retries: 3,
+ *   onRetry: (error, attempt, delayMs) => console.log(`retrying in ${delayMs}ms`),
+ * });
+ */
+export async function withRetry(task, options = {}) {
+  const { retries = 3, onRetry, signal } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (thrown) {
+      const error = classifyError(thrown);
+
+      if (!error.retryable || attempt > retries || signal?.aborted) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delayMs = backoffDelay(attempt, error, options);
+      onRetry?.(error, attempt, delayMs);
+      try {
+        await sleep(delayMs, undefined, { signal });
+      } catch {
+        // Aborted while waiting: don't start the next attempt
+        error.attempts = attempt;
+        throw error;
+      }
+    }
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Deterministic, reproducible seeds for each pet.
+ *
+ * Image models start from random noise, and the seed decides which noise.
+ * Same prompt + same seed + same settings = (nearly) the same image. By
+ * deriving each pet's seed from its ID, regenerating Whisker after a small
+ * prompt tweak changes only what the tweak changed, instead of producing a
+ * completely different cat.
+ *
+ * Seed priority:
+ * 1. `pet.seed` in pets.js - pin one pet to a seed you liked
+ * 2. A hash of the pet ID (plus an optional salt)
+ *
+ * Changing the salt (`--seed-salt`) rolls new seeds for every pet at once,
+ * while each one stays reproducible.
+ *
+ * @module lib/seed
+ */
+
+import { createHash } from "node:crypto";
+
+/**
+ * Largest seed we produce. Kept within a signed 32-bit integer because
+ * some backends reject anything bigger.
+ *
+ * @constant {number}
+ */
+export const MAX_SEED = 2 ** 31 - 1;
+
+/**
+ * Derives a stable seed from text.
+ *
+ * @param {string} text - Text to hash (pet ID, optionally salted)
+ * @returns {number} Seed between 1 and {@link MAX_SEED}
+ *
+ * @example
+ * seedFromText("a3f8c1"); // always the same number
+ */
+export function seedFromText(text) {
+  const hash = createHash("sha256").update(text).digest();
+  return (hash.readUInt32BE(0) % MAX_SEED) + 1;
+}
+
+/**
+ * Picks the seed for a pet.
+ *
+ * @param {import('../pets.js').Pet} pet - Pet (may have a `seed` override)
+ * @param {string} [salt=""] - Salt to roll every derived seed at once
+ * @returns {number} Seed to generate the pet's image with
+ *
+ * @example
+ * seedForPet({ id: "a3f8c1" });            // derived from the ID
+ * seedForPet({ id: "a3f8c1" }, "take-2");  // a different, still stable seed
+ * seedForPet({ id: "a3f8c1", seed: 42 });  // => 42
+ */
+export function seedForPet(pet, salt = "") {
+  if (Number.isInteger(pet.seed)) return pet.seed;
+  return seedFromText(salt ? `${salt}:${pet.id}` : pet.id);
+}
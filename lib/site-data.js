@@ -0,0 +1,150 @@
+/**
+ * @fileoverview The pet data the browser page loads, generated from pets.js.
+ *
+ * `index.html` used to carry its own hand-copied list of pets, which had
+ * to be updated by hand after every edit to pets.js. Instead, the page
+ * now fetches `pets.json`, written from pets.js by
+ * `node generate.js site-data`:
+ *
+ * ```text
+ * pets.js  --(site-data)-->  pets.json  --(fetch)-->  index.html
+ * ```
+ *
+ * Fields that only matter for making images (`prompt`, and the optional
+ * `template` and `seed`) are left out - the page never shows them.
+ *
+ * `node generate.js site-data --check` compares the two without writing
+ * anything, and fails if pets.json is out of date, so CI can catch a
+ * forgotten update.
+ *
+ * @module lib/site-data
+ */
+
+import { readFile } from "node:fs/promises";
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+import { writeFileAtomic } from "./atomic.js";
+
+/**
+ * Name of the file the browser page expects its data in, for messages.
+ *
+ * @constant {string}
+ */
+export const SITE_DATA_FILE = "pets.json";
+
+/**
+ * Where that file is: next to `index.html` and pets.js, from wherever
+ * the script is run.
+ *
+ * @constant {string}
+ */
+export const SITE_DATA_PATH = fileURLToPath(new URL(`../${SITE_DATA_FILE}`, import.meta.url));
+
+/**
+ * Pet fields only used to make images, left out of the site data.
+ *
+ * @constant {string[]}
+ */
+export const IMAGE_ONLY_FIELDS = ["prompt", "template", "seed"];
+
+/**
+ * Builds the site data from the pets.
+ *
+ * @param {import('../pets.js').Pet[]} pets - Pets from pets.js
+ * @returns {Object[]} The same pets, in the same order, without the image-only fields
+ *
+ * @example
+ * toSiteData(pets)[0];
+ * // => { id: "a3f8c1", name: "Whisker", species: "cat", ..., description: "A classic tabby..." }
+ */
+export function toSiteData(pets) {
+  return pets.map((pet) =>
+    Object.fromEntries(Object.entries(pet).filter(([field]) => !IMAGE_ONLY_FIELDS.includes(field)))
+  );
+}
+
+/**
+ * The exact text of `pets.json`: one pet per line, so a diff of the file
+ * shows which pets changed.
+ *
+ * @param {Object[]} data - From toSiteData()
+ * @returns {string} JSON text, ending with a newline
+ */
+export function formatSiteData(data) {
+  return `[\n${data.map((pet) => `  ${JSON.stringify(pet)}`).join(",\n")}\n]\n`;
+}
+
+/**
+ * Writes `pets.json` from the pets.
+ *
+ * @async
+ * @param {import('../pets.js').Pet[]} pets - Pets from pets.js
+ * @param {string} [file=SITE_DATA_PATH] - Where to write it
+ * @returns {Promise<boolean>} True if the file changed, false if it was already up to date
+ */
+export async function writeSiteData(pets, file = SITE_DATA_PATH) {
+  const text = formatSiteData(toSiteData(pets));
+  if (existsSync(file) && (await readFile(file, "utf8")) === text) return false;
+
+  await writeFileAtomic(file, text);
+  return true;
+}
+
+/**
+ * Lists how `pets.json` differs from what pets.js would produce.
+ *
+ * @async
+ * @param {import('../pets.js').Pet[]} pets - Pets from pets.js
+ * @param {string} [file=SITE_DATA_PATH] - The site data to check
+ * @returns {Promise<string[]>} Differences, one line each (empty if it's up to date)
+ *
+ * @example
+ * await checkSiteData(pets);
+ * // => ['Finn (f1b4d9): species is "cat" in pets.json, "aquatic" in pets.js']
+ */
+export async function checkSiteData(pets, file = SITE_DATA_PATH) {
+  if (!existsSync(file)) return [`${file} doesn't exist`];
+
+  let site;
+  try {
+    site = JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    return [`${file} isn't valid JSON: ${error.message}`];
+  }
+  if (!Array.isArray(site)) return [`${file} must hold an array of pets`];
+
+  const expected = toSiteData(pets);
+  const differences = [];
+  const label = (pet) => `${pet.name} (${pet.id})`;
+  const show = (value) => (value === undefined ? "missing" : JSON.stringify(value));
+  const byId = new Map(site.map((pet) => [pet?.id, pet]));
+
+  for (const pet of expected) {
+    const copy = byId.get(pet.id);
+    if (!copy) {
+      differences.push(`${label(pet)}: missing from ${file}`);
+      continue;
+    }
+
+    const fields = new Set([...Object.keys(pet), ...Object.keys(copy)]);
+    for (const field of fields) {
+      if (JSON.stringify(copy[field]) !== JSON.stringify(pet[field])) {
+        differences.push(`${label(pet)}: ${field} is ${show(copy[field])} in ${file}, ${show(pet[field])} in pets.js`);
+      }
+    }
+  }
+
+  const ids = new Set(expected.map((pet) => pet.id));
+  for (const copy of site) {
+    if (!ids.has(copy?.id)) differences.push(`${copy?.name ?? "?"} (${copy?.id ?? "no ID"}): not in pets.js`);
+  }
+
+  // Same pets, same values, but a different order (the page shows them in file order)
+  const order = (list) => list.map((pet) => pet?.id).join(",");
+  if (differences.length === 0 && order(site) !== order(expected)) {
+    differences.push(`${file} lists the pets in a different order than pets.js`);
+  }
+
+  return differences;
+}
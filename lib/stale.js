@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Stale image detection.
+ *
+ * An image is "stale" when it no longer matches the data that should
+ * produce it: someone edited a pet's `prompt`, changed its `temperament`
+ * (and so its expression), tweaked the prompt formula, or changed the
+ * model, size, steps, output format or quality, seed or negative prompt.
+ *
+ * We detect this with a fingerprint: a hash of the fully built prompt plus
+ * the generation settings. The fingerprint is stored in the manifest when
+ * an image is made; if today's fingerprint differs, the image is stale.
+ *
+ * @module lib/stale
+ */
+
+import { createHash } from "node:crypto";
+
+/**
+ * Generation settings that change the image file, in a fixed order so
+ * fingerprints don't depend on object key order. Settings that aren't set
+ * are left out.
+ *
+ * @constant {string[]}
+ */
+const FINGERPRINT_SETTINGS = [
+  "model",
+  "width",
+  "height",
+  "steps",
+  "outputFormat",
+  "outputQuality",
+  "seed",
+  "negativePrompt",
+];
+
+/**
+ * The settings that count for an image: all of them, except the quality
+ * of a PNG (it's lossless, so the quality doesn't change the file).
+ *
+ * @param {Object} settings - Generation settings
+ * @returns {string[]} Keys from {@link FINGERPRINT_SETTINGS}
+ */
+function fingerprintKeys(settings) {
+  return settings.outputFormat === "PNG"
+    ? FINGERPRINT_SETTINGS.filter((key) => key !== "outputQuality")
+    : FINGERPRINT_SETTINGS;
+}
+
+/**
+ * Freshness of one pet's image.
+ *
+ * - `fresh`: the manifest fingerprint matches the current data
+ * - `stale`: the manifest fingerprint differs (see `reason`)
+ * - `missing`: there is no image file
+ * - `untracked`: the image exists but the manifest has no fingerprint for
+ *   it (e.g. made before the manifest existed), so we can't tell
+ *
+ * @typedef {Object} Freshness
+ * @property {'fresh'|'stale'|'missing'|'untracked'} status - Overall status
+ * @property {string} reason - Short human-readable explanation
+ */
+
+/**
+ * Computes the fingerprint for a prompt and its generation settings.
+ *
+ * @param {string} prompt - Fully built prompt
+ * @param {Object} settings - Generation settings (model, size, steps...)
+ * @returns {string} Hex SHA-256 fingerprint
+ *
+ * @example
+ * fingerprint("simple cartoon illustration of a cat...", { model: "runware:100@1", width: 512, height: 512, steps: 4 });
+ * // => "3f1c..."
+ */
+export function fingerprint(prompt, settings) {
+  const parts = { prompt };
+  for (const key of fingerprintKeys(settings)) {
+    if (settings[key] !== undefined) parts[key] = settings[key];
+  }
+  return createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * Decides whether an existing image still matches its data.
+ *
+ * @param {import('./manifest.js').ManifestEntry|undefined} entry - Manifest entry for the pet
+ * @param {boolean} fileExists - Whether the image file is on disk
+ * @param {string} prompt - Prompt the pet would get today
+ * @param {Object} settings - Settings a run would use today
+ * @returns {Freshness} Status and reason
+ *
+ * @example
+ * checkFreshness(manifest.images["a3f8c1"], true, buildPrompt(pet), settings);
+ * // => { status: "stale", reason: "prompt changed" }
+ */
+export function checkFreshness(entry, fileExists, prompt, settings) {
+  if (!fileExists) {
+    return { status: "missing", reason: "no image file" };
+  }
+  if (!entry?.fingerprint) {
+    return { status: "untracked", reason: "not in manifest" };
+  }
+  if (entry.fingerprint === fingerprint(prompt, settings)) {
+    return { status: "fresh", reason: "up to date" };
+  }
+
+  // Work out what changed, for the report
+  if (entry.prompt !== prompt) {
+    return { status: "stale", reason: "prompt changed" };
+  }
+
+  const changed = fingerprintKeys(settings).filter((key) => entry[key] !== settings[key]);
+  return {
+    status: "stale",
+    reason: changed.length > 0 ? `${changed.join(", ")} changed` : "settings changed",
+  };
+}
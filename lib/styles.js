@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Named art-style presets.
+ *
+ * A style bundles everything that gives a set of images its look:
+ *
+ * - a prompt template (see `lib/prompt.js`)
+ * - a negative prompt: things the model should leave out, like text,
+ *   watermarks, extra limbs or realistic shading
+ * - model settings, when the style needs them (size, steps...)
+ *
+ * `node generate.js --style watercolor` uses the preset and writes to
+ * `images/watercolor/`, so themed versions of the site can be built from
+ * the same pets.js without touching the default images.
+ *
+ * Not every model listens to negative prompts (FLUX.1 Schnell mostly
+ * doesn't, and OpenAI-style APIs have no such field), so the templates
+ * carry the important style words themselves.
+ *
+ * @module lib/styles
+ */
+
+/**
+ * Things no style wants in a pet portrait.
+ *
+ * @constant {string}
+ */
+const COMMON_NEGATIVE = "text, letters, watermark, signature, logo, extra limbs, extra legs, extra tails";
+
+/**
+ * One style preset.
+ *
+ * @typedef {Object} StylePreset
+ * @property {string} description - One line for `--help` and the README
+ * @property {string} template - Global prompt template for this style
+ * @property {Record<string, string>} [speciesTemplates] - Per-species templates
+ * @property {string} negativePrompt - What the model should avoid
+ * @property {import('./config.js').SettingsConfig} [settings] - Model settings
+ */
+
+/**
+ * Built-in style presets, by name.
+ *
+ * @constant {Record<string, StylePreset>}
+ */
+export const STYLES = {
+  "flat-cartoon": {
+    description: "The classic look: simple cartoon, flat colors, white background",
+    template:
+      "simple cartoon illustration of a {prompt}, white background, {expression} expression, flat colors",
+    negativePrompt: `${COMMON_NEGATIVE}, realistic shading, gradients, photograph, 3d render`,
+  },
+  watercolor: {
+    description: "Soft watercolor painting on textured paper",
+    template:
+      "watercolor painting of a {prompt}, {expression} expression, soft washes of color, visible paper texture, white background",
+    negativePrompt: `${COMMON_NEGATIVE}, photograph, 3d render, hard outlines, digital art`,
+    settings: { steps: 6 },
+  },
+  "pixel-art": {
+    description: "Retro 16-bit game sprite",
+    template:
+      "16-bit pixel art sprite of a {prompt}, {expression} expression, limited color palette, crisp pixels, plain white background",
+    negativePrompt: `${COMMON_NEGATIVE}, blur, anti-aliasing, gradients, photograph, realistic`,
+    // Pixel art loses nothing at a smaller size, and it's cheaper
+    settings: { width: 256, height: 256 },
+  },
+  sticker: {
+    description: "Die-cut sticker with a thick white border",
+    template:
+      "die-cut sticker of a cute {prompt}, {expression} expression, bold outlines, thick white border, flat colors, plain light grey background",
+    negativePrompt: `${COMMON_NEGATIVE}, realistic shading, photograph, busy background, drop shadow`,
+  },
+};
+
+/**
+ * Looks up a style preset by name.
+ *
+ * @param {string} name - Style name, e.g. "watercolor"
+ * @returns {StylePreset} The preset
+ * @throws {Error} If there is no style with that name
+ *
+ * @example
+ * getStyle("sticker").negativePrompt; // => "text, letters, watermark, ..."
+ */
+export function getStyle(name) {
+  if (!Object.hasOwn(STYLES, name)) {
+    throw new Error(`Unknown --style "${name}" (expected one of: ${Object.keys(STYLES).join(", ")})`);
+  }
+  return STYLES[name];
+}
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Checks pets.js against the `Pet` schema.
+ *
+ * The typedefs in pets.js describe what a pet looks like, but JSDoc is
+ * only documentation: nothing stops a typo. `temperament: "playfull"`
+ * would quietly get the "friendly" fallback expression, and a repeated ID
+ * would make two pets share one image.
+ *
+ * This module turns the typedefs into data and checks every pet:
+ *
+ * 1. Every field is present, has the right type, and (for `species`,
+ *    `temperament`, `status` and `specialNeeds`) one of the allowed values
+ * 2. The subcategory is one that exists for the pet's species
+ * 3. IDs are 6-character lower-case hex, and unique
+ * 4. Every temperament has an expression in `temperamentToExpression`
+ *
+ * All problems are collected, each with the pet and field it belongs to,
+ * so one run shows everything that needs fixing.
+ *
+ * @module lib/validate
+ */
+
+import { MAX_SEED } from "./seed.js";
+
+/**
+ * Allowed species (the `Species` typedef in pets.js).
+ *
+ * @constant {string[]}
+ */
+export const SPECIES = ["cat", "dog", "small mammal", "bird", "reptile", "aquatic"];
+
+/**
+ * Allowed subcategories for each species.
+ *
+ * @constant {Record<string, string[]>}
+ */
+export const SUBCATEGORIES = {
+  cat: ["kitten", "adult", "senior"],
+  dog: ["small", "medium", "large"],
+  "small mammal": ["hamster", "guinea pig", "rabbit", "ferret", "chinchilla"],
+  bird: ["parakeet", "cockatiel", "lovebird"],
+  reptile: ["lizard", "snake", "turtle"],
+  aquatic: ["fish", "amphibian"],
+};
+
+/**
+ * Allowed temperaments (the `Temperament` typedef in pets.js).
+ *
+ * @constant {string[]}
+ */
+export const TEMPERAMENTS = ["calm", "playful", "affectionate", "shy", "energetic", "independent"];
+
+/**
+ * Allowed adoption statuses (the `Status` typedef in pets.js).
+ *
+ * @constant {string[]}
+ */
+export const STATUSES = ["available", "pending", "adopted"];
+
+/**
+ * Allowed special needs (the `SpecialNeeds` typedef in pets.js). `null`,
+ * meaning none, is allowed too.
+ *
+ * @constant {string[]}
+ */
+export const SPECIAL_NEEDS = ["amputee", "blind", "senior", "rescue"];
+
+/**
+ * What a pet ID looks like: 6 lower-case hex characters, like "a3f8c1".
+ *
+ * @constant {RegExp}
+ */
+export const ID_PATTERN = /^[0-9a-f]{6}$/;
+
+/**
+ * Fields every pet must have, then the optional ones.
+ *
+ * @constant {{required: string[], optional: string[]}}
+ */
+const FIELDS = {
+  required: ["id", "name", "species", "subcategory", "specialNeeds", "temperament", "status", "prompt", "description"],
+  optional: ["template", "seed"],
+};
+
+/**
+ * Fields whose value must be one of a list.
+ *
+ * @constant {Record<string, string[]>}
+ */
+const CHOICES = {
+  species: SPECIES,
+  temperament: TEMPERAMENTS,
+  status: STATUSES,
+};
+
+/**
+ * One thing wrong with the data.
+ *
+ * @typedef {Object} PetProblem
+ * @property {number|null} index - Position in the pets array (null for
+ *   problems outside it, like a missing expression)
+ * @property {string|null} id - Pet ID, if it has a usable one
+ * @property {string|null} name - Pet name, if it has one
+ * @property {string} field - Field the problem is in, e.g. "temperament"
+ * @property {string} message - What's wrong, e.g. 'unknown temperament "playfull"'
+ */
+
+/**
+ * Lists allowed values for an error message.
+ *
+ * @param {string[]} values - Allowed values
+ * @returns {string} e.g. '"cat", "dog" or "bird"'
+ */
+function oneOf(values) {
+  const quoted = values.map((value) => JSON.stringify(value));
+  return quoted.length === 1 ? quoted[0] : `${quoted.slice(0, -1).join(", ")} or ${quoted.at(-1)}`;
+}
+
+/**
+ * Checks one pet on its own (everything except ID uniqueness).
+ *
+ * @param {Object} pet - The pet to check
+ * @returns {{field: string, message: string}[]} Problems found (empty if it's fine)
+ *
+ * @example
+ * checkPet({ ...whisker, temperament: "playfull" });
+ * // => [{ field: "temperament", message: 'unknown temperament "playfull" (expected "calm", ... or "independent")' }]
+ */
+export function checkPet(pet) {
+  if (typeof pet !== "object" || pet === null || Array.isArray(pet)) {
+    return [{ field: "(pet)", message: "must be an object" }];
+  }
+
+  const problems = [];
+  const problem = (field, message) => problems.push({ field, message });
+
+  for (const field of FIELDS.required) {
+    if (!Object.hasOwn(pet, field)) problem(field, "is missing");
+  }
+
+  // A misspelt optional field (like "seeed") would otherwise be ignored
+  for (const field of Object.keys(pet)) {
+    if (!FIELDS.required.includes(field) && !FIELDS.optional.includes(field)) {
+      problem(field, `unknown field (expected ${oneOf([...FIELDS.required, ...FIELDS.optional])})`);
+    }
+  }
+
+  if (Object.hasOwn(pet, "id") && (typeof pet.id !== "string" || !ID_PATTERN.test(pet.id))) {
+    problem("id", `must be 6 lower-case hex characters, like "a3f8c1" (got ${JSON.stringify(pet.id)})`);
+  }
+
+  for (const field of ["name", "subcategory", "prompt", "description"]) {
+    if (Object.hasOwn(pet, field) && (typeof pet[field] !== "string" || pet[field].trim() === "")) {
+      problem(field, `must be a non-empty string (got ${JSON.stringify(pet[field])})`);
+    }
+  }
+
+  for (const [field, values] of Object.entries(CHOICES)) {
+    if (Object.hasOwn(pet, field) && !values.includes(pet[field])) {
+      problem(field, `unknown ${field} ${JSON.stringify(pet[field])} (expected ${oneOf(values)})`);
+    }
+  }
+
+  if (Object.hasOwn(pet, "specialNeeds") && pet.specialNeeds !== null && !SPECIAL_NEEDS.includes(pet.specialNeeds)) {
+    problem(
+      "specialNeeds",
+      `unknown special need ${JSON.stringify(pet.specialNeeds)} (expected ${oneOf(SPECIAL_NEEDS)}, or null for none)`
+    );
+  }
+
+  // Only worth checking once the species itself is known
+  const subcategories = SUBCATEGORIES[pet.species];
+  if (subcategories && typeof pet.subcategory === "string" && !subcategories.includes(pet.subcategory)) {
+    problem(
+      "subcategory",
+      `${JSON.stringify(pet.subcategory)} isn't a ${pet.species} subcategory (expected ${oneOf(subcategories)})`
+    );
+  }
+
+  if (pet.template !== undefined && (typeof pet.template !== "string" || pet.template.trim() === "")) {
+    problem("template", "must be a non-empty string");
+  }
+
+  if (pet.seed !== undefined && (!Number.isInteger(pet.seed) || pet.seed < 0 || pet.seed > MAX_SEED)) {
+    problem("seed", `must be a whole number from 0 to ${MAX_SEED} (got ${JSON.stringify(pet.seed)})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Checks the whole dataset: every pet, unique IDs, and an expression
+ * for every temperament.
+ *
+ * @param {Object[]} pets - The pets array from pets.js
+ * @param {Record<string, string>} expressions - `temperamentToExpression` from pets.js
+ * @returns {PetProblem[]} Every problem found, in pet order (empty if all is well)
+ *
+ * @example
+ * import { pets, temperamentToExpression } from "../pets.js";
+ * validatePets(pets, temperamentToExpression);
+ * // => [] when everything is fine
+ */
+export function validatePets(pets, expressions) {
+  const problems = [];
+
+  // Where each ID was first seen, to report duplicates against it
+  const seen = new Map();
+
+  for (const [index, pet] of pets.entries()) {
+    const id = typeof pet?.id === "string" ? pet.id : null;
+    const name = typeof pet?.name === "string" ? pet.name : null;
+
+    for (const { field, message } of checkPet(pet)) {
+      problems.push({ index, id, name, field, message });
+    }
+
+    if (id === null) continue;
+    if (seen.has(id)) {
+      const first = seen.get(id);
+      const owner = pets[first].name ?? "another pet";
+      const message = `duplicate ID, already used by ${owner} (pet #${first + 1})`;
+      problems.push({ index, id, name, field: "id", message });
+    } else {
+      seen.set(id, index);
+    }
+  }
+
+  // The mapping and the typedef must list the same temperaments
+  for (const temperament of TEMPERAMENTS) {
+    if (typeof expressions[temperament] !== "string" || expressions[temperament].trim() === "") {
+      problems.push({
+        index: null,
+        id: null,
+        name: null,
+        field: `temperamentToExpression.${temperament}`,
+        message: "no expression for this temperament",
+      });
+    }
+  }
+  for (const temperament of Object.keys(expressions)) {
+    if (!TEMPERAMENTS.includes(temperament)) {
+      problems.push({
+        index: null,
+        id: null,
+        name: null,
+        field: `temperamentToExpression.${temperament}`,
+        message: `not a temperament (expected ${oneOf(TEMPERAMENTS)})`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Formats a problem as one line for the terminal.
+ *
+ * @param {PetProblem} problem - Problem from validatePets()
+ * @returns {string} e.g. 'Sunny (a1e4b5) temperament: unknown temperament "playfull" (...)'
+ */
+export function formatProblem({ index, id, name, field, message }) {
+  if (index === null) return `pets.js ${field}: ${message}`;
+
+  const who = name ?? `pet #${index + 1}`;
+  return `${who}${id ? ` (${id})` : ""} ${field}: ${message}`;
+}
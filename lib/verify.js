@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Checks that a saved image really is the image we asked for.
+ *
+ * A download can "succeed" and still leave junk behind: an HTML error
+ * page from a proxy, a file cut off halfway, or an image of the wrong
+ * size. Since the generator skips pets whose image already exists, junk
+ * like that would otherwise sit in `images/` forever.
+ *
+ * Every file is checked, without decoding the pixels, for:
+ *
+ * 1. The container signature of its format (`RIFF....WEBP`, the PNG
+ *    magic bytes, or a JPEG start-of-image marker)
+ * 2. A complete file (the RIFF size matches, PNG ends with `IEND`, JPEG
+ *    ends with its end-of-image marker) of a non-trivial size
+ * 3. The expected width and height, read from the image header
+ *
+ * Files that fail are moved to `images/.quarantine/`, where they can be
+ * looked at, but no longer count as "already generated".
+ *
+ * @module lib/verify
+ */
+
+import { mkdir, rename, writeFile } from "node:fs/promises";
+import { basename, join } from "node:path";
+
+/**
+ * Folder bad files are moved to, inside the output folder.
+ *
+ * @constant {string}
+ */
+export const QUARANTINE_DIR = ".quarantine";
+
+/**
+ * Smallest believable image, in bytes. Even a plain 128x128 card is
+ * bigger; error pages and empty responses are usually smaller.
+ *
+ * @constant {number}
+ */
+export const MIN_IMAGE_BYTES = 256;
+
+/**
+ * The 8 bytes every PNG file starts with.
+ *
+ * @constant {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * What the header of an image says about it.
+ *
+ * @typedef {Object} ImageInfo
+ * @property {string} format - "WEBP", "PNG" or "JPG"
+ * @property {number|null} width - Width in pixels (null if unreadable)
+ * @property {number|null} height - Height in pixels (null if unreadable)
+ * @property {boolean} complete - Whether the file ends where its format says it should
+ */
+
+/**
+ * Reads the size of a WEBP image from its first chunk.
+ *
+ * @param {Buffer} data - File contents (already known to be RIFF/WEBP)
+ * @returns {{width: number, height: number}|null} Size, or null if the chunk is unknown
+ */
+function webpSize(data) {
+  const chunk = data.toString("latin1", 12, 16);
+  const body = 20;
+
+  if (chunk === "VP8L" && data.length >= body + 5 && data[body] === 0x2f) {
+    // Lossless: 14 bits of width - 1, then 14 bits of height - 1
+    const bits = data.readUInt32LE(body + 1);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8 " && data.length >= body + 10) {
+    // Lossy: a 3-byte frame tag, the start code 9d 01 2a, then the size
+    return { width: data.readUInt16LE(body + 6) & 0x3fff, height: data.readUInt16LE(body + 8) & 0x3fff };
+  }
+  if (chunk === "VP8X" && data.length >= body + 10) {
+    // Extended: 24-bit canvas width - 1 and height - 1
+    return { width: data.readUIntLE(body + 4, 3) + 1, height: data.readUIntLE(body + 7, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Reads the size of a JPEG image from its start-of-frame segment.
+ *
+ * @param {Buffer} data - File contents (already known to start with FF D8)
+ * @returns {{width: number, height: number}|null} Size, or null if there's no frame header
+ */
+function jpegSize(data) {
+  let offset = 2;
+  while (offset + 9 < data.length && data[offset] === 0xff) {
+    const marker = data[offset + 1];
+    // SOF0-SOF15 hold the size; C4, C8 and CC are other segments
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: data.readUInt16BE(offset + 5), width: data.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Identifies an image from its bytes.
+ *
+ * @param {Buffer} data - File contents
+ * @returns {ImageInfo|null} Format, size and completeness, or null if the
+ *   bytes aren't a WEBP, PNG or JPEG at all
+ *
+ * @example
+ * imageInfo(await readFile("images/a3f8c1.webp"));
+ * // => { format: "WEBP", width: 512, height: 512, complete: true }
+ */
+export function imageInfo(data) {
+  if (data.length >= 16 && data.toString("latin1", 0, 4) === "RIFF" && data.toString("latin1", 8, 12) === "WEBP") {
+    // The RIFF header says how long the rest of the file is
+    const size = webpSize(data);
+    return {
+      format: "WEBP",
+      width: size?.width ?? null,
+      height: size?.height ?? null,
+      complete: data.readUInt32LE(4) + 8 <= data.length,
+    };
+  }
+
+  if (data.length >= 24 && data.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    // IHDR is always the first chunk; IEND (12 bytes) is always the last
+    return {
+      format: "PNG",
+      width: data.readUInt32BE(16),
+      height: data.readUInt32BE(20),
+      complete: data.toString("latin1", data.length - 8, data.length - 4) === "IEND",
+    };
+  }
+
+  if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    const size = jpegSize(data);
+    return {
+      format: "JPG",
+      width: size?.width ?? null,
+      height: size?.height ?? null,
+      complete: data[data.length - 2] === 0xff && data[data.length - 1] === 0xd9,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Describes bytes that aren't an image, for the error message.
+ *
+ * @param {Buffer} data - File contents
+ * @returns {string} e.g. "an HTML page" or "unknown data (3c 21 44 4f)"
+ */
+function describeData(data) {
+  const start = data.toString("utf8", 0, 64).trimStart().toLowerCase();
+  if (start.startsWith("<!doctype html") || start.startsWith("<html")) return "an HTML page";
+  if (start.startsWith("{") || start.startsWith("[")) return "JSON";
+  return `unknown data (${data.subarray(0, 4).toString("hex").replace(/(..)(?!$)/g, "$1 ")})`;
+}
+
+/**
+ * Checks image bytes against what was asked for.
+ *
+ * @param {Buffer} data - File contents
+ * @param {{outputFormat?: string, width?: number, height?: number}} [expected={}] -
+ *   Requested format and size; anything left out isn't checked
+ * @returns {string[]} Problems found (empty if the image is fine)
+ *
+ * @example
+ * verifyImage(Buffer.from("<!DOCTYPE html>..."), { outputFormat: "WEBP" });
+ * // => ["not an image: an HTML page (23 bytes)"]
+ */
+export function verifyImage(data, expected = {}) {
+  const info = imageInfo(data);
+  if (!info) {
+    return [`not an image: ${describeData(data)} (${data.length} bytes)`];
+  }
+
+  const problems = [];
+  if (expected.outputFormat && info.format !== expected.outputFormat) {
+    problems.push(`expected ${expected.outputFormat}, got ${info.format}`);
+  }
+  if (!info.complete) {
+    problems.push(`incomplete ${info.format} file (${data.length} bytes)`);
+  } else if (data.length < MIN_IMAGE_BYTES) {
+    problems.push(`too small to be a real image (${data.length} bytes)`);
+  }
+  if (info.width === null || info.height === null) {
+    problems.push(`${info.format} header has no readable size`);
+  } else if (
+    (expected.width && info.width !== expected.width) ||
+    (expected.height && info.height !== expected.height)
+  ) {
+    problems.push(`expected ${expected.width}x${expected.height}, got ${info.width}x${info.height}`);
+  }
+  return problems;
+}
+
+/**
+ * Moves a bad file into the quarantine folder.
+ *
+ * The file gets a timestamp prefix, so several bad attempts at the same
+ * pet are all kept.
+ *
+ * @async
+ * @param {string} outDir - Output folder (e.g. "./images")
+ * @param {string} file - Path of the bad file
+ * @param {string} [name=basename(file)] - Name to keep it under (candidates
+ *   pass "a3f8c1-2.webp", since "2.webp" alone wouldn't say whose it was)
+ * @returns {Promise<string>} New path, like "images/.quarantine/20260101T120000000Z-a3f8c1.webp"
+ */
+export async function quarantine(outDir, file, name = basename(file)) {
+  const dir = join(outDir, QUARANTINE_DIR);
+  await mkdir(dir, { recursive: true });
+
+  const target = quarantinePath(dir, name);
+  await rename(file, target);
+  return target;
+}
+
+/**
+ * Saves bad bytes straight into the quarantine folder, for an image that
+ * failed its check before it was ever written.
+ *
+ * The pet's real image path is never touched, so an error page received
+ * during `--force` can't replace the good image that was there.
+ *
+ * @async
+ * @param {string} outDir - Output folder (e.g. "./images")
+ * @param {Buffer} data - The bad bytes
+ * @param {string} name - Name to keep them under, like "a3f8c1.webp"
+ * @returns {Promise<string>} Their path, like "images/.quarantine/20260101T120000000Z-a3f8c1.webp"
+ */
+export async function quarantineData(outDir, data, name) {
+  const dir = join(outDir, QUARANTINE_DIR);
+  await mkdir(dir, { recursive: true });
+
+  const target = quarantinePath(dir, name);
+  await writeFile(target, data);
+  return target;
+}
+
+/**
+ * Picks a quarantine path with a timestamp prefix.
+ *
+ * @param {string} dir - The quarantine folder
+ * @param {string} name - File name to keep
+ * @returns {string} Path inside `dir`
+ */
+function quarantinePath(dir, name) {
+  const stamp = new Date().toISOString().replace(/[-:.]/g, "");
+  return join(dir, `${stamp}-${name}`);
+}
@@ -0,0 +1,570 @@
+/**
+ * @fileoverview Local mock of the Runware API for offline development.
+ *
+ * Speaks the same protocol as `https://api.runware.ai/v1`: a `POST /v1`
+ * with a JSON array of tasks, answered with `{ data: [...] }`. Each
+ * `imageInference` task gets a real WEBP (or PNG, with `outputFormat:
+ * "PNG"`) of the requested size (a labelled placeholder card): inline as
+ * `imageBase64Data` or `imageDataURI` when the task's `outputType` asks for
+ * it, otherwise as an `imageURL` pointing back at this server. No API key,
+ * no network, no cost.
+ *
+ * ## Injecting failures
+ *
+ * Real APIs fail in ways that are hard to reproduce on demand. The mock can
+ * be told to fail the next requests in a specific way:
+ *
+ * | Fault       | What happens                                            |
+ * | ----------- | ------------------------------------------------------- |
+ * | `errors`    | HTTP 200 with an `errors` array instead of `data`       |
+ * | `auth`      | HTTP 401 with an `invalidApiKey` error                  |
+ * | `429`       | HTTP 429 Too Many Requests (with `Retry-After`)         |
+ * | `500`       | HTTP 500 Internal Server Error                          |
+ * | `slow`      | Normal reply, but only after `--slow-ms` milliseconds   |
+ * | `expired`   | Normal reply, but downloading the image gives 404       |
+ * | `truncated` | Normal reply, but the download is cut off halfway       |
+ * | `html`      | Normal reply, but the download is an HTML error page    |
+ *
+ * Faults are queued with `--fail` (or `POST /__mock/faults` while running)
+ * and used up one request at a time. `--random-fail` adds chaos on top.
+ *
+ * The three download faults (`expired`, `truncated`, `html`) make the mock
+ * answer with an `imageURL` even when inline data was asked for - like a
+ * server that can't send base64 - so the client's fallback to downloading
+ * gets exercised too. `--urls` does that for every image, without a fault.
+ *
+ * @module mock-server
+ *
+ * @example
+ * // Terminal 1:
+ * // node mock-server.js --port 8787 --fail 429:2 --fail errors
+ *
+ * // Terminal 2:
+ * // RUNWARE_API_URL=http://127.0.0.1:8787/v1 RUNWARE_API_KEY=mock node generate.js --force
+ */
+
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import { createPlaceholderProvider } from "./lib/providers/placeholder.js";
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Every fault the mock knows how to inject.
+ *
+ * @constant {string[]}
+ */
+export const FAULT_KINDS = ["errors", "auth", "429", "500", "slow", "expired", "truncated", "html"];
+
+/**
+ * Faults picked by `--random-fail`. Auth failures are left out: a random
+ * "bad key" would make any long run stop early, which isn't useful chaos.
+ *
+ * @constant {string[]}
+ */
+const RANDOM_FAULT_KINDS = FAULT_KINDS.filter((kind) => kind !== "auth");
+
+/**
+ * Faults that spoil the download. Requests with one of these always get
+ * an `imageURL`, since there's nothing to spoil in inline data.
+ *
+ * @constant {string[]}
+ */
+const DOWNLOAD_FAULT_KINDS = ["expired", "truncated", "html"];
+
+/**
+ * Pretend cost per image, close to FLUX.1 Schnell's real price.
+ *
+ * @constant {number}
+ */
+const MOCK_COST = 0.0013;
+
+/**
+ * Options for {@link startMockServer}.
+ *
+ * @typedef {Object} MockServerOptions
+ * @property {number} [port=0] - Port to listen on (0 = any free port)
+ * @property {string} [host="127.0.0.1"] - Interface to listen on
+ * @property {number} [delay=0] - Milliseconds to wait before every reply
+ * @property {number} [slowMs=5000] - Extra wait for the `slow` fault
+ * @property {string[]} [faults=[]] - Faults for the next requests, in order
+ * @property {number} [randomFailRate=0] - Chance (0-1) of a random fault per request
+ * @property {string} [apiKey] - Only accept this key (default: accept any key)
+ * @property {boolean} [urls=false] - Always answer with an `imageURL`, even
+ *   when inline data was asked for
+ */
+
+/**
+ * A running mock server.
+ *
+ * @typedef {Object} MockServer
+ * @property {string} url - Base URL of the API endpoint (ends in `/v1`)
+ * @property {import('node:http').Server} server - Underlying HTTP server
+ * @property {{requests: number, tasks: number, downloads: number, faults: Record<string, number>}} stats - Counters
+ * @property {(kind: string, count?: number) => void} enqueueFault - Queue a fault for upcoming requests
+ * @property {() => Promise<void>} close - Stop the server
+ */
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Waits for a number of milliseconds.
+ *
+ * @param {number} ms - How long to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {import('node:http').ServerResponse} res - Response to write
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Value to serialize
+ * @param {Object} [headers={}] - Extra headers
+ * @returns {void}
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads a request body as a string.
+ *
+ * @param {import('node:http').IncomingMessage} req - Incoming request
+ * @returns {Promise<string>} Body text
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Parses a `kind` or `kind:count` fault spec into a list of faults.
+ *
+ * @param {string} spec - For example `"429"` or `"429:3"`
+ * @returns {string[]} The fault repeated `count` times
+ * @throws {Error} If the kind or count is invalid
+ *
+ * @example
+ * parseFaultSpec("429:2"); // => ["429", "429"]
+ */
+export function parseFaultSpec(spec) {
+  const [kind, countText = "1"] = spec.split(":");
+  const count = Number(countText);
+
+  if (!FAULT_KINDS.includes(kind)) {
+    throw new Error(`Unknown fault "${kind}" (expected one of: ${FAULT_KINDS.join(", ")})`);
+  }
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Fault count must be a positive integer: ${spec}`);
+  }
+
+  return new Array(count).fill(kind);
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+/**
+ * Starts a mock Runware server.
+ *
+ * @async
+ * @param {MockServerOptions} [options={}] - Server options
+ * @returns {Promise<MockServer>} The running server
+ * @throws {Error} If sharp isn't installed (it draws the images), before
+ *   anything listens
+ *
+ * @example
+ * const mock = await startMockServer({ faults: ["429"] });
+ * process.env.RUNWARE_API_URL = mock.url;
+ * // ... run the generator ...
+ * await mock.close();
+ */
+export async function startMockServer({
+  port = 0,
+  host = "127.0.0.1",
+  delay = 0,
+  slowMs = 5000,
+  faults = [],
+  randomFailRate = 0,
+  apiKey,
+  urls = false,
+} = {}) {
+  const queue = [...faults];
+  const placeholder = createPlaceholderProvider();
+
+  // Images sent as URLs, kept in memory until downloaded
+  // imageUUID -> { data, fault }
+  const images = new Map();
+
+  const stats = { requests: 0, tasks: 0, downloads: 0, faults: {} };
+
+  let baseUrl = "";
+
+  /**
+   * Picks the fault (if any) for the next API request: queued faults
+   * first, then a random one if `randomFailRate` says so.
+   *
+   * @returns {string|undefined} Fault kind
+   */
+  function nextFault() {
+    let fault = queue.shift();
+    if (!fault && randomFailRate > 0 && Math.random() < randomFailRate) {
+      fault = RANDOM_FAULT_KINDS[Math.floor(Math.random() * RANDOM_FAULT_KINDS.length)];
+    }
+    if (fault) stats.faults[fault] = (stats.faults[fault] || 0) + 1;
+    return fault;
+  }
+
+  /**
+   * Handles `POST /v1` - the task-array API.
+   *
+   * @param {import('node:http').IncomingMessage} req - Request
+   * @param {import('node:http').ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async function handleTasks(req, res) {
+    stats.requests++;
+
+    let tasks;
+    try {
+      tasks = JSON.parse(await readBody(req));
+    } catch {
+      sendJson(res, 400, {
+        errors: [{ code: "invalidJson", message: "Request body is not valid JSON." }],
+      });
+      return;
+    }
+
+    if (!Array.isArray(tasks)) {
+      sendJson(res, 400, {
+        errors: [{ code: "invalidPayload", message: "Request body must be an array of tasks." }],
+      });
+      return;
+    }
+
+    // Authentication, like the real API
+    const key = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+    const authorized = key && (!apiKey || key === apiKey);
+    const fault = authorized ? nextFault() : undefined;
+
+    if (!authorized || fault === "auth") {
+      sendJson(res, 401, {
+        errors: [{ code: "invalidApiKey", message: "Invalid API key." }],
+      });
+      return;
+    }
+
+    if (fault === "429") {
+      sendJson(
+        res,
+        429,
+        { errors: [{ code: "rateLimitExceeded", message: "Too many requests." }] },
+        { "Retry-After": "1" }
+      );
+      return;
+    }
+    if (fault === "500") {
+      sendJson(res, 500, {
+        errors: [{ code: "internalServerError", message: "Something went wrong." }],
+      });
+      return;
+    }
+    if (fault === "errors") {
+      sendJson(res, 200, {
+        errors: tasks.map((task) => ({
+          code: "inferenceFailed",
+          message: "Image inference failed.",
+          taskType: task.taskType,
+          taskUUID: task.taskUUID,
+        })),
+      });
+      return;
+    }
+
+    if (fault === "slow") await sleep(slowMs);
+
+    const data = [];
+
+    for (const task of tasks) {
+      if (task.taskType !== "imageInference") {
+        sendJson(res, 400, {
+          errors: [
+            {
+              code: "unsupportedTaskType",
+              message: `The mock only supports imageInference, not "${task.taskType}".`,
+              taskUUID: task.taskUUID,
+            },
+          ],
+        });
+        return;
+      }
+
+      // The placeholder drawing can only be encoded as WEBP or PNG
+      const format = task.outputFormat || "WEBP";
+      if (!["WEBP", "PNG"].includes(format)) {
+        sendJson(res, 400, {
+          errors: [
+            {
+              code: "unsupportedOutputFormat",
+              message: `The mock only supports WEBP and PNG output, not "${format}".`,
+              taskUUID: task.taskUUID,
+            },
+          ],
+        });
+        return;
+      }
+
+      stats.tasks++;
+      const count = task.numberResults || 1;
+
+      for (let i = 0; i < count; i++) {
+        const imageUUID = crypto.randomUUID();
+        const seed = Number.isInteger(task.seed)
+          ? task.seed + i
+          : Math.floor(Math.random() * 2 ** 31);
+
+        const [image] = await placeholder.generate(task.positivePrompt || "", {
+          model: task.model,
+          width: task.width || 512,
+          height: task.height || 512,
+          outputFormat: format,
+          label: `MOCK ${seed}`,
+        });
+
+        const extension = format.toLowerCase();
+        const result = {
+          taskType: "imageInference",
+          taskUUID: task.taskUUID,
+          imageUUID,
+          cost: MOCK_COST,
+          seed,
+        };
+
+        // Inline when asked for, unless a download fault needs a URL
+        const inline = !urls && !DOWNLOAD_FAULT_KINDS.includes(fault);
+        if (inline && task.outputType === "base64Data") {
+          result.imageBase64Data = image.data.toString("base64");
+        } else if (inline && task.outputType === "dataURI") {
+          result.imageDataURI = `data:image/${extension};base64,${image.data.toString("base64")}`;
+        } else {
+          images.set(imageUUID, { data: image.data, fault, type: `image/${extension}` });
+          result.imageURL = `${baseUrl}/images/${imageUUID}.${extension}`;
+        }
+
+        data.push(result);
+      }
+    }
+
+    sendJson(res, 200, { data });
+  }
+
+  /**
+   * Handles `GET /images/{uuid}.webp` (or `.png`) - downloading a generated image,
+   * applying any download fault attached when it was generated.
+   *
+   * @param {string} uuid - Image UUID from the URL
+   * @param {import('node:http').ServerResponse} res - Response
+   * @returns {void}
+   */
+  function handleDownload(uuid, res) {
+    stats.downloads++;
+    const image = images.get(uuid);
+
+    if (!image || image.fault === "expired") {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not Found");
+      return;
+    }
+
+    if (image.fault === "html") {
+      res.writeHead(200, { "Content-Type": "text/html" });
+      res.end("<!DOCTYPE html><html><body><h1>502 Bad Gateway</h1></body></html>");
+      return;
+    }
+
+    if (image.fault === "truncated") {
+      // Promise the full length, then hang up halfway through
+      res.writeHead(200, {
+        "Content-Type": image.type,
+        "Content-Length": image.data.length,
+      });
+      res.write(image.data.subarray(0, Math.floor(image.data.length / 2)));
+      res.destroy();
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": image.type,
+      "Content-Length": image.data.length,
+    });
+    res.end(image.data);
+  }
+
+  const server = createServer(async (req, res) => {
+    try {
+      if (delay > 0) await sleep(delay);
+
+      const { pathname } = new URL(req.url, "http://localhost");
+      const download = pathname.match(/^\/images\/([\w-]+)\.(?:webp|png)$/);
+
+      if (req.method === "POST" && pathname === "/v1") {
+        await handleTasks(req, res);
+      } else if (req.method === "GET" && download) {
+        handleDownload(download[1], res);
+      } else if (req.method === "POST" && pathname === "/__mock/faults") {
+        // Control endpoint: { "faults": ["429", "errors:2"] }
+        const body = JSON.parse(await readBody(req));
+        for (const spec of body.faults || []) queue.push(...parseFaultSpec(spec));
+        sendJson(res, 200, { queued: queue.length });
+      } else if (req.method === "GET" && pathname === "/__mock/stats") {
+        sendJson(res, 200, { ...stats, queued: queue.length });
+      } else {
+        sendJson(res, 404, { errors: [{ code: "notFound", message: "Unknown endpoint." }] });
+      }
+    } catch (error) {
+      if (!res.headersSent) {
+        sendJson(res, 500, { errors: [{ code: "mockError", message: error.message }] });
+      }
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, host, resolve));
+  const address = server.address();
+  baseUrl = `http://${host}:${address.port}`;
+
+  return {
+    url: `${baseUrl}/v1`,
+    server,
+    stats,
+    enqueueFault(kind, count = 1) {
+      queue.push(...parseFaultSpec(`${kind}:${count}`));
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+// =============================================================================
+// SCRIPT ENTRY POINT
+// =============================================================================
+
+/**
+ * Help text printed for `--help` or when an option is invalid.
+ *
+ * @constant {string}
+ */
+const USAGE = `Usage: node mock-server.js [options]
+
+Options:
+  --port <n>            Port to listen on (default: 8787)
+  --delay <ms>          Wait before every reply (default: 0)
+  --slow-ms <ms>        Wait used by the "slow" fault (default: 5000)
+  --fail <kind[:n]>     Fail the next n requests with this fault (repeatable)
+                        Kinds: ${FAULT_KINDS.join(", ")}
+  --random-fail <rate>  Chance (0-1) of a random fault on any request
+  --api-key <key>       Only accept this API key (default: any key)
+  --urls                Always send images as URLs to download, never inline
+  -h, --help            Show this help and exit`;
+
+/**
+ * Starts the server from the command line and keeps it running until
+ * Ctrl-C. Only runs when this file is executed directly, so tests and
+ * scripts can import {@link startMockServer} without side effects.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function main() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        port: { type: "string", default: "8787" },
+        delay: { type: "string", default: "0" },
+        "slow-ms": { type: "string", default: "5000" },
+        fail: { type: "string", multiple: true, default: [] },
+        "random-fail": { type: "string", default: "0" },
+        "api-key": { type: "string" },
+        urls: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+
+    values.faults = values.fail.flatMap(parseFaultSpec);
+
+    for (const name of ["port", "delay", "slow-ms"]) {
+      if (!Number.isFinite(Number(values[name])) || Number(values[name]) < 0) {
+        throw new Error(`--${name} must be a non-negative number`);
+      }
+    }
+
+    // A chance, not a percentage: 20 would fail every request
+    const rate = Number(values["random-fail"]);
+    if (!(rate >= 0 && rate <= 1)) {
+      throw new Error(`--random-fail must be between 0 and 1, like 0.2 (got ${values["random-fail"]})`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let mock;
+  try {
+    mock = await startMockServer({
+      port: Number(values.port),
+      delay: Number(values.delay),
+      slowMs: Number(values["slow-ms"]),
+      faults: values.faults,
+      randomFailRate: Number(values["random-fail"]),
+      apiKey: values["api-key"],
+      urls: values.urls,
+    });
+  } catch (error) {
+    // A missing sharp or a port in use: the message says it all
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`Mock Runware API listening on ${mock.url}`);
+  if (values.faults.length > 0) {
+    console.log(`Queued faults: ${values.faults.join(", ")}`);
+  }
+  console.log("\nPoint the generator at it:");
+  console.log(`  RUNWARE_API_URL=${mock.url} RUNWARE_API_KEY=mock node generate.js`);
+  console.log("\nPress Ctrl-C to stop.");
+
+  process.on("SIGINT", async () => {
+    await mock.close();
+    console.log(`\nServed ${mock.stats.tasks} task(s), ${mock.stats.downloads} download(s).`);
+    process.exit(0);
+  });
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -29,6 +29,10 @@
 // TYPE DEFINITIONS (JSDoc)
 // =============================================================================
 
+// These types are checked by `node generate.js validate` (lib/validate.js
+// holds the same lists as data). Add a new species, temperament or
+// subcategory in both places.
+
 /**
  * Valid species categories for pets.
  * Used for filtering in the UI and organizing the dataset.
@@ -65,6 +69,7 @@
  * @property {string} name - Display name of the pet.
  * @property {Species} species - Primary category for filtering.
  * @property {string} subcategory - More specific type (e.g., "kitten", "large", "hamster").
+ *   Each species has its own list (`SUBCATEGORIES` in lib/validate.js).
  * @property {SpecialNeeds} specialNeeds - Special care requirements, or null.
  * @property {Temperament} temperament - Personality type, maps to image expression.
  * @property {Status} status - Current adoption status.
@@ -72,6 +77,12 @@
  *   This field shows students how AI-generated content is created.
  * @property {string} description - Human-readable personality description.
  *   Written in shelter-style language to feel authentic.
+ * @property {string} [template] - Optional prompt template just for this
+ *   pet, e.g. "{prompt} peeking out of a log, {expression} expression".
+ *   Overrides the species and global templates (see lib/prompt.js).
+ * @property {number} [seed] - Optional fixed image seed. Normally the seed
+ *   is derived from the ID; set this to keep an image you liked when
+ *   rolling everyone else's seeds with `--seed-salt`.
  */
 
 // =============================================================================
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview `--max-cost`: a run over the cap starts anyway, and stops
+ * before the request that would go over it.
+ */
+
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { startMockServer } from "../mock-server.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+describe("--max-cost", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  test("generates up to the cap, then stops with a budget error (exit 2)", async (t) => {
+    const dir = await scratchDir(t);
+    const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+
+    // Six birds at $0.0013 each (what the mock reports) is $0.0078: two fit
+    const run = await runGenerate(
+      ["--species", "bird", "--out", join(dir, "images"), "--max-cost", "0.003", "--json", "--yes", "--rate", "0"],
+      { cwd: dir, env }
+    );
+
+    assert.equal(run.code, 2, run.stderr);
+    assert.match(run.stderr, /over --max-cost \$0\.0030: the run will stop/);
+
+    const summary = run.events.at(-1);
+    assert.equal(summary.generated, 2);
+    assert.equal(summary.aborted.kind, "budget");
+    assert.ok(summary.totalCost <= 0.003);
+    assert.equal(summary.remaining.length, 4);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Candidates and picking, plus what happens to a pet when
+ * something fails after its images were made (saving the record of them).
+ */
+
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { mkdir, readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { generateAll } from "../generate.js";
+import { startMockServer } from "../mock-server.js";
+import { pets } from "../pets.js";
+import { createPlaceholderProvider } from "../lib/providers/placeholder.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+describe("--candidates and pick", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  test("makes the candidates with consecutive seeds, then promotes the picked one", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+
+    const run = await runGenerate(
+      ["--only", "a3f8c1", "--candidates", "3", "--out", outDir, "--json", "--yes", "--rate", "0"],
+      { cwd: dir, env }
+    );
+    assert.equal(run.code, 0, run.stderr);
+
+    const folder = join(outDir, "candidates", "a3f8c1");
+    const set = JSON.parse(await readFile(join(folder, "candidates.json"), "utf8"));
+    const [seed] = set.candidates.map((candidate) => candidate.seed);
+    assert.deepEqual(
+      set.candidates.map((candidate) => [candidate.file, candidate.seed]),
+      [
+        ["1.webp", seed],
+        ["2.webp", seed + 1],
+        ["3.webp", seed + 2],
+      ]
+    );
+    assert.equal(set.picked, null);
+    assert.ok(existsSync(join(outDir, "candidates", "index.html")), "the review page is written");
+    assert.ok(!existsSync(join(outDir, "a3f8c1.webp")), "nothing is promoted before a pick");
+
+    const pick = await runGenerate(["pick", "a3f8c1", "2", "--out", outDir], { cwd: dir });
+    assert.equal(pick.code, 0, pick.stderr);
+
+    const image = await readFile(join(outDir, "a3f8c1.webp"));
+    assert.deepEqual(image, await readFile(join(folder, "2.webp")));
+    const manifest = JSON.parse(await readFile(join(outDir, "manifest.json"), "utf8"));
+    assert.equal(manifest.images.a3f8c1.seed, seed + 1);
+    assert.equal(JSON.parse(await readFile(join(folder, "candidates.json"), "utf8")).picked, 2);
+  });
+
+  test("picking a candidate in another format replaces the pet's image", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+    const args = ["--only", "a3f8c1", "--out", outDir, "--json", "--yes", "--rate", "0"];
+
+    assert.equal((await runGenerate(args, { cwd: dir, env })).code, 0);
+    assert.equal((await runGenerate([...args, "--candidates", "2", "--format", "png"], { cwd: dir, env })).code, 0);
+
+    const pick = await runGenerate(["pick", "a3f8c1", "1", "--out", outDir], { cwd: dir });
+    assert.equal(pick.code, 0, pick.stderr);
+
+    assert.ok(existsSync(join(outDir, "a3f8c1.png")));
+    assert.ok(!existsSync(join(outDir, "a3f8c1.webp")), "the old WEBP is gone");
+  });
+
+  test("a round that fails keeps the previous candidates", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+    const args = ["--only", "a3f8c1", "--candidates", "2", "--out", outDir, "--json", "--yes", "--rate", "0"];
+    const folder = join(outDir, "candidates", "a3f8c1");
+
+    assert.equal((await runGenerate(args, { cwd: dir, env })).code, 0);
+    const record = await readFile(join(folder, "candidates.json"), "utf8");
+    const first = await readFile(join(folder, "1.webp"));
+
+    mock.enqueueFault("html");
+    const failed = await runGenerate([...args, "--force", "--retries", "0"], { cwd: dir, env });
+    assert.equal(failed.code, 1, failed.stderr);
+
+    assert.equal(await readFile(join(folder, "candidates.json"), "utf8"), record);
+    assert.deepEqual(await readFile(join(folder, "1.webp")), first);
+    assert.deepEqual((await readdir(join(outDir, "candidates"))).sort(), ["a3f8c1", "index.html"]);
+  });
+
+  test("picking for a pet without candidates is an error", async (t) => {
+    const dir = await scratchDir(t);
+    const pick = await runGenerate(["pick", "a3f8c1", "9", "--out", join(dir, "images")], { cwd: dir });
+
+    assert.equal(pick.code, 2);
+  });
+});
+
+describe("failures after the images are made", () => {
+  test("an unclassified error fails the pet as unknown, and the run carries on", async (t) => {
+    const outDir = await scratchDir(t);
+    const placeholder = createPlaceholderProvider();
+
+    // Once the run has started, make manifest.json impossible to write
+    // (a folder can't be replaced by a file): saving the record of the
+    // first image throws a plain Error from the file system
+    let blocked = false;
+    const provider = {
+      ...placeholder,
+      async generate(prompt, request) {
+        if (!blocked) {
+          blocked = true;
+          await mkdir(join(outDir, "manifest.json"));
+        }
+        return placeholder.generate(prompt, request);
+      },
+    };
+
+    const run = await generateAll(pets.slice(0, 2), { provider, outDir, rate: "0" });
+
+    assert.deepEqual(
+      run.pets.map((pet) => [pet.status, pet.error?.kind]),
+      [
+        ["failed", "unknown"],
+        ["failed", "unknown"],
+      ]
+    );
+    assert.equal(run.failed, 2);
+    assert.equal(run.aborted, null);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Exit codes and `--json` errors of the command line, for
+ * the problems found before a run starts.
+ */
+
+import assert from "node:assert/strict";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { copyProject, runGenerate, scratchDir } from "./helpers.js";
+
+describe("fatal errors before the run (exit 2)", () => {
+  test("a corrupt manifest stops the run before any image is made", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    await mkdir(outDir);
+    await writeFile(join(outDir, "manifest.json"), '{"version": 1, "images": {');
+
+    const run = await runGenerate(["--provider", "placeholder", "--only", "a3f8c1", "--out", outDir, "--yes"], {
+      cwd: dir,
+    });
+
+    assert.equal(run.code, 2, run.stdout);
+    assert.match(run.stderr, /manifest\.json/);
+    assert.doesNotMatch(run.stdout, /Starting generation/);
+  });
+
+  test("with --json, a corrupt manifest is a single error event", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    await mkdir(outDir);
+    await writeFile(join(outDir, "manifest.json"), "not json");
+
+    const run = await runGenerate(["--provider", "placeholder", "--out", outDir, "--yes", "--json"], { cwd: dir });
+
+    assert.equal(run.code, 2);
+    assert.equal(run.events.length, 1);
+    assert.equal(run.events[0].type, "error");
+    assert.match(run.events[0].message, /manifest\.json/);
+  });
+
+  test("an unknown option is reported with the usage", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(["--colour", "red"], { cwd: dir });
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /--colour/);
+    assert.match(run.stderr, /Usage:/);
+  });
+
+  test("an out-of-range setting is fatal", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(["--dry-run", "--width", "100"], { cwd: dir });
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /width must be between 128 and 2048/);
+  });
+
+  test("a missing API key is fatal", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(["--only", "a3f8c1", "--out", join(dir, "images"), "--yes", "--json"], {
+      cwd: dir,
+      env: { RUNWARE_API_KEY: "" },
+    });
+
+    assert.equal(run.code, 2);
+    assert.equal(run.events.at(-1).type, "error");
+    assert.match(run.events.at(-1).message, /RUNWARE_API_KEY/);
+  });
+
+  test("the placeholder provider without sharp is fatal, not one failure per pet", async (t) => {
+    // The copy has no node_modules next to it, so sharp can't be found
+    const { dir, script } = await copyProject(t);
+    const run = await runGenerate(["--provider", "placeholder", "--out", join(dir, "images"), "--yes", "--json"], {
+      cwd: dir,
+      script,
+    });
+
+    assert.equal(run.code, 2);
+    assert.equal(run.events.length, 1);
+    assert.match(run.events[0].message, /needs the sharp package: npm install sharp/);
+  });
+});
+
+describe("pet filters", () => {
+  test("a misspelled species or status is an error that lists the real ones", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(["--dry-run", "--species", "birb"], { cwd: dir });
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /Unknown --species value\(s\): birb \(expected: cat, dog, /);
+  });
+
+  test("a real species and status that no pet has is nothing to do (exit 0)", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(
+      ["--provider", "placeholder", "--species", "bird", "--status", "pending", "--out", join(dir, "images"), "--json"],
+      { cwd: dir }
+    );
+
+    assert.equal(run.code, 0, run.stderr);
+    assert.match(run.stderr, /No pets match --species bird --status pending/);
+    assert.equal(run.events.at(-1).type, "summary");
+    assert.equal(run.events.at(-1).selected, 0);
+  });
+});
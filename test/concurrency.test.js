@@ -0,0 +1,163 @@
+/**
+ * @fileoverview `--rate` and `--concurrency`: the token bucket that paces
+ * requests (on a fake clock, so no test waits for real time) and the
+ * worker pool that runs several pets at once.
+ */
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { runPool } from "../lib/pool.js";
+import { createRateLimiter, parseRate } from "../lib/rate-limit.js";
+
+/**
+ * Lets pending promise callbacks run (the fake clock doesn't mock
+ * setImmediate).
+ *
+ * @returns {Promise<void>}
+ */
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("parseRate", () => {
+  test("reads per-second and per-minute rates, and 0 for no limit", () => {
+    assert.deepEqual(parseRate("5/s"), { requests: 5, perMs: 1000 });
+    assert.deepEqual(parseRate("60 / min"), { requests: 60, perMs: 60_000 });
+    assert.deepEqual(parseRate("2"), { requests: 2, perMs: 1000 });
+    assert.deepEqual(parseRate("0"), { requests: 0, perMs: 1000 });
+  });
+
+  test("rejects anything else", () => {
+    for (const text of ["fast", "5/hour", "-1/s", ""]) {
+      assert.throws(() => parseRate(text), /Invalid rate/, text);
+    }
+  });
+});
+
+describe("createRateLimiter", () => {
+  /**
+   * Starts `count` takes at once and records when each one resolves.
+   *
+   * @param {{take: () => Promise<void>}} limiter - Limiter under test
+   * @param {number} count - Number of takes
+   * @returns {boolean[]} Whether each take has resolved, updated live
+   */
+  function takeMany(limiter, count) {
+    const done = Array(count).fill(false);
+    for (let i = 0; i < count; i++) limiter.take().then(() => (done[i] = true));
+    return done;
+  }
+
+  test("spaces requests evenly, first come first served", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const done = takeMany(createRateLimiter({ requests: 5, perMs: 1000 }), 3);
+
+    await settle();
+    assert.deepEqual(done, [true, false, false]);
+
+    t.mock.timers.tick(199);
+    await settle();
+    assert.deepEqual(done, [true, false, false]);
+
+    t.mock.timers.tick(1);
+    await settle();
+    assert.deepEqual(done, [true, true, false]);
+
+    t.mock.timers.tick(200);
+    await settle();
+    assert.deepEqual(done, [true, true, true]);
+  });
+
+  test("lets a burst through at once, then refills at the rate", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const limiter = createRateLimiter({ requests: 1, perMs: 1000, burst: 3 });
+
+    const done = takeMany(limiter, 4);
+    await settle();
+    assert.deepEqual(done, [true, true, true, false]);
+
+    t.mock.timers.tick(1000);
+    await settle();
+    assert.deepEqual(done, [true, true, true, true]);
+
+    // An idle bucket fills up again, but never beyond the burst size
+    t.mock.timers.tick(60_000);
+    const later = takeMany(limiter, 4);
+    await settle();
+    assert.deepEqual(later, [true, true, true, false]);
+  });
+
+  test("a rate of 0 never waits", async () => {
+    const limiter = createRateLimiter({ requests: 0, perMs: 1000 });
+    const done = takeMany(limiter, 10);
+    await settle();
+    assert.ok(done.every(Boolean));
+  });
+});
+
+describe("runPool", () => {
+  /**
+   * A worker that records how many jobs run at once, each taking a few
+   * turns of the event loop.
+   *
+   * @returns {{worker: (item: number) => Promise<void>, seen: number[], peak: () => number}}
+   */
+  function trackingWorker() {
+    const seen = [];
+    let running = 0;
+    let peak = 0;
+    return {
+      seen,
+      peak: () => peak,
+      async worker(item) {
+        running++;
+        peak = Math.max(peak, running);
+        await settle();
+        await settle();
+        seen.push(item);
+        running--;
+      },
+    };
+  }
+
+  test("runs every item, never more than `concurrency` at a time", async () => {
+    const tracker = trackingWorker();
+    await runPool([1, 2, 3, 4, 5, 6, 7], 3, tracker.worker);
+
+    assert.equal(tracker.peak(), 3);
+    assert.deepEqual([...tracker.seen].sort(), [1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  test("with a concurrency of 1 it is a plain loop, in order", async () => {
+    const tracker = trackingWorker();
+    await runPool([1, 2, 3], 1, tracker.worker);
+
+    assert.equal(tracker.peak(), 1);
+    assert.deepEqual(tracker.seen, [1, 2, 3]);
+  });
+
+  test("after an abort, running jobs finish but no new ones start", async () => {
+    const controller = new AbortController();
+    const started = [];
+    const worker = async (item) => {
+      started.push(item);
+      if (item === 2) controller.abort();
+      await settle();
+    };
+
+    await runPool([1, 2, 3, 4, 5], 2, worker, { signal: controller.signal });
+
+    assert.deepEqual(started, [1, 2]);
+  });
+
+  test("a job that throws stops the pool, and the error comes out once the others end", async () => {
+    const finished = [];
+    const pool = runPool([1, 2, 3, 4], 2, async (item) => {
+      await settle();
+      if (item === 1) throw new Error("boom");
+      finished.push(item);
+    });
+
+    await assert.rejects(pool, /boom/);
+    assert.deepEqual(finished, [2]);
+  });
+});
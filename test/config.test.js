@@ -0,0 +1,131 @@
+/**
+ * @fileoverview The config file: where it is found, which keys and values
+ * it may hold, and how it ranks against flags and the defaults.
+ */
+
+import assert from "node:assert/strict";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { loadConfig, validateSettings } from "../lib/config.js";
+import { copyProject, runGenerate, scratchDir } from "./helpers.js";
+
+describe("loadConfig", () => {
+  test("prefers pet-gen.config.js over pet-gen.config.json", async (t) => {
+    const dir = await scratchDir(t);
+    await writeFile(join(dir, "pet-gen.config.js"), "export default { width: 1024 };\n");
+    await writeFile(join(dir, "pet-gen.config.json"), '{"width": 768}');
+
+    const { config, file } = await loadConfig(undefined, dir);
+
+    assert.deepEqual(config, { width: 1024 });
+    assert.equal(file, join(dir, "pet-gen.config.js"));
+  });
+
+  test("no config file is fine", async (t) => {
+    const dir = await scratchDir(t);
+    assert.deepEqual(await loadConfig(undefined, dir), { config: {}, file: null });
+  });
+
+  test("a --config file that doesn't exist is an error", async () => {
+    await assert.rejects(loadConfig("no-such.config.json"), /Config file not found: no-such\.config\.json/);
+  });
+
+  test("a misspelt key is an error that lists the real ones", async (t) => {
+    const dir = await scratchDir(t);
+    const file = join(dir, "typo.json");
+    await writeFile(file, '{"widht": 1024}');
+
+    await assert.rejects(loadConfig(file), /Unknown setting\(s\) in .*typo\.json: widht \(expected: model, width, /);
+  });
+
+  test("a file that isn't an object of settings is an error", async (t) => {
+    const dir = await scratchDir(t);
+    const file = join(dir, "list.json");
+    await writeFile(file, "[1024]");
+
+    await assert.rejects(loadConfig(file), /must contain an object of settings/);
+  });
+});
+
+describe("validateSettings", () => {
+  const valid = { model: "runware:100@1", width: 512, height: 512, steps: 4, outputFormat: "WEBP", outputQuality: 80 };
+
+  test("accepts the edges of each range", () => {
+    validateSettings({ ...valid, width: 128, height: 2048, steps: 100, outputQuality: 20 }, ["WEBP"]);
+  });
+
+  test("lists every problem at once", () => {
+    assert.throws(
+      () =>
+        validateSettings(
+          { ...valid, width: 1000, height: 4096, steps: 0, outputQuality: 80.5, outputFormat: "GIF" },
+          ["WEBP", "PNG"]
+        ),
+      (error) => {
+        assert.deepEqual(error.message.split("\n").slice(1), [
+          "  width must be a multiple of 64 (got 1000)",
+          "  height must be between 128 and 2048 (got 4096)",
+          "  steps must be between 1 and 100 (got 0)",
+          "  outputQuality must be a whole number (got 80.5)",
+          "  outputFormat must be one of WEBP, PNG (got GIF)",
+        ]);
+        return true;
+      }
+    );
+  });
+
+  test("an empty model is an error", () => {
+    assert.throws(() => validateSettings({ ...valid, model: " " }, ["WEBP"]), /model must be a non-empty string/);
+  });
+});
+
+describe("config file and flags", () => {
+  /**
+   * Runs a dry run of a copy of the project from another folder, with a
+   * config file next to the copy's pets.js.
+   *
+   * @param {import('node:test').TestContext} t - The running test
+   * @param {Object} config - Contents of pet-gen.config.json
+   * @param {string[]} [args=[]] - Extra arguments
+   * @returns {Promise<import('./helpers.js').CliRun>}
+   */
+  async function dryRunWith(t, config, args = []) {
+    const { dir, script } = await copyProject(t);
+    await writeFile(join(dir, "pet-gen.config.json"), JSON.stringify(config));
+
+    // Run from somewhere else: the config is still found next to pets.js
+    const cwd = join(dir, "elsewhere");
+    await mkdir(cwd);
+    return runGenerate(["--dry-run", "--only", "a3f8c1", ...args], { cwd, script });
+  }
+
+  test("the config file next to pets.js is used from any working directory", async (t) => {
+    const run = await dryRunWith(t, { width: 1024, steps: 8 });
+
+    assert.equal(run.code, 0, run.stderr);
+    assert.match(run.stdout, /Settings: runware runware:100@1, 1024x512, 8 steps, WEBP \(quality 80\)/);
+  });
+
+  test("flags win over the config file, which wins over the defaults", async (t) => {
+    const run = await dryRunWith(t, { width: 1024, steps: 8, outputQuality: 90 }, ["--width", "768"]);
+
+    assert.equal(run.code, 0, run.stderr);
+    assert.match(run.stdout, /Settings: runware runware:100@1, 768x512, 8 steps, WEBP \(quality 90\)/);
+  });
+
+  test("an out-of-range value in the config file is fatal", async (t) => {
+    const run = await dryRunWith(t, { steps: 500 });
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /steps must be between 1 and 100 \(got 500\)/);
+  });
+
+  test("a spending limit in the config file must be an amount", async (t) => {
+    const run = await dryRunWith(t, { maxCost: "lots" });
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /maxCost in the config file must be an amount in USD/);
+  });
+});
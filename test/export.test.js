@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Exporting the pets: CSV that spreadsheets read back
+ * exactly (RFC 4180), image links, and an export that imports again.
+ */
+
+import assert from "node:assert/strict";
+import { mkdir, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { csvField, formatExport, toRows } from "../lib/export.js";
+import { parseCsv, readImportFile, toPet } from "../lib/import.js";
+import { pets } from "../pets.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+/**
+ * A pet whose text has everything CSV has to quote.
+ *
+ * @constant {import('../pets.js').Pet}
+ */
+const AWKWARD = {
+  id: "c10ba5",
+  name: 'Clover "the Brave"',
+  species: "small mammal",
+  subcategory: "rabbit",
+  temperament: "shy",
+  specialNeeds: null,
+  status: "available",
+  prompt: "lop-eared rabbit, brown and white",
+  description: "Hides first,\ncuddles later.",
+  seed: 1234,
+};
+
+describe("CSV", () => {
+  test("quotes commas, quotes, line breaks and edge spaces, and nothing else", () => {
+    assert.equal(csvField("plain text"), "plain text");
+    assert.equal(csvField("shy, then cuddly"), '"shy, then cuddly"');
+    assert.equal(csvField('Clover "the Brave"'), '"Clover ""the Brave"""');
+    assert.equal(csvField("line one\r\nline two"), '"line one\r\nline two"');
+    assert.equal(csvField(" padded"), '" padded"');
+    assert.equal(csvField(null), "");
+    assert.equal(csvField(42), "42");
+  });
+
+  test("ends every line with CRLF and has a column for every field any pet has", () => {
+    const text = formatExport(toRows([pets[0], AWKWARD], { prompt: false }), "csv");
+
+    // Header and two pets; the line break inside the description stays quoted
+    assert.ok(text.endsWith("\r\n"));
+    assert.equal(text.split("\r\n").length - 1, 3);
+    assert.match(text, /"Hides first,\ncuddles later\."/);
+
+    const [header, first] = parseCsv(text);
+    assert.equal(header.at(-1), "seed");
+    assert.ok(!header.includes("prompt"));
+    assert.equal(first[header.indexOf("seed")], pets[0].seed === undefined ? "" : String(pets[0].seed));
+  });
+
+  test("exported CSV imports back to the same pets", async (t) => {
+    const dir = await scratchDir(t);
+    const file = join(dir, "pets.csv");
+    const original = [...pets, AWKWARD];
+    await writeFile(file, formatExport(toRows(original), "csv"));
+
+    const rows = await readImportFile(file);
+
+    assert.deepEqual(
+      rows.map((row) => row.error),
+      original.map(() => null)
+    );
+    for (const [index, row] of rows.entries()) {
+      assert.deepEqual(toPet(row.values).pet, original[index], `row ${index + 2}`);
+    }
+  });
+});
+
+describe("export --base-url", () => {
+  test("links each pet's image under the base URL, and leaves pets without one blank", async (t) => {
+    const dir = await scratchDir(t);
+    await mkdir(join(dir, "images"));
+    await writeFile(join(dir, "images", "a3f8c1.webp"), "image");
+
+    const run = await runGenerate(
+      ["export", "--format", "csv", "--species", "cat", "--base-url", "https://example.com/pets", "--out", "images"],
+      { cwd: dir }
+    );
+    assert.equal(run.code, 0, run.stderr);
+
+    const [header, ...records] = parseCsv(run.stdout);
+    const image = Object.fromEntries(records.map((cells) => [cells[0], cells[header.indexOf("image")]]));
+    assert.equal(image.a3f8c1, "https://example.com/pets/images/a3f8c1.webp");
+    assert.ok(Object.keys(image).length > 1, "there are other cats");
+    assert.deepEqual(
+      Object.entries(image).filter(([id]) => id !== "a3f8c1").map(([, link]) => link),
+      Array(Object.keys(image).length - 1).fill("")
+    );
+    assert.match(run.stderr, /have no image in images yet/);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Shared helpers for the tests: scratch folders, and
+ * running generate.js the way a shell (or CI) would.
+ *
+ * The tests run the real command line as a child process, so exit codes,
+ * `--json` events and files on disk are checked exactly as users see them.
+ * Each run gets its own scratch folder as its working directory, so
+ * nothing (not even `.pet-gen-resume.json`) lands in the repository.
+ *
+ * @module test/helpers
+ */
+
+import { execFile } from "node:child_process";
+import { cp, mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * The generator script under test.
+ *
+ * @constant {string}
+ */
+export const GENERATE = fileURLToPath(new URL("../generate.js", import.meta.url));
+
+/**
+ * Makes an empty folder that is deleted when the test ends.
+ *
+ * @async
+ * @param {import('node:test').TestContext} t - The running test
+ * @returns {Promise<string>} Path of the folder
+ */
+export async function scratchDir(t) {
+  const dir = await mkdtemp(join(tmpdir(), "pet-gen-test-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Files and folders generate.js needs to run, for a copy of it.
+ *
+ * @constant {string[]}
+ */
+const PROJECT_FILES = ["package.json", "generate.js", "pets.js", "pets.json", "lib"];
+
+/**
+ * Copies the generator and its data into a scratch folder, for tests of
+ * commands that edit pets.js and pets.json.
+ *
+ * @async
+ * @param {import('node:test').TestContext} t - The running test
+ * @returns {Promise<{dir: string, script: string}>} The copy, and its generate.js
+ */
+export async function copyProject(t) {
+  const dir = await scratchDir(t);
+  for (const file of PROJECT_FILES) {
+    await cp(fileURLToPath(new URL(`../${file}`, import.meta.url)), join(dir, file), { recursive: true });
+  }
+  return { dir, script: join(dir, "generate.js") };
+}
+
+/**
+ * What a finished generate.js process did.
+ *
+ * @typedef {Object} CliRun
+ * @property {number} code - Exit code
+ * @property {string} stdout - Everything written to stdout
+ * @property {string} stderr - Everything written to stderr
+ * @property {Object[]} events - The `--json` events on stdout, parsed
+ */
+
+/**
+ * Runs generate.js with some arguments and waits for it to exit.
+ *
+ * @async
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} options - How to run it
+ * @param {string} options.cwd - Working directory (a scratch folder)
+ * @param {Object} [options.env={}] - Environment variables on top of the test's own
+ * @param {string} [options.script=GENERATE] - Script to run, for a copy of the repository
+ * @returns {Promise<CliRun>} Exit code, output and events
+ *
+ * @example
+ * const run = await runGenerate(["--dry-run", "--json"], { cwd: dir });
+ * assert.equal(run.code, 0);
+ */
+export function runGenerate(args, { cwd, env = {}, script = GENERATE }) {
+  return new Promise((resolve) => {
+    execFile(
+      process.execPath,
+      [script, ...args],
+      { cwd, env: { ...process.env, ...env }, timeout: 60_000 },
+      (error, stdout, stderr) => {
+        const events = stdout
+          .split("\n")
+          .filter((line) => line.startsWith("{"))
+          .map((line) => JSON.parse(line));
+        resolve({ code: error ? error.code : 0, stdout, stderr, events });
+      }
+    );
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview The manifest: what was recorded about each image a run
+ * against the mock server made, and what wasn't.
+ */
+
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { startMockServer } from "../mock-server.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+describe("manifest.json", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockServer();
+  });
+
+  after(() => mock.close());
+
+  test("records the prompt, settings, seed, cost and hash of each image", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+
+    const preview = await runGenerate(["--only", "a3f8c1", "--dry-run", "--preview", join(dir, "preview.json")], {
+      cwd: dir,
+    });
+    assert.equal(preview.code, 0, preview.stderr);
+    const [expected] = JSON.parse(await readFile(join(dir, "preview.json"), "utf8"));
+
+    const run = await runGenerate(["--only", "a3f8c1", "--out", outDir, "--json", "--yes", "--rate", "0"], {
+      cwd: dir,
+      env,
+    });
+    assert.equal(run.code, 0, run.stderr);
+    const generated = run.events.find((event) => event.type === "generated");
+
+    const manifest = JSON.parse(await readFile(join(outDir, "manifest.json"), "utf8"));
+    const entry = manifest.images.a3f8c1;
+    const image = await readFile(join(outDir, "a3f8c1.webp"));
+
+    assert.equal(entry.file, "a3f8c1.webp");
+    assert.equal(entry.prompt, expected.prompt);
+    assert.equal(entry.provider, "runware");
+    assert.equal(entry.model, "runware:100@1");
+    assert.deepEqual([entry.width, entry.height, entry.steps, entry.outputFormat], [512, 512, 4, "WEBP"]);
+    assert.equal(entry.seed, expected.seed);
+    assert.equal(entry.seed, generated.seeds[0]);
+    assert.equal(entry.cost, 0.0013);
+    assert.ok(entry.taskId && entry.imageId, "the request and image IDs are recorded");
+    assert.equal(entry.bytes, image.length);
+    assert.equal(entry.sha256, createHash("sha256").update(image).digest("hex"));
+  });
+
+  test("a pet that fails gets no entry, and the others keep theirs", async (t) => {
+    const dir = await scratchDir(t);
+    const outDir = join(dir, "images");
+    const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+    const args = ["--out", outDir, "--json", "--yes", "--rate", "0", "--retries", "0"];
+
+    const first = await runGenerate(["--only", "a3f8c1", ...args], { cwd: dir, env });
+    assert.equal(first.code, 0, first.stderr);
+
+    mock.enqueueFault("500");
+    const second = await runGenerate(["--only", "b7e2d4", ...args], { cwd: dir, env });
+    assert.equal(second.code, 1, second.stderr);
+
+    const manifest = JSON.parse(await readFile(join(outDir, "manifest.json"), "utf8"));
+    assert.deepEqual(Object.keys(manifest.images), ["a3f8c1"]);
+    assert.ok(!existsSync(join(outDir, "b7e2d4.webp")));
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Every fault the mock server can inject, run through the
+ * real generator: is it retried, what kind of error does a pet that runs
+ * out of retries get, and what does the process exit with? Plus images
+ * sent inline versus as a URL to download.
+ */
+
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { readdir, readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { after, before, describe, test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { FAULT_KINDS, startMockServer } from "../mock-server.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+/**
+ * The mock server script, for running it from the command line.
+ *
+ * @constant {string}
+ */
+const MOCK_SERVER = fileURLToPath(new URL("../mock-server.js", import.meta.url));
+
+/**
+ * The error kind (see lib/errors.js) each temporary fault should be
+ * classified as. `auth` is fatal and `slow` only delays the reply, so
+ * they are tested on their own.
+ *
+ * @constant {Record<string, string>}
+ */
+const EXPECTED_KINDS = {
+  errors: "server",
+  429: "rate-limit",
+  500: "server",
+  expired: "expired-url",
+  truncated: "network",
+  html: "invalid-image",
+};
+
+describe("mock server faults", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockServer({ slowMs: 100 });
+  });
+
+  after(() => mock.close());
+
+  /**
+   * Generates one pet's image against the mock, after queueing a fault.
+   *
+   * @param {import('node:test').TestContext} t - The running test
+   * @param {string} fault - Fault kind for the first request
+   * @param {number} retries - Value for --retries
+   * @returns {Promise<import('./helpers.js').CliRun & {dir: string, summary: Object}>}
+   */
+  async function runWithFault(t, fault, retries) {
+    const dir = await scratchDir(t);
+    mock.enqueueFault(fault);
+
+    const run = await runGenerate(
+      ["--only", "a3f8c1", "--out", join(dir, "images"), "--json", "--yes", "--rate", "0", "--retries", String(retries)],
+      { cwd: dir, env: { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" } }
+    );
+    return { ...run, dir, summary: run.events.at(-1) };
+  }
+
+  test("knows every fault kind this file tests", () => {
+    assert.deepEqual([...Object.keys(EXPECTED_KINDS), "auth", "slow"].sort(), [...FAULT_KINDS].sort());
+  });
+
+  for (const [fault, kind] of Object.entries(EXPECTED_KINDS)) {
+    test(`${fault}: retried as "${kind}", then the image is generated (exit 0)`, async (t) => {
+      const run = await runWithFault(t, fault, 1);
+
+      assert.equal(run.code, 0, run.stderr);
+      const retries = run.events.filter((event) => event.type === "retry");
+      assert.deepEqual(
+        retries.map((event) => event.kind),
+        [kind]
+      );
+      assert.equal(run.summary.generated, 1);
+      assert.ok(existsSync(join(run.dir, "images", "a3f8c1.webp")));
+    });
+
+    test(`${fault}: with --retries 0 the pet fails as "${kind}" (exit 1)`, async (t) => {
+      const run = await runWithFault(t, fault, 0);
+
+      assert.equal(run.code, 1, run.stderr);
+      assert.deepEqual(run.summary.failed.map((failure) => [failure.id, failure.kind]), [["a3f8c1", kind]]);
+      assert.deepEqual(run.summary.remaining, ["a3f8c1"]);
+      assert.equal(run.summary.exitCode, 1);
+      assert.ok(!existsSync(join(run.dir, "images", "a3f8c1.webp")));
+    });
+  }
+
+  test("html: the error page is quarantined, not kept as the image", async (t) => {
+    const run = await runWithFault(t, "html", 0);
+
+    const quarantined = await readdir(join(run.dir, "images", ".quarantine"));
+    assert.equal(quarantined.length, 1);
+    assert.match(quarantined[0], /-a3f8c1\.webp$/);
+  });
+
+  for (const fault of ["html", "truncated"]) {
+    test(`${fault}: with --force, a bad download never replaces the existing image`, async (t) => {
+      const dir = await scratchDir(t);
+      const outDir = join(dir, "images");
+      const args = ["--only", "a3f8c1", "--out", outDir, "--json", "--yes", "--rate", "0", "--retries", "0"];
+      const env = { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" };
+
+      const first = await runGenerate(args, { cwd: dir, env });
+      assert.equal(first.code, 0, first.stderr);
+      const good = await readFile(join(outDir, "a3f8c1.webp"));
+
+      mock.enqueueFault(fault);
+      const forced = await runGenerate([...args, "--force"], { cwd: dir, env });
+
+      assert.equal(forced.code, 1, forced.stderr);
+      assert.deepEqual(await readFile(join(outDir, "a3f8c1.webp")), good);
+    });
+  }
+
+  test("auth: fatal straight away, never retried (exit 2)", async (t) => {
+    const run = await runWithFault(t, "auth", 3);
+
+    assert.equal(run.code, 2, run.stderr);
+    assert.equal(run.events.filter((event) => event.type === "retry").length, 0);
+    assert.equal(run.summary.aborted.kind, "auth");
+    assert.equal(run.summary.exitCode, 2);
+  });
+
+  test("slow: a slow reply is still a success (exit 0)", async (t) => {
+    const run = await runWithFault(t, "slow", 0);
+
+    assert.equal(run.code, 0, run.stderr);
+    assert.equal(run.summary.generated, 1);
+  });
+
+  test("counts each fault it injected", async () => {
+    for (const fault of FAULT_KINDS) {
+      assert.ok(mock.stats.faults[fault] >= 1, `${fault} was never injected`);
+    }
+  });
+});
+
+describe("inline images and the URL fallback", () => {
+  /**
+   * Generates one pet's image against a fresh mock server.
+   *
+   * @param {import('node:test').TestContext} t - The running test
+   * @param {import('../mock-server.js').MockServerOptions} options - Server options
+   * @returns {Promise<{mock: import('../mock-server.js').MockServer, image: Buffer}>} The server and the saved image
+   */
+  async function generateWith(t, options) {
+    const mock = await startMockServer(options);
+    t.after(() => mock.close());
+    const dir = await scratchDir(t);
+
+    const run = await runGenerate(
+      ["--only", "a3f8c1", "--out", join(dir, "images"), "--json", "--yes", "--rate", "0", "--retries", "0"],
+      { cwd: dir, env: { RUNWARE_API_URL: mock.url, RUNWARE_API_KEY: "mock" } }
+    );
+    assert.equal(run.code, 0, run.stderr);
+    return { mock, image: await readFile(join(dir, "images", "a3f8c1.webp")) };
+  }
+
+  test("base64 data is saved without a second request; a URL is downloaded instead", async (t) => {
+    const inline = await generateWith(t, {});
+    const url = await generateWith(t, { urls: true });
+
+    assert.deepEqual([inline.mock.stats.requests, inline.mock.stats.downloads], [1, 0]);
+    assert.deepEqual([url.mock.stats.requests, url.mock.stats.downloads], [1, 1]);
+
+    // Same seed, same placeholder card, whichever way it came
+    assert.deepEqual(url.image, inline.image);
+  });
+});
+
+describe("mock server options", () => {
+  for (const rate of ["1.5", "20", "-0.1", "often"]) {
+    test(`--random-fail ${rate} is a usage error`, async (t) => {
+      const dir = await scratchDir(t);
+      const run = await runGenerate([`--random-fail=${rate}`], { cwd: dir, script: MOCK_SERVER });
+
+      assert.equal(run.code, 1);
+      assert.match(run.stderr, /--random-fail must be between 0 and 1/);
+      assert.match(run.stderr, /Usage: node mock-server\.js/);
+    });
+  }
+});
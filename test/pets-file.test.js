@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Commands that edit the pet data: they change pets.js and
+ * pets.json next to generate.js, wherever they are run from.
+ */
+
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { copyProject, runGenerate, scratchDir } from "./helpers.js";
+
+describe("add-pet", () => {
+  test("adds the pet to pets.js and pets.json next to the script, run from another folder", async (t) => {
+    const project = await copyProject(t);
+    const elsewhere = await scratchDir(t);
+
+    const run = await runGenerate(
+      [
+        "add-pet",
+        "--id",
+        "4be09f",
+        "--name",
+        "Pebble",
+        "--species",
+        "cat",
+        "--subcategory",
+        "senior",
+        "--temperament",
+        "calm",
+        "--prompt",
+        "sleepy grey tabby curled on a blanket",
+        "--description",
+        "Has perfected the afternoon nap.",
+      ],
+      { cwd: elsewhere, script: project.script }
+    );
+    assert.equal(run.code, 0, run.stderr);
+
+    assert.match(await readFile(join(project.dir, "pets.js"), "utf8"), /id: "4be09f",\n\s+name: "Pebble",/);
+    const site = JSON.parse(await readFile(join(project.dir, "pets.json"), "utf8"));
+    assert.equal(site.find((pet) => pet.id === "4be09f")?.name, "Pebble");
+    assert.ok(!existsSync(join(elsewhere, "pets.json")), "nothing is written to the working directory");
+
+    const check = await runGenerate(["site-data", "--check"], { cwd: elsewhere, script: project.script });
+    assert.equal(check.code, 0, check.stdout);
+  });
+});
+
+describe("import --merge", () => {
+  test("adds the rows to pets.js and pets.json next to the script, run from another folder", async (t) => {
+    const project = await copyProject(t);
+    const elsewhere = await scratchDir(t);
+    await writeFile(
+      join(elsewhere, "farm.csv"),
+      [
+        "id,name,species,subcategory,temperament,prompt,description",
+        'c10ba5,Clover,small mammal,rabbit,shy,"lop-eared rabbit, brown and white","Hides first, cuddles later."',
+        "",
+      ].join("\r\n")
+    );
+
+    const run = await runGenerate(["import", "farm.csv", "--merge", "--yes"], {
+      cwd: elsewhere,
+      script: project.script,
+    });
+    assert.equal(run.code, 0, run.stderr || run.stdout);
+
+    assert.match(await readFile(join(project.dir, "pets.js"), "utf8"), /id: "c10ba5",\n\s+name: "Clover",/);
+    const site = JSON.parse(await readFile(join(project.dir, "pets.json"), "utf8"));
+    assert.equal(site.find((pet) => pet.id === "c10ba5")?.name, "Clover");
+    assert.ok(!existsSync(join(elsewhere, "pets.json")), "nothing is written to the working directory");
+  });
+
+  test("writes nothing when a row has a problem", async (t) => {
+    const project = await copyProject(t);
+    const before = await readFile(join(project.dir, "pets.js"), "utf8");
+    await writeFile(join(project.dir, "bad.json"), JSON.stringify([{ name: "Nemo", species: "fish" }]));
+
+    const run = await runGenerate(["import", "bad.json", "--merge", "--yes"], {
+      cwd: project.dir,
+      script: project.script,
+    });
+
+    assert.equal(run.code, 1);
+    assert.match(run.stdout, /item 1/);
+    assert.equal(await readFile(join(project.dir, "pets.js"), "utf8"), before);
+  });
+});
+
+describe("site-data --check", () => {
+  test("fails when pets.js was edited without updating pets.json", async (t) => {
+    const project = await copyProject(t);
+    const petsFile = join(project.dir, "pets.js");
+    await writeFile(petsFile, (await readFile(petsFile, "utf8")).replace('name: "Whisker"', 'name: "Whiskers"'));
+
+    const run = await runGenerate(["site-data", "--check"], { cwd: project.dir, script: project.script });
+
+    assert.equal(run.code, 1);
+    assert.match(run.stdout, /Whiskers \(a3f8c1\): name is "Whisker" in .*pets\.json, "Whiskers" in pets\.js/);
+    assert.match(run.stdout, /out of date/);
+  });
+
+  test("passes again once site-data has rewritten pets.json", async (t) => {
+    const project = await copyProject(t);
+    const petsFile = join(project.dir, "pets.js");
+    await writeFile(petsFile, (await readFile(petsFile, "utf8")).replace('name: "Whisker"', 'name: "Whiskers"'));
+
+    const write = await runGenerate(["site-data"], { cwd: project.dir, script: project.script });
+    assert.equal(write.code, 0, write.stderr);
+    const check = await runGenerate(["site-data", "--check"], { cwd: project.dir, script: project.script });
+    assert.equal(check.code, 0, check.stdout);
+  });
+});
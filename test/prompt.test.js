@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Prompt templates: the most specific one wins (pet, then
+ * species, then the global one), and bad templates fail before a run.
+ */
+
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { buildPrompt } from "../generate.js";
+import { pets } from "../pets.js";
+import { checkTemplates, DEFAULT_TEMPLATE, renderTemplate, selectTemplate } from "../lib/prompt.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+/**
+ * Templates at the two config levels.
+ *
+ * @constant {import('../lib/prompt.js').PromptTemplates}
+ */
+const TEMPLATES = {
+  template: "global: {prompt}",
+  speciesTemplates: { aquatic: "aquatic: {prompt}" },
+};
+
+describe("selectTemplate", () => {
+  test("global < species < pet", () => {
+    const cat = { species: "cat" };
+    const fish = { species: "aquatic" };
+
+    assert.deepEqual(selectTemplate(cat), { template: DEFAULT_TEMPLATE, source: "default" });
+    assert.deepEqual(selectTemplate(cat, TEMPLATES), { template: "global: {prompt}", source: "config" });
+    assert.deepEqual(selectTemplate(fish, TEMPLATES), { template: "aquatic: {prompt}", source: "species:aquatic" });
+    assert.deepEqual(selectTemplate({ ...fish, template: "pet: {prompt}" }, TEMPLATES), {
+      template: "pet: {prompt}",
+      source: "pet",
+    });
+  });
+});
+
+describe("buildPrompt", () => {
+  test("fills in the chosen template from the pet", () => {
+    const whisker = pets.find((pet) => pet.id === "a3f8c1");
+    const template = "{name} the {species} ({subcategory}), {expression}: {prompt}";
+
+    assert.equal(
+      buildPrompt({ ...whisker, template }, TEMPLATES),
+      `Whisker the cat (${whisker.subcategory}), friendly: ${whisker.prompt}`
+    );
+    assert.equal(buildPrompt(whisker, TEMPLATES), `global: ${whisker.prompt}`);
+  });
+
+  test("an unknown placeholder is an error", () => {
+    assert.throws(() => renderTemplate("{prompt} in {colour}", { prompt: "cat" }), /Unknown placeholder \{colour\}/);
+  });
+});
+
+describe("checkTemplates", () => {
+  test("lists every bad template at once", () => {
+    const expected = "{prompt}, {expression}, {species}, {subcategory}, {name}";
+    assert.throws(
+      () =>
+        checkTemplates(
+          { template: "", speciesTemplates: { fish: "{prompt}", bird: "{prompt} in {colour}" } },
+          [{ id: "a3f8c1", name: "Whisker", template: "{prompt} by {artist}" }]
+        ),
+      (error) => {
+        assert.deepEqual(error.message.split("\n").slice(1), [
+          "  template: must be a non-empty string",
+          '  speciesTemplates: unknown species "fish"',
+          `  speciesTemplates.bird: unknown placeholder(s) {colour} (expected: ${expected})`,
+          `  Whisker (a3f8c1) template: unknown placeholder(s) {artist} (expected: ${expected})`,
+        ]);
+        return true;
+      }
+    );
+  });
+});
+
+describe("templates in a dry run", () => {
+  test("each pet gets the template of the most specific level", async (t) => {
+    const dir = await scratchDir(t);
+    await writeFile(join(dir, "templates.json"), JSON.stringify(TEMPLATES));
+    const preview = join(dir, "preview.json");
+
+    const run = await runGenerate(
+      ["--dry-run", "--only", "a3f8c1,f9b6d3", "--config", "templates.json", "--preview", preview],
+      { cwd: dir }
+    );
+    assert.equal(run.code, 0, run.stderr);
+
+    const sources = JSON.parse(await readFile(preview, "utf8")).map((pet) => [pet.id, pet.templateSource]);
+    assert.deepEqual(sources, [
+      ["a3f8c1", "config"],
+      ["f9b6d3", "species:aquatic"],
+    ]);
+  });
+
+  test("a template with an unknown placeholder stops the run (exit 2)", async (t) => {
+    const dir = await scratchDir(t);
+    await writeFile(join(dir, "templates.json"), JSON.stringify({ template: "{prompt} in {colour}" }));
+
+    const run = await runGenerate(["--dry-run", "--config", "templates.json"], { cwd: dir });
+
+    assert.equal(run.code, 2);
+    assert.match(run.stderr, /template: unknown placeholder\(s\) \{colour\}/);
+  });
+});
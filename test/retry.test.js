@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Error classification and retries: which failures are
+ * worth another try, and which are bugs or bad responses that should
+ * show up at once.
+ */
+
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { describe, test } from "node:test";
+
+import { classifyError, GenerationError, kindForApiError, kindForStatus } from "../lib/errors.js";
+import { createRunwareProvider } from "../lib/providers/runware.js";
+import { withRetry } from "../lib/retry.js";
+
+describe("classifyError", () => {
+  test("connection failures from fetch() are network errors", () => {
+    const failed = new TypeError("fetch failed", { cause: Object.assign(new Error("socket"), { code: "ECONNRESET" }) });
+    const error = classifyError(failed);
+
+    assert.equal(error.kind, "network");
+    assert.equal(error.retryable, true);
+    assert.equal(error.cause, failed);
+    assert.equal(classifyError(new TypeError("terminated")).kind, "network");
+    assert.equal(classifyError(Object.assign(new Error("connect"), { code: "ECONNREFUSED" })).kind, "network");
+  });
+
+  test("other TypeErrors are bugs: unknown, and not retried", () => {
+    let bug;
+    try {
+      undefined.map((x) => x);
+    } catch (error) {
+      bug = error;
+    }
+    const error = classifyError(bug);
+
+    assert.equal(error.kind, "unknown");
+    assert.equal(error.retryable, false);
+  });
+
+  test("classified errors pass through unchanged", () => {
+    const error = new GenerationError("API error: 429", { kind: "rate-limit" });
+    assert.equal(classifyError(error), error);
+  });
+
+  test("HTTP statuses and API error codes get their kinds", () => {
+    assert.equal(kindForStatus(401), "auth");
+    assert.equal(kindForStatus(429), "rate-limit");
+    assert.equal(kindForStatus(503), "server");
+    assert.equal(kindForStatus(400), "bad-request");
+    assert.equal(kindForApiError("invalidApiKey Invalid API key."), "auth");
+    assert.equal(kindForApiError("contentModerated"), "content-policy");
+    assert.equal(kindForApiError("inferenceFailed Image inference failed."), "server");
+  });
+});
+
+describe("withRetry", () => {
+  test("retries temporary failures until one succeeds", async () => {
+    const seen = [];
+    const result = await withRetry(
+      async (attempt) => {
+        if (attempt < 3) throw new GenerationError("API error: 500", { kind: "server" });
+        return "image";
+      },
+      { retries: 3, baseDelayMs: 1, onRetry: (error, attempt) => seen.push([error.kind, attempt]) }
+    );
+
+    assert.equal(result, "image");
+    assert.deepEqual(seen, [
+      ["server", 1],
+      ["server", 2],
+    ]);
+  });
+
+  test("gives up after the last retry, saying how many attempts it made", async () => {
+    const failing = () => Promise.reject(new GenerationError("API error: 429", { kind: "rate-limit" }));
+
+    await assert.rejects(withRetry(failing, { retries: 2, baseDelayMs: 1 }), (error) => {
+      assert.equal(error.kind, "rate-limit");
+      assert.equal(error.attempts, 3);
+      return true;
+    });
+  });
+
+  test("throws permanent failures (and bugs) at once", async () => {
+    let calls = 0;
+    const buggy = async () => {
+      calls++;
+      return undefined.length;
+    };
+
+    await assert.rejects(withRetry(buggy, { retries: 3, baseDelayMs: 1 }), (error) => {
+      assert.equal(error.kind, "unknown");
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+    assert.equal(calls, 1);
+  });
+
+  test("an abort during the wait ends it at once and throws the last error", async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const failing = async () => {
+      calls++;
+      throw new GenerationError("API error: 503", { kind: "server" });
+    };
+
+    const started = Date.now();
+    const retrying = withRetry(failing, {
+      retries: 3,
+      baseDelayMs: 60_000,
+      signal: controller.signal,
+      onRetry: () => controller.abort(),
+    });
+
+    await assert.rejects(retrying, (error) => {
+      assert.equal(error.kind, "server");
+      assert.equal(error.attempts, 1);
+      return true;
+    });
+    assert.equal(calls, 1);
+    assert.ok(Date.now() - started < 5_000, "the 60s wait was cut short");
+  });
+});
+
+describe("Runware provider", () => {
+  /**
+   * Runs the provider against a one-off server that always sends `body`.
+   *
+   * @param {import('node:test').TestContext} t - The running test
+   * @param {Object} body - JSON response body
+   * @returns {Promise<import('../lib/providers/index.js').ImageResult[]>}
+   */
+  async function generateWith(t, body) {
+    const server = createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const runware = createRunwareProvider({ apiKey: "test", apiUrl: `http://127.0.0.1:${server.address().port}/v1` });
+    return runware.generate("cartoon cat", { model: "runware:100@1", width: 512, height: 512, steps: 4 });
+  }
+
+  for (const [label, body] of [
+    ["no data array", {}],
+    ["data that isn't an array", { data: { imageURL: "https://example.com/a.webp" } }],
+    ["an empty data array", { data: [] }],
+  ]) {
+    test(`a response with ${label} is a retryable server error`, async (t) => {
+      await assert.rejects(generateWith(t, body), (error) => {
+        assert.ok(error instanceof GenerationError);
+        assert.equal(error.kind, "server");
+        assert.equal(error.retryable, true);
+        return true;
+      });
+    });
+  }
+
+  test("an errors array is classified by its code and message", async (t) => {
+    await assert.rejects(generateWith(t, { errors: [{ code: "invalidApiKey", message: "Invalid API key." }] }), {
+      kind: "auth",
+    });
+  });
+});
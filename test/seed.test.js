@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Seeds: derived from each pet's ID, the same on every run,
+ * within the range backends accept, and rolled all at once by
+ * `--seed-salt`.
+ */
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { pets } from "../pets.js";
+import { MAX_SEED, seedForPet, seedFromText } from "../lib/seed.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+describe("seedFromText", () => {
+  test("gives the same seed for the same text", () => {
+    assert.equal(seedFromText("a3f8c1"), seedFromText("a3f8c1"));
+    assert.notEqual(seedFromText("a3f8c1"), seedFromText("a3f8c2"));
+  });
+
+  test("stays between 1 and MAX_SEED", () => {
+    for (let i = 0; i < 2000; i++) {
+      const seed = seedFromText(`pet-${i}`);
+      assert.ok(Number.isInteger(seed) && seed >= 1 && seed <= MAX_SEED, `${seed} for pet-${i}`);
+    }
+  });
+});
+
+describe("seedForPet", () => {
+  test("gives every pet in pets.js its own seed", () => {
+    const seeds = new Set(pets.map((pet) => seedForPet(pet)));
+    assert.equal(seeds.size, pets.length);
+  });
+
+  test("a salt rolls a new seed, the same one every time", () => {
+    const pet = { id: "a3f8c1" };
+    assert.notEqual(seedForPet(pet, "take-2"), seedForPet(pet));
+    assert.equal(seedForPet(pet, "take-2"), seedForPet(pet, "take-2"));
+    assert.equal(seedForPet(pet, ""), seedForPet(pet));
+  });
+
+  test("a seed pinned in pets.js wins over the salt", () => {
+    assert.equal(seedForPet({ id: "a3f8c1", seed: 42 }, "take-2"), 42);
+  });
+});
+
+describe("--seed-salt", () => {
+  /**
+   * The seeds a dry run would use, from its preview file.
+   *
+   * @param {import('node:test').TestContext} t - The running test
+   * @param {string[]} [args=[]] - Extra arguments
+   * @returns {Promise<number[]>} One seed per selected pet
+   */
+  async function previewSeeds(t, args = []) {
+    const dir = await scratchDir(t);
+    const preview = join(dir, "preview.json");
+    const run = await runGenerate(["--dry-run", "--species", "cat", "--preview", preview, ...args], { cwd: dir });
+    assert.equal(run.code, 0, run.stderr);
+    return JSON.parse(await readFile(preview, "utf8")).map((pet) => pet.seed);
+  }
+
+  test("rolls every seed the same way on every run", async (t) => {
+    const plain = await previewSeeds(t);
+    const salted = await previewSeeds(t, ["--seed-salt", "spring"]);
+
+    assert.deepEqual(await previewSeeds(t, ["--seed-salt", "spring"]), salted);
+    assert.ok(salted.every((seed, index) => seed !== plain[index]));
+    assert.ok(salted.every((seed) => seed >= 1 && seed <= MAX_SEED));
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Stale images: the fingerprint changes with everything that
+ * changes the image file, and `--stale` remakes only the images it no
+ * longer matches.
+ */
+
+import assert from "node:assert/strict";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { checkFreshness, fingerprint } from "../lib/stale.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+/**
+ * Settings like the ones a run resolves.
+ *
+ * @constant {Object}
+ */
+const SETTINGS = {
+  model: "runware:100@1",
+  width: 512,
+  height: 512,
+  steps: 4,
+  outputFormat: "WEBP",
+  outputQuality: 80,
+  seed: 634632486,
+  negativePrompt: "text, watermark",
+};
+
+/**
+ * A built prompt to fingerprint.
+ *
+ * @constant {string}
+ */
+const PROMPT = "simple cartoon illustration of a fluffy orange tabby cat";
+
+describe("fingerprint", () => {
+  test("doesn't depend on the order of the settings", () => {
+    const reversed = Object.fromEntries(Object.entries(SETTINGS).reverse());
+    assert.equal(fingerprint(PROMPT, reversed), fingerprint(PROMPT, SETTINGS));
+  });
+
+  for (const [key, value] of Object.entries({
+    model: "runware:101@1",
+    width: 768,
+    height: 1024,
+    steps: 8,
+    outputFormat: "PNG",
+    outputQuality: 90,
+    seed: 1,
+    negativePrompt: "blurry",
+  })) {
+    test(`changes with ${key}`, () => {
+      assert.notEqual(fingerprint(PROMPT, { ...SETTINGS, [key]: value }), fingerprint(PROMPT, SETTINGS));
+    });
+  }
+
+  test("ignores the quality of a PNG, which is lossless", () => {
+    const png = { ...SETTINGS, outputFormat: "PNG" };
+    assert.equal(fingerprint(PROMPT, { ...png, outputQuality: 95 }), fingerprint(PROMPT, png));
+  });
+});
+
+describe("checkFreshness", () => {
+  const entry = { ...SETTINGS, prompt: PROMPT, fingerprint: fingerprint(PROMPT, SETTINGS) };
+
+  test("an unchanged image is fresh", () => {
+    assert.deepEqual(checkFreshness(entry, true, PROMPT, SETTINGS), { status: "fresh", reason: "up to date" });
+  });
+
+  test("says what changed", () => {
+    assert.equal(checkFreshness(entry, true, `${PROMPT}, smiling`, SETTINGS).reason, "prompt changed");
+    assert.deepEqual(checkFreshness(entry, true, PROMPT, { ...SETTINGS, outputQuality: 60, steps: 8 }), {
+      status: "stale",
+      reason: "steps, outputQuality changed",
+    });
+  });
+
+  test("a missing file, or an entry without a fingerprint, can't be fresh", () => {
+    assert.equal(checkFreshness(entry, false, PROMPT, SETTINGS).status, "missing");
+    assert.equal(checkFreshness({ ...entry, fingerprint: undefined }, true, PROMPT, SETTINGS).status, "untracked");
+  });
+});
+
+describe("--stale", () => {
+  test("keeps an unchanged image and remakes one whose settings changed", async (t) => {
+    const dir = await scratchDir(t);
+    const args = ["--provider", "placeholder", "--only", "a3f8c1", "--out", join(dir, "images"), "--json", "--yes"];
+
+    assert.equal((await runGenerate(args, { cwd: dir })).code, 0);
+
+    const unchanged = await runGenerate([...args, "--stale"], { cwd: dir });
+    assert.equal(unchanged.code, 0, unchanged.stderr);
+    assert.equal(unchanged.events.find((event) => event.id === "a3f8c1")?.type, "skip");
+
+    const changed = await runGenerate([...args, "--stale", "--quality", "90"], { cwd: dir });
+    assert.equal(changed.code, 0, changed.stderr);
+    const generated = changed.events.find((event) => event.type === "generated");
+    assert.equal(generated?.id, "a3f8c1");
+    assert.equal(generated.reason, "outputQuality changed");
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Art styles: each writes to its own folder, and its
+ * template, negative prompt and settings reach the provider.
+ */
+
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { generateAll } from "../generate.js";
+import { pets } from "../pets.js";
+import { createPlaceholderProvider } from "../lib/providers/placeholder.js";
+import { getStyle, STYLES } from "../lib/styles.js";
+import { runGenerate, scratchDir } from "./helpers.js";
+
+/**
+ * The placeholder provider, recording every request it gets.
+ *
+ * @returns {{provider: import('../lib/providers/index.js').ImageProvider, requests: Object[]}}
+ */
+function recordingProvider() {
+  const placeholder = createPlaceholderProvider();
+  const requests = [];
+  return {
+    requests,
+    provider: {
+      ...placeholder,
+      async generate(prompt, request) {
+        requests.push({ prompt, ...request });
+        return placeholder.generate(prompt, request);
+      },
+    },
+  };
+}
+
+describe("--style", () => {
+  test("writes to images/<style>/ with its own manifest", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(["--provider", "placeholder", "--style", "pixel-art", "--only", "a3f8c1", "--json"], {
+      cwd: dir,
+    });
+    assert.equal(run.code, 0, run.stderr);
+
+    assert.ok(existsSync(join(dir, "images", "pixel-art", "a3f8c1.webp")));
+    assert.ok(!existsSync(join(dir, "images", "a3f8c1.webp")), "the default images are left alone");
+
+    const manifest = JSON.parse(await readFile(join(dir, "images", "pixel-art", "manifest.json"), "utf8"));
+    assert.equal(manifest.images.a3f8c1.style, "pixel-art");
+    assert.equal(manifest.images.a3f8c1.width, 256);
+  });
+
+  test("sends the style's template, negative prompt and settings to the provider", async (t) => {
+    const outDir = await scratchDir(t);
+    const { provider, requests } = recordingProvider();
+
+    const run = await generateAll(pets.slice(0, 1), { provider, outDir, style: "watercolor", rate: "0" });
+    assert.equal(run.generated, 1);
+
+    const [request] = requests;
+    assert.match(request.prompt, /^watercolor painting of a /);
+    assert.equal(request.negativePrompt, STYLES.watercolor.negativePrompt);
+    assert.equal(request.steps, 6);
+  });
+
+  test("a flag still overrides the style's negative prompt", async (t) => {
+    const outDir = await scratchDir(t);
+    const { provider, requests } = recordingProvider();
+
+    await generateAll(pets.slice(0, 1), {
+      provider,
+      outDir,
+      style: "sticker",
+      settings: { negativePrompt: "blurry" },
+      rate: "0",
+    });
+
+    assert.equal(requests[0].negativePrompt, "blurry");
+  });
+
+  test("an unknown style lists the real ones", () => {
+    assert.throws(() => getStyle("oil-paint"), /Unknown --style "oil-paint" \(expected one of: flat-cartoon, /);
+  });
+});
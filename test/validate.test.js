@@ -0,0 +1,72 @@
+/**
+ * @fileoverview The pet schema: `validate` names every bad pet and field,
+ * and fails with exit code 1.
+ */
+
+import assert from "node:assert/strict";
+import { readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { describe, test } from "node:test";
+
+import { pets, temperamentToExpression } from "../pets.js";
+import { MAX_SEED } from "../lib/seed.js";
+import { formatProblem, validatePets } from "../lib/validate.js";
+import { copyProject, runGenerate, scratchDir } from "./helpers.js";
+
+describe("validatePets", () => {
+  test("pets.js as shipped has no problems", () => {
+    assert.deepEqual(validatePets(pets, temperamentToExpression), []);
+  });
+
+  test("reports bad IDs, duplicate IDs and out-of-range seeds, by pet", () => {
+    const [whisker, buddy, kiwi] = pets.filter((pet) => ["a3f8c1", "d9f2b6", "f3c7d8"].includes(pet.id));
+    const problems = validatePets(
+      [whisker, { ...buddy, id: "a3f8c1" }, { ...kiwi, id: "F3C7D8", seed: MAX_SEED + 1 }],
+      temperamentToExpression
+    );
+
+    assert.deepEqual(problems.map(formatProblem), [
+      "Buddy (a3f8c1) id: duplicate ID, already used by Whisker (pet #1)",
+      'Kiwi (F3C7D8) id: must be 6 lower-case hex characters, like "a3f8c1" (got "F3C7D8")',
+      `Kiwi (F3C7D8) seed: must be a whole number from 0 to ${MAX_SEED} (got ${MAX_SEED + 1})`,
+    ]);
+  });
+
+  test("a temperament without an expression is a problem too", () => {
+    const { shy, ...expressions } = temperamentToExpression;
+    assert.deepEqual(validatePets([], expressions).map(formatProblem), [
+      "pets.js temperamentToExpression.shy: no expression for this temperament",
+    ]);
+  });
+});
+
+describe("validate", () => {
+  test("lists every problem in pets.js and exits with 1", async (t) => {
+    const { dir, script } = await copyProject(t);
+    const file = join(dir, "pets.js");
+    const source = await readFile(file, "utf8");
+    await writeFile(
+      file,
+      source
+        .replace('id: "d9f2b6",', 'id: "a3f8c1",')
+        .replace('id: "f3c7d8",', 'id: "F3C7D8",')
+        .replace('id: "f4c2d6",', 'id: "f4c2d6",\n    seed: -5,')
+    );
+
+    const run = await runGenerate(["validate"], { cwd: dir, script });
+
+    assert.equal(run.code, 1);
+    assert.match(run.stdout, /✗ Buddy \(a3f8c1\) id: duplicate ID, already used by Whisker/);
+    assert.match(run.stdout, /✗ Kiwi \(F3C7D8\) id: must be 6 lower-case hex characters/);
+    assert.match(run.stdout, /✗ Spike \(f4c2d6\) seed: must be a whole number from 0 to \d+ \(got -5\)/);
+    assert.match(run.stdout, /Problems: 3/);
+  });
+
+  test("passes (exit 0) when every pet is fine", async (t) => {
+    const dir = await scratchDir(t);
+    const run = await runGenerate(["validate"], { cwd: dir });
+
+    assert.equal(run.code, 0, run.stdout);
+    assert.match(run.stdout, /✓ Every pet matches the schema/);
+  });
+});